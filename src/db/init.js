@@ -6,17 +6,61 @@
 require('dotenv').config();
 const { syncDatabase, getModels } = require('../models');
 
+/**
+ * Map the pre-lifecycle trail statuses (payment_pending / payment_completed / payment_failed)
+ * onto the lifecycle states before sync narrows the ENUM. Safe to run more than once.
+ */
+const migrateLegacyTrailStatuses = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes('trails')) {
+    return;
+  }
+
+  const columns = await queryInterface.describeTable('trails');
+  if (!columns.status || !columns.status.type.includes('payment_completed')) {
+    return;
+  }
+
+  console.log('🔄 Migrating legacy trail statuses...');
+  await sequelize.query('ALTER TABLE `trails` MODIFY `status` VARCHAR(32) NOT NULL');
+  await sequelize.query(`
+    UPDATE \`trails\` SET \`status\` = CASE
+      WHEN \`isPaid\` = 1 AND \`publishedAt\` IS NOT NULL THEN 'published'
+      WHEN \`isPaid\` = 1 THEN 'paid'
+      ELSE 'draft'
+    END
+  `);
+  console.log('✅ Legacy trail statuses migrated');
+};
+
+/**
+ * Date trails deleted before deletedAt existed by their last update, so the trash
+ * retention window applies to them too. Safe to run more than once.
+ */
+const backfillTrailDeletedAt = async (sequelize) => {
+  const [result] = await sequelize.query(
+    'UPDATE `trails` SET `deletedAt` = `updatedAt` WHERE `isDeleted` = 1 AND `deletedAt` IS NULL'
+  );
+  if (result.affectedRows > 0) {
+    console.log(`✅ Backfilled deletedAt on ${result.affectedRows} deleted trails`);
+  }
+};
+
 const initializeDatabase = async () => {
   try {
     console.log('🔄 Initializing database with Sequelize...');
     
     // Initialize models
-    getModels();
+    const { sequelize } = getModels();
+
+    await migrateLegacyTrailStatuses(sequelize);
     
     // Sync database (create tables if they don't exist)
     // Use { alter: true } to update existing tables
     // Use { force: true } to drop and recreate (WARNING: deletes data!)
     await syncDatabase({ alter: true });
+    await backfillTrailDeletedAt(sequelize);
     
     console.log('✅ Database initialized successfully');
     process.exit(0);
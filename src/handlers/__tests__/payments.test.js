@@ -0,0 +1,83 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+jest.mock('../../middleware/auth-sequelize');
+jest.mock('../../services/paymentsService');
+jest.mock('../../services/trailsService');
+jest.mock('../../services/promoCodesService');
+
+const { verifyAuthToken } = require('../../middleware/auth-sequelize');
+const paymentsService = require('../../services/paymentsService');
+const trailsService = require('../../services/trailsService');
+const { refundTrailPayment, handleWebhook } = require('../payments');
+
+const refundEvent = (body) => ({
+  headers: { Authorization: 'Bearer token' },
+  pathParameters: { code: 'YS-TEST' },
+  body: JSON.stringify(body),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  verifyAuthToken.mockResolvedValue({ authenticated: true, userId: 'owner-1', isAdmin: false });
+  trailsService.getTrail.mockResolvedValue({ referenceCode: 'YS-TEST', userId: 'owner-1' });
+  paymentsService.refundTrailPayment.mockResolvedValue({ refundId: 're_test', amount: 1000, fullRefund: true });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('POST /trails/{referenceCode}/refund', () => {
+  it.each([['a string', '500'], ['a fraction', 12.5], ['zero', 0]])('answers 400 for %s as amount', async (label, amount) => {
+    const response = await refundTrailPayment(refundEvent({ amount }));
+
+    expect(response.statusCode).toBe(400);
+    expect(paymentsService.refundTrailPayment).not.toHaveBeenCalled();
+  });
+
+  it('refunds as the owner', async () => {
+    const response = await refundTrailPayment(refundEvent({ amount: 500 }));
+
+    expect(response.statusCode).toBe(200);
+    expect(paymentsService.refundTrailPayment).toHaveBeenCalledWith('YS-TEST', expect.objectContaining({
+      amount: 500,
+      requestedBy: 'owner-1',
+      actor: 'owner',
+    }));
+  });
+
+  it('refunds any trail as an admin', async () => {
+    verifyAuthToken.mockResolvedValue({ authenticated: true, userId: 'admin-1', isAdmin: true });
+
+    const response = await refundTrailPayment(refundEvent({}));
+
+    expect(response.statusCode).toBe(200);
+    expect(paymentsService.refundTrailPayment).toHaveBeenCalledWith('YS-TEST', expect.objectContaining({
+      requestedBy: 'admin-1',
+      actor: 'admin',
+    }));
+  });
+
+  it('refuses other users', async () => {
+    verifyAuthToken.mockResolvedValue({ authenticated: true, userId: 'someone-else', isAdmin: false });
+
+    const response = await refundTrailPayment(refundEvent({}));
+
+    expect(response.statusCode).toBe(403);
+    expect(paymentsService.refundTrailPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /payments/webhook', () => {
+  it.each([['Stripe-Signature'], ['stripe-signature'], ['STRIPE-SIGNATURE']])('reads the signature from a %s header', async (name) => {
+    paymentsService.constructWebhookEvent.mockReturnValue({ id: 'evt_test', type: 'payment_intent.succeeded' });
+    paymentsService.handleWebhookEvent.mockResolvedValue({ duplicate: false, outcome: 'marked_paid' });
+
+    const response = await handleWebhook({ headers: { [name]: 't=1,v1=abc' }, body: '{}' });
+
+    expect(response.statusCode).toBe(200);
+    expect(paymentsService.constructWebhookEvent).toHaveBeenCalledWith('{}', 't=1,v1=abc');
+  });
+});
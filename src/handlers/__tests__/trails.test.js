@@ -0,0 +1,87 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+jest.mock('../../middleware/auth-sequelize');
+jest.mock('../../services/trailsService');
+jest.mock('../../services/paymentsService');
+jest.mock('../../services/filesService');
+jest.mock('../../services/categoriesService');
+
+const { verifyAuthToken } = require('../../middleware/auth-sequelize');
+const trailsService = require('../../services/trailsService');
+const filesService = require('../../services/filesService');
+const categoriesService = require('../../services/categoriesService');
+const trailStatusService = require('../../services/trailStatusService');
+const { updateTrailData } = require('../trails');
+
+const FUTURE = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+const updateEvent = (body) => ({
+  headers: { Authorization: 'Bearer token' },
+  pathParameters: { code: 'YS-TEST' },
+  body: JSON.stringify(body),
+});
+
+const mockTrail = (columns) => {
+  trailsService.getTrail.mockResolvedValue({
+    referenceCode: 'YS-TEST',
+    userId: 'owner-1',
+    status: 'draft',
+    isPaid: false,
+    version: 4,
+    expiresAt: FUTURE,
+    ...columns,
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  verifyAuthToken.mockResolvedValue({ authenticated: true, userId: 'owner-1' });
+  categoriesService.validateCategoryReferences.mockResolvedValue([]);
+  filesService.applyFileReferences.mockResolvedValue({ errors: [], fileIds: [] });
+  trailsService.updateTrail.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PUT /trails/{referenceCode}/update with isPublished', () => {
+  it('refuses a publish the status does not allow before saving anything', async () => {
+    mockTrail({ status: 'draft' });
+
+    const response = await updateTrailData(updateEvent({ trailData: { title: 'New title' }, isPublished: true }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body)).toMatchObject({ currentStatus: 'draft', allowedTransitions: ['payment_pending', 'archived'] });
+    expect(trailsService.updateTrail).not.toHaveBeenCalled();
+  });
+
+  it('saves and publishes when the status allows it', async () => {
+    mockTrail({ status: 'unpublished', isPaid: true });
+    jest.spyOn(trailStatusService, 'transition').mockResolvedValue({ status: 'published' });
+
+    const response = await updateTrailData(updateEvent({ trailData: { title: 'New title' }, isPublished: true }));
+
+    expect(response.statusCode).toBe(200);
+    expect(trailsService.updateTrail).toHaveBeenCalled();
+    expect(trailStatusService.transition).toHaveBeenCalledWith('YS-TEST', 'published', expect.objectContaining({ actorId: 'owner-1' }));
+  });
+
+  it('returns the saved version with the 409 when the status changed during the save', async () => {
+    mockTrail({ status: 'unpublished', isPaid: true });
+    const illegal = Object.assign(new Error('ILLEGAL_TRANSITION'), {
+      currentStatus: 'archived',
+      requestedStatus: 'published',
+      allowed: ['unpublished'],
+    });
+    jest.spyOn(trailStatusService, 'transition').mockRejectedValue(illegal);
+
+    const response = await updateTrailData(updateEvent({ trailData: { title: 'New title' }, isPublished: true }));
+
+    expect(response.statusCode).toBe(409);
+    expect(response.headers.ETag).toBe('"4"');
+    expect(JSON.parse(response.body)).toMatchObject({ currentStatus: 'archived', version: 4 });
+  });
+});
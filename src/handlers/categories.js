@@ -0,0 +1,154 @@
+/**
+ * Lambda Handler: Story Categories
+ * GET /categories - List categories (public)
+ * POST /categories - Create category (admin)
+ * PUT /categories/{id} - Update category (admin)
+ * DELETE /categories/{id} - Delete category (admin)
+ */
+
+const categoriesService = require('../services/categoriesService');
+const { httpResponse, parseBody, getPathParam } = require('../utils/http');
+const { requireAdmin } = require('../middleware/auth-sequelize');
+
+/**
+ * Helper: Parse the numeric category id from the path
+ */
+const getCategoryId = (event) => {
+  const id = Number(getPathParam(event, 'id'));
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * GET /categories
+ * List all categories in display order
+ */
+const listCategories = async () => {
+  try {
+    const categories = await categoriesService.listCategories();
+
+    return httpResponse.success({
+      success: true,
+      categories,
+    });
+  } catch (error) {
+    console.error('❌ Error listing categories:', error);
+    return httpResponse.serverError('Failed to list categories');
+  }
+};
+
+/**
+ * POST /categories
+ * Body: { name, slug?, icon?, sortOrder? }
+ */
+const createCategory = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const body = parseBody(event);
+    const validationErrors = categoriesService.validateCategoryInput(body);
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    try {
+      const category = await categoriesService.createCategory(body);
+      return httpResponse.success({ success: true, category }, 201);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return httpResponse.error('A category with this slug already exists', 409);
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('❌ Error creating category:', error);
+    return httpResponse.serverError('Failed to create category');
+  }
+};
+
+/**
+ * PUT /categories/{id}
+ * Update a category (partial update)
+ */
+const updateCategory = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const id = getCategoryId(event);
+    if (!id) {
+      return httpResponse.error('Invalid category id in path');
+    }
+
+    const body = parseBody(event);
+    const validationErrors = categoriesService.validateCategoryInput(body, { partial: true });
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    let category;
+    try {
+      category = await categoriesService.updateCategory(id, body);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return httpResponse.error('A category with this slug already exists', 409);
+      }
+      throw error;
+    }
+
+    if (!category) {
+      return httpResponse.notFound('Category not found');
+    }
+
+    return httpResponse.success({ success: true, category });
+  } catch (error) {
+    console.error('❌ Error updating category:', error);
+    return httpResponse.serverError('Failed to update category');
+  }
+};
+
+/**
+ * DELETE /categories/{id}
+ * Delete a category that no story uses
+ */
+const deleteCategory = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const id = getCategoryId(event);
+    if (!id) {
+      return httpResponse.error('Invalid category id in path');
+    }
+
+    let success;
+    try {
+      success = await categoriesService.deleteCategory(id);
+    } catch (error) {
+      if (error.message === 'CATEGORY_IN_USE') {
+        return httpResponse.error('Category is still used by stories', 409);
+      }
+      throw error;
+    }
+
+    if (!success) {
+      return httpResponse.notFound('Category not found');
+    }
+
+    return httpResponse.success({
+      success: true,
+      message: 'Category deleted',
+      id,
+    });
+  } catch (error) {
+    console.error('❌ Error deleting category:', error);
+    return httpResponse.serverError('Failed to delete category');
+  }
+};
+
+module.exports = {
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -1,24 +1,47 @@
 /**
- * Scheduled Lambda Handler: Clean up expired drafts
- * Runs daily to mark drafts as 'expired'
+ * Scheduled Lambda Handler: Daily cleanup
+ * - Abandoned checkouts: warns owners, then archives (see trailsService.cleanupExpiredDrafts)
+ * - Trash: purges trails deleted more than TRASH_RETENTION_DAYS ago, with their stories and media
+ *
+ * Dry run: invoke with { "dryRun": true } or set CLEANUP_DRY_RUN=true to get the report without changing anything.
  */
 
 const trailsService = require('../services/trailsService');
-const { httpResponse } = require('../utils/http');
+const trashService = require('../services/trashService');
+
+// Stop starting new batches when less than this is left of the Lambda timeout
+const TIME_RESERVE_MS = 30 * 1000;
 
 const handler = async (event, context) => {
   try {
-    console.log('🧹 Starting cleanup of expired drafts...');
+    const dryRun = (event && event.dryRun === true) || process.env.CLEANUP_DRY_RUN === 'true';
+    const shouldStop = () => Boolean(context && context.getRemainingTimeInMillis
+      && context.getRemainingTimeInMillis() < TIME_RESERVE_MS);
+
+    console.log(`🧹 Starting cleanup of abandoned checkouts${dryRun ? ' (dry run)' : ''}...`);
+
+    const drafts = await trailsService.cleanupExpiredDrafts({ dryRun, shouldStop });
+
+    console.log(`✅ Abandoned checkouts: ${drafts.counts.warned} warned, ${drafts.counts.archived} archived${drafts.complete ? '' : ' (stopped early - continues next run)'}`);
+
+    let trash = null;
+    if (dryRun) {
+      console.log('⏭️  Skipping trash purge in dry run');
+    } else {
+      console.log('🧹 Purging trash past retention...');
 
-    const count = await trailsService.cleanupExpiredDrafts();
+      trash = await trashService.purgeExpiredTrash();
 
-    console.log(`✅ Cleaned up ${count} expired drafts`);
+      console.log(`✅ Purged ${trash.purged}/${trash.scanned} trails from trash (${trash.skipped.length} kept, ${trash.failed.length} failed, ${trash.mediaDeleted} media files deleted)`);
+    }
 
     return {
       statusCode: 200,
       body: JSON.stringify({
         success: true,
-        message: `Cleaned up ${count} expired drafts`,
+        dryRun,
+        drafts,
+        trash,
         timestamp: new Date().toISOString(),
       }),
     };
@@ -2,10 +2,21 @@
  * Lambda Handler: File Uploads (Images & Videos)
  * POST /images - Upload image
  * POST /videos - Upload video
+ * POST /files/batch-presigned-urls - Presigned PUT URLs for direct uploads
+ * POST /files/confirm - Record finished direct uploads in the File table
+ * GET /files/usage - Storage used and available under the caller's plan
+ * POST /files/multipart - Start a resumable multipart upload
+ * POST /files/multipart/parts - Presigned URLs for parts
+ * GET /files/multipart/parts - Parts uploaded so far (to resume)
+ * POST /files/multipart/complete - Assemble the parts and confirm the file
+ * POST /files/multipart/abort - Drop an unfinished upload
  */
 
 const filesService = require('../services/filesService');
-const { httpResponse, getPathParam } = require('../utils/http');
+const storageService = require('../services/storageService');
+const mediaVerificationService = require('../services/mediaVerificationService');
+const trailsService = require('../services/trailsService');
+const { httpResponse, getPathParam, getQueryParam } = require('../utils/http');
 const { verifyAuthToken } = require('../middleware/auth-sequelize');
 const busboy = require('busboy');
 
@@ -191,6 +202,140 @@ const uploadVideo = async (event) => {
   }
 };
 
+// File names are only echoed back (keys are assigned by the server) but must still be plain names
+const SAFE_FILE_NAME = /^[\p{L}\p{N}_][\p{L}\p{N}_ .()-]{0,254}$/u;
+const SHA256_HEX = /^[0-9a-f]{64}$/i;
+
+/**
+ * Helper: File type for an allowed content type ('unknown' for anything else)
+ */
+const detectFileType = (contentType) => {
+  if (filesService.ALLOWED_IMAGE_TYPES.includes(contentType)) return 'image';
+  if (filesService.ALLOWED_VIDEO_TYPES.includes(contentType)) return 'video';
+  return 'unknown';
+};
+
+/**
+ * Helper: Validate one requested upload { fileName, contentType, size?, sha256? }
+ * Returns a list of { field, message } errors
+ */
+const validateUploadRequest = (file, prefix) => {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    return [{ field: prefix, message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const fileType = detectFileType(file.contentType);
+
+  if (typeof file.fileName !== 'string' || !file.fileName) {
+    errors.push({ field: `${prefix}.fileName`, message: 'is required' });
+  } else if (!SAFE_FILE_NAME.test(file.fileName) || file.fileName.includes('..')) {
+    errors.push({ field: `${prefix}.fileName`, message: 'may only contain letters, digits, spaces and _ . ( ) -' });
+  }
+
+  if (fileType === 'unknown') {
+    errors.push({
+      field: `${prefix}.contentType`,
+      message: `must be one of: ${[...filesService.ALLOWED_IMAGE_TYPES, ...filesService.ALLOWED_VIDEO_TYPES].join(', ')}`,
+    });
+  }
+
+  // Declared sizes count against the storage quota and S3 accepts exactly that many bytes;
+  // files without one count at the maximum for their type
+  if (file.size !== undefined && file.size !== null) {
+    if (!Number.isInteger(file.size) || file.size < 1) {
+      errors.push({ field: `${prefix}.size`, message: 'must be a positive integer (bytes)' });
+    } else if (fileType !== 'unknown' && file.size > filesService.MAX_FILE_SIZES[fileType]) {
+      errors.push({ field: `${prefix}.size`, message: `must be at most ${filesService.MAX_FILE_SIZES[fileType]} bytes` });
+    }
+  }
+
+  if (file.sha256 !== undefined && file.sha256 !== null
+    && (typeof file.sha256 !== 'string' || !SHA256_HEX.test(file.sha256))) {
+    errors.push({ field: `${prefix}.sha256`, message: 'must be a hex-encoded SHA-256 digest' });
+  }
+
+  return errors;
+};
+
+/**
+ * Helper: Storage report of the caller, counting uploads in S3 that are not confirmed yet
+ */
+const getUsageReport = async (auth) => {
+  const unconfirmedBytes = await filesService.getUnconfirmedBytes(auth.userId);
+  return storageService.getUsageReport(auth.userId, auth.plan, { unconfirmedBytes });
+};
+
+/**
+ * Helper: Refuse uploads that would not fit in the caller's storage quota
+ * Returns a 413 response, or null when requestedBytes fits
+ */
+const quotaExceededResponse = async (auth, requestedBytes) => {
+  const usage = await getUsageReport(auth);
+  if (requestedBytes <= usage.availableBytes) {
+    return null;
+  }
+
+  console.warn(`[FILES] ❌ Quota exceeded for ${auth.userId}: ${requestedBytes} bytes requested, ${usage.availableBytes} available`);
+  return httpResponse.quotaExceeded('Storage quota exceeded', {
+    plan: usage.plan,
+    quotaBytes: usage.quotaBytes,
+    usedBytes: usage.usedBytes,
+    unconfirmedBytes: usage.unconfirmedBytes,
+    availableBytes: usage.availableBytes,
+    requestedBytes,
+  });
+};
+
+/**
+ * Helper: Check that files may be linked to a trail (missing referenceCode is fine)
+ * Returns a 404/403 response, or null
+ */
+const trailAccessResponse = async (referenceCode, userId) => {
+  if (referenceCode === undefined || referenceCode === null) {
+    return null;
+  }
+  const trail = typeof referenceCode === 'string' ? await trailsService.getTrail(referenceCode) : null;
+  if (!trail) {
+    return httpResponse.notFound('Trail not found');
+  }
+  if (trail.userId !== userId) {
+    console.error(`[FILES] ❌ Unauthorized: User ${userId} cannot attach files to trail of ${trail.userId}`);
+    return httpResponse.error('You do not have permission to modify this trail', 403);
+  }
+  return null;
+};
+
+/**
+ * Helper: Parse a JSON body, returning { body } or { response } with a 400
+ */
+const parseJsonBody = (event) => {
+  try {
+    return { body: typeof event.body === 'string' ? JSON.parse(event.body) : event.body || {} };
+  } catch (parseError) {
+    console.error('[FILES] ❌ JSON Parse Error:', parseError.message);
+    return { response: httpResponse.error('Invalid JSON format in request body', 400) };
+  }
+};
+
+/**
+ * Helper: Read the s3Key and uploadId naming one of the caller's multipart uploads
+ * Returns { s3Key, uploadId } or { errors }
+ */
+const parseMultipartTarget = (userId, source) => {
+  const errors = [];
+  const { s3Key, uploadId } = source || {};
+
+  if (!filesService.getUploadFileType(userId, s3Key)) {
+    errors.push({ field: 's3Key', message: 'must be the key of one of your uploads' });
+  }
+  if (typeof uploadId !== 'string' || !uploadId || uploadId.length > 1024) {
+    errors.push({ field: 'uploadId', message: 'is required' });
+  }
+
+  return errors.length > 0 ? { errors } : { s3Key, uploadId };
+};
+
 /**
  * POST /files/presigned-url
  * Unified endpoint for both images and videos
@@ -206,39 +351,27 @@ const getFilePresignedUrl = async (event) => {
     }
 
     const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body || {};
-    const { fileName, contentType } = body;
-
-    if (!fileName || typeof fileName !== 'string') {
-      return httpResponse.error('fileName is required', 400);
-    }
+    const { fileName, contentType, size, sha256 } = body;
 
-    // Prevent path traversal
-    if (fileName.includes('..') || fileName.includes('/') || fileName.includes('\\')) {
-      return httpResponse.error('Invalid fileName', 400);
+    const validationErrors = validateUploadRequest(body, 'file');
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
     }
 
-    // Auto-detect file type from contentType
-    let fileType;
-    if (filesService.ALLOWED_IMAGE_TYPES.includes(contentType)) {
-      fileType = 'image';
-    } else if (filesService.ALLOWED_VIDEO_TYPES.includes(contentType)) {
-      fileType = 'video';
-    } else {
-      return httpResponse.error(
-        `Unsupported contentType: ${contentType}. Allowed: ${[...filesService.ALLOWED_IMAGE_TYPES, ...filesService.ALLOWED_VIDEO_TYPES].join(', ')}`,
-        400
-      );
-    }
+    const fileType = detectFileType(contentType);
+    const s3Key = filesService.getUploadKey(auth.userId, fileType, contentType, { sha256 });
+    const requestedBytes = size || filesService.MAX_FILE_SIZES[fileType];
+    const quotaResponse = await quotaExceededResponse(auth, requestedBytes);
+    if (quotaResponse) return quotaResponse;
 
-    const presignedUrl = await filesService.getPresignedUploadUrl(
-      auth.userId,
-      fileName,
-      contentType,
-      fileType
-    );
+    const presignedPost = filesService.getPresignedUpload(s3Key, contentType, { size, sha256 });
+    await filesService.reserveUploads(auth.userId, [{ s3Key, bytes: requestedBytes }]);
 
     return httpResponse.success({ 
-      presignedUrl, 
+      fileName,
+      s3Key,
+      url: filesService.getPublicUrl(s3Key),
+      presignedPost,
       success: true,
       fileType,
       expiresIn: 1800
@@ -281,25 +414,53 @@ const getFileBatchPresignedUrls = async (event) => {
       return httpResponse.error('Maximum 50 files per batch', 400);
     }
 
-    // Auto-detect file types and validate
-    const filesWithType = files.map(file => {
-      let fileType;
-      if (filesService.ALLOWED_IMAGE_TYPES.includes(file.contentType)) {
-        fileType = 'image';
-      } else if (filesService.ALLOWED_VIDEO_TYPES.includes(file.contentType)) {
-        fileType = 'video';
-      } else {
-        fileType = 'unknown';
-      }
-
-      return {
-        fileName: file.fileName,
-        contentType: file.contentType,
-        fileType,
-      };
-    });
+    // Validate every file, then names and contents that appear twice in the batch
+    const validationErrors = files.flatMap((file, index) => validateUploadRequest(file, `files[${index}]`));
+    if (validationErrors.length === 0) {
+      const seenNames = new Map();
+      const seenHashes = new Map();
+      files.forEach((file, index) => {
+        const name = file.fileName.toLowerCase();
+        if (seenNames.has(name)) {
+          validationErrors.push({ field: `files[${index}].fileName`, message: `duplicates files[${seenNames.get(name)}].fileName` });
+        } else {
+          seenNames.set(name, index);
+        }
+
+        if (file.sha256) {
+          const hash = file.sha256.toLowerCase();
+          if (seenHashes.has(hash)) {
+            validationErrors.push({ field: `files[${index}].sha256`, message: `duplicates files[${seenHashes.get(hash)}].sha256` });
+          } else {
+            seenHashes.set(hash, index);
+          }
+        }
+      });
+    }
+    if (validationErrors.length > 0) {
+      console.warn(`[FILES] ❌ Validation failed: ${validationErrors.length} errors`);
+      return httpResponse.validationError(validationErrors);
+    }
 
-    const results = await filesService.getBatchPresignedUrls(auth.userId, filesWithType);
+    const uploads = await filesService.assignUploadKeys(auth.userId, files.map(file => ({
+      fileName: file.fileName,
+      contentType: file.contentType,
+      fileType: detectFileType(file.contentType),
+      size: file.size,
+      sha256: file.sha256 ? file.sha256.toLowerCase() : null,
+    })));
+
+    // Files already uploaded (same content) need no space
+    const reservations = uploads
+      .filter(file => !file.existingFile)
+      .map(file => ({ s3Key: file.s3Key, bytes: file.size || filesService.MAX_FILE_SIZES[file.fileType] }));
+    const requestedBytes = reservations.reduce((sum, reservation) => sum + reservation.bytes, 0);
+    const quotaResponse = await quotaExceededResponse(auth, requestedBytes);
+    if (quotaResponse) return quotaResponse;
+
+    const results = await filesService.getBatchPresignedUrls(uploads);
+    await filesService.reserveUploads(auth.userId, reservations.filter(reservation => results
+      .some(result => result.success && result.s3Key === reservation.s3Key)));
 
     return httpResponse.success({
       success: true,
@@ -312,9 +473,400 @@ const getFileBatchPresignedUrls = async (event) => {
   }
 };
 
+// Human-readable reasons for confirmUploads error codes
+const CONFIRM_ERRORS = {
+  INVALID_KEY: 'Not one of your uploads',
+  FILE_NOT_FOUND: 'File has not been uploaded',
+  INVALID_CONTENT_TYPE: 'Stored content type is not an allowed image or video type',
+  INVALID_FILE_CONTENT: 'File content does not match its content type - the upload was deleted',
+  FILE_TOO_LARGE: 'File exceeds the size limit',
+  QUOTA_EXCEEDED: 'File does not fit in your storage quota',
+};
+
+/**
+ * POST /files/confirm
+ * Check that direct uploads landed in S3 and record them as File rows
+ * Body: { files: [{ s3Key } | { url }], referenceCode? }
+ * REQUIRES AUTH; linking to a trail requires owning it
+ */
+const confirmFiles = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body || {};
+    } catch (parseError) {
+      console.error('[FILES] ❌ JSON Parse Error:', parseError.message);
+      return httpResponse.error('Invalid JSON format in request body', 400);
+    }
+
+    const { files, referenceCode } = body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return httpResponse.error('files array is required', 400);
+    }
+
+    if (files.length > 50) {
+      return httpResponse.error('Maximum 50 files per batch', 400);
+    }
+
+    // Files are named by the s3Key or url returned with the presigned URL
+    const errors = [];
+    const keys = files.map((file, index) => {
+      if (file && typeof file.s3Key === 'string' && file.s3Key) {
+        return file.s3Key;
+      }
+      if (file && typeof file.url === 'string' && file.url) {
+        const key = filesService.keyFromUrl(file.url);
+        if (!key) {
+          errors.push({ field: `files[${index}].url`, message: 'is not an upload URL' });
+        }
+        return key;
+      }
+      errors.push({ field: `files[${index}]`, message: 'must have an s3Key or url' });
+      return null;
+    });
+    if (errors.length > 0) {
+      return httpResponse.validationError(errors);
+    }
+
+    const accessResponse = await trailAccessResponse(referenceCode, auth.userId);
+    if (accessResponse) return accessResponse;
+
+    const results = (await filesService.confirmUploads(auth.userId, keys, {
+      referenceCode: referenceCode || null,
+      quotaBytes: storageService.getQuotaBytes(auth.plan),
+      // A missing object passes here and fails as FILE_NOT_FOUND in confirmUpload
+      verify: async (key) => (await mediaVerificationService.verifyUpload(key, { source: 'confirm' })).status !== 'rejected',
+    }))
+      .map(result => (result.success ? result : { ...result, error: CONFIRM_ERRORS[result.error] || 'Failed to confirm upload' }));
+    const confirmed = results.filter(result => result.success).length;
+
+    console.log(`[FILES] ✅ Confirmed ${confirmed}/${results.length} uploads for ${auth.userId}`);
+
+    return httpResponse.success({
+      success: true,
+      count: results.length,
+      confirmed,
+      files: results,
+    });
+  } catch (error) {
+    console.error('❌ Error confirming uploads:', error);
+    return httpResponse.serverError('Failed to confirm uploads');
+  }
+};
+
+/**
+ * GET /files/usage
+ * Storage used by confirmed uploads, by type, and by uploads not confirmed yet,
+ * what is left of the plan's quota and how many uploads failed content verification
+ * REQUIRES AUTH
+ */
+const getStorageUsage = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const usage = await getUsageReport(auth);
+    const contentViolations = await mediaVerificationService.getViolationCount(auth.userId);
+
+    return httpResponse.success({
+      success: true,
+      ...usage,
+      contentViolations,
+      flagged: contentViolations > 0,
+    });
+  } catch (error) {
+    console.error('❌ Error getting storage usage:', error);
+    return httpResponse.serverError('Failed to get storage usage');
+  }
+};
+
+/**
+ * POST /files/multipart
+ * Start a resumable multipart upload (for large videos on flaky connections)
+ * Body: { fileName, contentType, size }
+ * REQUIRES AUTH
+ */
+const startMultipartUpload = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const { body, response } = parseJsonBody(event);
+    if (response) return response;
+
+    // Parts are planned from the size, so it is required here
+    const validationErrors = validateUploadRequest(body, 'file');
+    if (body.size === undefined || body.size === null) {
+      validationErrors.push({ field: 'file.size', message: 'is required' });
+    }
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    const quotaResponse = await quotaExceededResponse(auth, body.size);
+    if (quotaResponse) return quotaResponse;
+
+    // S3 cannot check a whole-file SHA-256 across parts, so multipart keys are always random
+    const fileType = detectFileType(body.contentType);
+    const s3Key = filesService.getUploadKey(auth.userId, fileType, body.contentType);
+    const upload = await filesService.startMultipartUpload(s3Key, body.contentType, body.size);
+
+    return httpResponse.success({
+      success: true,
+      fileName: body.fileName,
+      fileType,
+      s3Key,
+      url: filesService.getPublicUrl(s3Key),
+      ...upload,
+    }, 201);
+  } catch (error) {
+    console.error('❌ Error starting multipart upload:', error);
+    return httpResponse.serverError('Failed to start multipart upload');
+  }
+};
+
+/**
+ * POST /files/multipart/parts
+ * Presigned PUT URLs for parts of a multipart upload, each bound to the part's planned size
+ * Body: { s3Key, uploadId, partNumbers: [1, 2, ...] } (at most 100 per request, none above partCount)
+ * REQUIRES AUTH
+ */
+const getMultipartPartUrls = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const { body, response } = parseJsonBody(event);
+    if (response) return response;
+
+    const target = parseMultipartTarget(auth.userId, body);
+    const validationErrors = target.errors || [];
+    const { partNumbers } = body;
+    if (!Array.isArray(partNumbers) || partNumbers.length === 0 || partNumbers.length > 100) {
+      validationErrors.push({ field: 'partNumbers', message: 'must be an array of 1 to 100 part numbers' });
+    } else if (partNumbers.some(number => !Number.isInteger(number) || number < 1 || number > filesService.MULTIPART_MAX_PARTS)) {
+      validationErrors.push({ field: 'partNumbers', message: `must contain integers from 1 to ${filesService.MULTIPART_MAX_PARTS}` });
+    }
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    let parts;
+    try {
+      parts = await filesService.getPartUploadUrls(target.s3Key, target.uploadId, [...new Set(partNumbers)]);
+    } catch (error) {
+      if (error.message === 'UPLOAD_NOT_FOUND') {
+        return httpResponse.notFound('Multipart upload not found - it was completed, aborted or expired');
+      }
+      if (error.message === 'PART_OUT_OF_RANGE') {
+        return httpResponse.validationError([
+          { field: 'partNumbers', message: `must not exceed the planned part count (${error.partCount})` },
+        ]);
+      }
+      throw error;
+    }
+
+    return httpResponse.success({
+      success: true,
+      s3Key: target.s3Key,
+      uploadId: target.uploadId,
+      parts,
+      expiresIn: 3600,
+    });
+  } catch (error) {
+    console.error('❌ Error generating multipart part URLs:', error);
+    return httpResponse.serverError('Failed to generate part URLs');
+  }
+};
+
+/**
+ * GET /files/multipart/parts?s3Key=...&uploadId=...
+ * Parts S3 already has, so an interrupted upload can resume with the rest
+ * REQUIRES AUTH
+ */
+const listMultipartParts = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const target = parseMultipartTarget(auth.userId, {
+      s3Key: getQueryParam(event, 's3Key'),
+      uploadId: getQueryParam(event, 'uploadId'),
+    });
+    if (target.errors) {
+      return httpResponse.validationError(target.errors);
+    }
+
+    let parts;
+    try {
+      parts = await filesService.listUploadedParts(target.s3Key, target.uploadId);
+    } catch (error) {
+      if (error.message === 'UPLOAD_NOT_FOUND') {
+        return httpResponse.notFound('Multipart upload not found - it was completed, aborted or expired');
+      }
+      throw error;
+    }
+
+    return httpResponse.success({
+      success: true,
+      s3Key: target.s3Key,
+      uploadId: target.uploadId,
+      uploadedBytes: parts.reduce((sum, part) => sum + part.size, 0),
+      parts,
+    });
+  } catch (error) {
+    console.error('❌ Error listing multipart parts:', error);
+    return httpResponse.serverError('Failed to list uploaded parts');
+  }
+};
+
+/**
+ * POST /files/multipart/complete
+ * Assemble the uploaded parts, then confirm the file like POST /files/confirm
+ * Body: { s3Key, uploadId, partCount?, referenceCode? }
+ * REQUIRES AUTH; linking to a trail requires owning it
+ */
+const completeMultipartUpload = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const { body, response } = parseJsonBody(event);
+    if (response) return response;
+
+    const target = parseMultipartTarget(auth.userId, body);
+    const validationErrors = target.errors || [];
+    const { partCount, referenceCode } = body;
+    if (partCount !== undefined && partCount !== null
+      && (!Number.isInteger(partCount) || partCount < 1 || partCount > filesService.MULTIPART_MAX_PARTS)) {
+      validationErrors.push({ field: 'partCount', message: `must be an integer from 1 to ${filesService.MULTIPART_MAX_PARTS}` });
+    }
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    const accessResponse = await trailAccessResponse(referenceCode, auth.userId);
+    if (accessResponse) return accessResponse;
+
+    try {
+      await filesService.completeMultipartUpload(target.s3Key, target.uploadId, { partCount });
+    } catch (error) {
+      if (error.message === 'UPLOAD_NOT_FOUND') {
+        return httpResponse.notFound('Multipart upload not found - it was completed, aborted or expired');
+      }
+      if (error.message === 'NO_PARTS_UPLOADED') {
+        return httpResponse.conflict('No parts have been uploaded yet', { missingParts: [] });
+      }
+      if (error.message === 'MISSING_PARTS') {
+        return httpResponse.conflict('Some parts have not been uploaded yet', { missingParts: error.missingParts });
+      }
+      throw error;
+    }
+
+    // A file whose bytes are not what its content type claims is deleted and flagged right away
+    const verification = await mediaVerificationService.verifyUpload(target.s3Key, { source: 'confirm' });
+    if (verification.status === 'rejected') {
+      return httpResponse.error(CONFIRM_ERRORS.INVALID_FILE_CONTENT, 422);
+    }
+
+    let file;
+    try {
+      file = await filesService.confirmUpload(auth.userId, target.s3Key, {
+        referenceCode: referenceCode || null,
+        quotaBytes: storageService.getQuotaBytes(auth.plan),
+      });
+    } catch (error) {
+      if (['INVALID_CONTENT_TYPE', 'FILE_TOO_LARGE', 'QUOTA_EXCEEDED'].includes(error.message)) {
+        // The assembled file can never be used, so it does not wait for the cleanup job
+        await filesService.deleteObjects([target.s3Key]);
+        console.warn(`[FILES] ❌ Rejected multipart upload ${target.s3Key}: ${error.message}`);
+        if (error.message === 'QUOTA_EXCEEDED') {
+          return (await quotaExceededResponse(auth, error.size))
+            || httpResponse.error(CONFIRM_ERRORS.QUOTA_EXCEEDED, 413);
+        }
+        return httpResponse.error(CONFIRM_ERRORS[error.message], 422);
+      }
+      throw error;
+    }
+
+    return httpResponse.success({
+      success: true,
+      file,
+    });
+  } catch (error) {
+    console.error('❌ Error completing multipart upload:', error);
+    return httpResponse.serverError('Failed to complete multipart upload');
+  }
+};
+
+/**
+ * POST /files/multipart/abort
+ * Drop an unfinished multipart upload and the parts uploaded so far
+ * Body: { s3Key, uploadId }
+ * REQUIRES AUTH
+ */
+const abortMultipartUpload = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[FILES] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.error(auth.message, 401);
+    }
+
+    const { body, response } = parseJsonBody(event);
+    if (response) return response;
+
+    const target = parseMultipartTarget(auth.userId, body);
+    if (target.errors) {
+      return httpResponse.validationError(target.errors);
+    }
+
+    await filesService.abortMultipartUpload(target.s3Key, target.uploadId);
+
+    return httpResponse.success({
+      success: true,
+      message: 'Multipart upload aborted',
+      s3Key: target.s3Key,
+      uploadId: target.uploadId,
+    });
+  } catch (error) {
+    console.error('❌ Error aborting multipart upload:', error);
+    return httpResponse.serverError('Failed to abort multipart upload');
+  }
+};
+
 module.exports = {
   uploadImage,
   uploadVideo,
   getFilePresignedUrl,
   getFileBatchPresignedUrls,
+  confirmFiles,
+  getStorageUsage,
+  startMultipartUpload,
+  getMultipartPartUrls,
+  listMultipartParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
 };
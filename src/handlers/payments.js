@@ -1,14 +1,35 @@
 /**
  * Lambda Handler: Payments Management
  * POST /payments/create-intent - Create Stripe PaymentIntent
+ * POST /payments/webhook - Stripe webhook (signature verified, no auth)
+ * GET /payments/my - Payment history of the authenticated user
+ * GET /trails/{referenceCode}/payments - Payment history of a trail (owner or admin)
+ * POST /trails/{referenceCode}/refund - Refund a trail payment (owner or admin)
  */
 
-const { httpResponse, parseBody } = require('../utils/http');
+const paymentsService = require('../services/paymentsService');
+const trailsService = require('../services/trailsService');
+const pricingService = require('../services/pricingService');
+const promoCodesService = require('../services/promoCodesService');
+const trailStatusService = require('../services/trailStatusService');
+const { httpResponse, parseBody, getPathParam, getHeader } = require('../utils/http');
 const { verifyAuthToken } = require('../middleware/auth-sequelize');
 
+/**
+ * Promo code errors thrown by promoCodesService, mapped to client messages
+ */
+const PROMO_ERRORS = {
+  PROMO_NOT_FOUND: 'Promo code is not valid',
+  PROMO_EXPIRED: 'Promo code has expired',
+  PROMO_EXHAUSTED: 'Promo code has reached its redemption limit',
+  PROMO_ALREADY_USED: 'You have already used this promo code',
+};
+
 /**
  * POST /payments/create-intent
  * Create a Stripe PaymentIntent for trail payment
+ * Body: { referenceCode, currency?, promoCode?, metadata? }
+ * A promo code that covers the full price publishes the trail without a PaymentIntent
  * REQUIRES AUTH
  */
 const createPaymentIntent = async (event) => {
@@ -21,54 +42,163 @@ const createPaymentIntent = async (event) => {
     }
 
     const body = parseBody(event);
-    const { amount, currency = 'AUD', metadata } = body;
+    const { currency = pricingService.DEFAULT_CURRENCY, metadata } = body;
+    const referenceCode = body.referenceCode || (metadata ? metadata.referenceCode : null);
     const userId = auth.userId;
 
     console.log(`[PAYMENT] Creating payment intent for user: ${userId}`);
-    console.log(`[PAYMENT] Amount: ${amount} ${currency}`);
-    console.log(`[PAYMENT] Metadata:`, metadata);
+    console.log(`[PAYMENT] Reference Code: ${referenceCode}, Currency: ${currency}`);
+
+    if (body.amount !== undefined) {
+      console.log(`[PAYMENT] ⚠️  WARNING: Ignoring client-supplied amount ${body.amount} - price is calculated server-side`);
+    }
 
     // Validate request
-    if (!amount) {
-      console.warn(`[PAYMENT] ❌ Missing amount in request body`);
-      return httpResponse.error('Missing amount in request body');
+    if (!referenceCode) {
+      console.warn(`[PAYMENT] ❌ Missing referenceCode in request body`);
+      return httpResponse.error('Missing referenceCode in request body');
+    }
+
+    if (!pricingService.isSupportedCurrency(currency)) {
+      return httpResponse.error(
+        `Unsupported currency: ${currency}. Supported: ${pricingService.SUPPORTED_CURRENCIES.join(', ')}`
+      );
+    }
+
+    // Payments are recorded against a trail, so it must exist and belong to the caller
+    const trail = await trailsService.getTrail(referenceCode);
+    if (!trail) {
+      console.warn(`[PAYMENT] ❌ Trail not found: ${referenceCode}`);
+      return httpResponse.notFound('Trail not found');
+    }
+
+    if (trail.userId !== userId) {
+      console.error(`[PAYMENT] ❌ Unauthorized: User ${userId} cannot pay for trail of ${trail.userId}`);
+      return httpResponse.error('You do not have permission to pay for this trail', 403);
+    }
+
+    if (trail.isPaid) {
+      console.warn(`[PAYMENT] ⚠️  Trail already paid: ${referenceCode}`);
+      return httpResponse.error('Trail has already been paid', 400);
+    }
+
+    if (!['draft', 'payment_pending'].includes(trail.status)) {
+      return httpResponse.conflict(`Trail cannot be paid for while ${trail.status}`, { currentStatus: trail.status });
+    }
+
+    let quote = pricingService.calculateTrailPrice(trail.trailData, currency);
+    let redemption = null;
+
+    if (body.promoCode) {
+      try {
+        const promo = await promoCodesService.validatePromoCode(body.promoCode, userId, referenceCode);
+        quote = pricingService.applyDiscount(quote, promo.code, promo.percentOff);
+        redemption = await promoCodesService.reserveRedemption(promo.code, {
+          userId,
+          referenceCode,
+          discountAmount: quote.discount,
+          currency: quote.currency,
+          status: quote.total === 0 ? 'completed' : 'pending',
+        });
+      } catch (error) {
+        if (PROMO_ERRORS[error.message]) {
+          console.warn(`[PAYMENT] ❌ Promo code rejected: ${error.message}`);
+          return httpResponse.error(PROMO_ERRORS[error.message]);
+        }
+        throw error;
+      }
+    }
+
+    console.log(`[PAYMENT] Quote: ${quote.total} ${quote.currency} (${quote.items.length} items)`);
+
+    // Fully discounted - nothing to charge, publish straight away
+    if (quote.total === 0) {
+      const payment = await paymentsService.recordFreePayment(referenceCode, userId, quote);
+      if (!payment) {
+        if (redemption) {
+          await promoCodesService.setRedemptionStatus(redemption.id, 'canceled');
+        }
+        return httpResponse.conflict('Trail can no longer be paid for', { currentStatus: (await trailsService.getTrail(referenceCode)).status });
+      }
+
+      return httpResponse.success({
+        clientSecret: null,
+        id: null,
+        amount: 0,
+        currency: quote.currency,
+        status: 'succeeded',
+        isPaid: true,
+        paymentId: payment.id,
+        quote,
+      });
     }
 
     // Initialize Stripe
     let stripe;
     try {
-      console.log(`[PAYMENT] Initializing Stripe with secret key...`);
-      // Stripe will be installed via npm, check if it's available
-      stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-      console.log(`[PAYMENT] ✅ Stripe initialized`);
+      stripe = paymentsService.getStripe();
     } catch (error) {
+      if (redemption) {
+        await promoCodesService.setRedemptionStatus(redemption.id, 'canceled');
+      }
       console.error(`[PAYMENT] ❌ Stripe not configured:`, error);
       return httpResponse.error('Payment service is not configured. Please add STRIPE_SECRET_KEY to environment variables.', 500);
     }
 
     // Create PaymentIntent
     console.log(`[PAYMENT] Creating Stripe PaymentIntent...`);
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: parseInt(amount), // Amount in cents
-      currency: currency.toLowerCase(),
-      metadata: {
-        userId,
-        ...metadata,
-        type: 'trail',
-        timestamp: new Date().toISOString(),
-      },
-    });
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: quote.total, // Amount in cents
+        currency: quote.currency.toLowerCase(),
+        metadata: {
+          ...metadata,
+          referenceCode,
+          userId,
+          ...(quote.promoCode ? { promoCode: quote.promoCode } : {}),
+          type: 'trail',
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      // Release the promo slot if Stripe refused the intent
+      if (redemption) {
+        await promoCodesService.setRedemptionStatus(redemption.id, 'canceled');
+      }
+      throw error;
+    }
+
+    if (redemption) {
+      await promoCodesService.attachPaymentIntent(redemption.id, paymentIntent.id);
+    }
 
     console.log(`[PAYMENT] ✅ PaymentIntent created successfully`);
     console.log(`[PAYMENT] PaymentIntent ID: ${paymentIntent.id}`);
     console.log(`[PAYMENT] Status: ${paymentIntent.status}`);
 
+    await paymentsService.recordPaymentIntent(paymentIntent, referenceCode, userId);
+
+    // Payments are only accepted for this intent and quote from now on
+    const checkout = await trailsService.startCheckout(referenceCode, userId, { paymentIntentId: paymentIntent.id, quote });
+    if (!checkout) {
+      // The trail moved on (paid, archived, ...) while the intent was being created
+      await paymentsService.cancelPaymentIntent(paymentIntent.id);
+      return httpResponse.conflict('Trail can no longer be paid for', { currentStatus: (await trailsService.getTrail(referenceCode)).status });
+    }
+
+    // A re-quote replaces the previous intent (and its promo redemption) - it must not stay payable
+    if (checkout.previousPaymentIntentId) {
+      await paymentsService.cancelPaymentIntent(checkout.previousPaymentIntentId);
+    }
+
     return httpResponse.success({
       clientSecret: paymentIntent.client_secret,
       id: paymentIntent.id,
       amount: paymentIntent.amount,
       currency: paymentIntent.currency.toUpperCase(),
       status: paymentIntent.status,
+      quote,
     });
   } catch (error) {
     console.error('❌ Error creating payment intent:', error);
@@ -85,6 +215,208 @@ const createPaymentIntent = async (event) => {
   }
 };
 
+/**
+ * POST /payments/webhook
+ * Receive Stripe events and drive trail payment state
+ * Authenticated by the Stripe-Signature header, not a user token
+ */
+const handleWebhook = async (event) => {
+  try {
+    const signature = getHeader(event, 'Stripe-Signature');
+
+    if (!signature) {
+      console.warn(`[PAYMENT] ❌ Webhook missing Stripe-Signature header`);
+      return httpResponse.error('Missing Stripe-Signature header');
+    }
+
+    // Signature is computed over the exact bytes Stripe sent
+    const rawBody = event.isBase64Encoded && typeof event.body === 'string'
+      ? Buffer.from(event.body, 'base64').toString('utf8')
+      : event.body || '';
+
+    let stripeEvent;
+    try {
+      stripeEvent = paymentsService.constructWebhookEvent(rawBody, signature);
+    } catch (error) {
+      if (error.message === 'STRIPE_NOT_CONFIGURED' || error.message === 'STRIPE_WEBHOOK_NOT_CONFIGURED') {
+        console.error(`[PAYMENT] ❌ Webhook not configured: ${error.message}`);
+        return httpResponse.serverError('Payment webhook is not configured');
+      }
+      console.warn(`[PAYMENT] ❌ Webhook signature verification failed: ${error.message}`);
+      return httpResponse.error('Invalid webhook signature');
+    }
+
+    console.log(`[PAYMENT] Webhook received: ${stripeEvent.type} (${stripeEvent.id})`);
+
+    const result = await paymentsService.handleWebhookEvent(stripeEvent);
+
+    return httpResponse.success({
+      received: true,
+      duplicate: result.duplicate,
+      outcome: result.outcome,
+    });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the delivery later
+    console.error('❌ Error handling Stripe webhook:', error);
+    return httpResponse.serverError('Failed to process webhook');
+  }
+};
+
+/**
+ * GET /payments/my
+ * Get payment history for the authenticated user
+ * REQUIRES AUTH
+ */
+const getUserPayments = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[PAYMENT] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.unauthorized(auth.message || 'Missing or invalid authentication token');
+    }
+
+    const payments = await paymentsService.getUserPayments(auth.userId);
+
+    console.log(`[PAYMENT] ✅ Retrieved ${payments.length} payments for user ${auth.userId}`);
+
+    return httpResponse.success({
+      success: true,
+      payments,
+    });
+  } catch (error) {
+    console.error('❌ Error getting user payments:', error);
+    return httpResponse.serverError('Failed to get payments');
+  }
+};
+
+/**
+ * GET /trails/{referenceCode}/payments
+ * Get payment history for a trail
+ * REQUIRES AUTH (trail owner or admin, so support can answer payment questions)
+ */
+const getTrailPayments = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[PAYMENT] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.unauthorized(auth.message || 'Missing or invalid authentication token');
+    }
+
+    const referenceCode = getPathParam(event, 'code');
+
+    if (!referenceCode) {
+      return httpResponse.error('Missing referenceCode in path');
+    }
+
+    const trail = await trailsService.getTrail(referenceCode);
+    if (!trail) {
+      return httpResponse.notFound('Trail not found');
+    }
+
+    if (trail.userId !== auth.userId && !auth.isAdmin) {
+      console.error(`[PAYMENT] ❌ Unauthorized: User ${auth.userId} cannot view payments of trail of ${trail.userId}`);
+      return httpResponse.error('You do not have permission to view payments for this trail', 403);
+    }
+
+    const payments = await paymentsService.getTrailPayments(referenceCode);
+
+    return httpResponse.success({
+      success: true,
+      referenceCode,
+      isPaid: trail.isPaid,
+      payments,
+    });
+  } catch (error) {
+    console.error('❌ Error getting trail payments:', error);
+    return httpResponse.serverError('Failed to get trail payments');
+  }
+};
+
+/**
+ * POST /trails/{referenceCode}/refund
+ * Refund the trail payment in full or in part
+ * Body: { amount?: integer (cents, omit for full refund), reason?: string }
+ * REQUIRES AUTH (trail owner or admin)
+ */
+const refundTrailPayment = async (event) => {
+  try {
+    const auth = await verifyAuthToken(event);
+    if (!auth.authenticated) {
+      console.warn(`[PAYMENT] ❌ Authentication failed: ${auth.message}`);
+      return httpResponse.unauthorized(auth.message || 'Missing or invalid authentication token');
+    }
+
+    const referenceCode = getPathParam(event, 'code');
+
+    console.log(`[PAYMENT] POST /trails/:code/refund - Refund trail`);
+    console.log(`[PAYMENT] Reference Code: ${referenceCode}`);
+
+    if (!referenceCode) {
+      return httpResponse.error('Missing referenceCode in path');
+    }
+
+    const body = parseBody(event);
+
+    const trail = await trailsService.getTrail(referenceCode);
+    if (!trail) {
+      return httpResponse.notFound('Trail not found');
+    }
+
+    if (trail.userId !== auth.userId && !auth.isAdmin) {
+      console.error(`[PAYMENT] ❌ Unauthorized: User ${auth.userId} cannot refund trail of ${trail.userId}`);
+      return httpResponse.error('You do not have permission to refund this trail', 403);
+    }
+
+    if (body.reason !== undefined && (typeof body.reason !== 'string' || body.reason.length > 500)) {
+      return httpResponse.error('reason must be a string of at most 500 characters');
+    }
+
+    if (body.amount !== undefined && body.amount !== null && !(Number.isInteger(body.amount) && body.amount > 0)) {
+      return httpResponse.error('amount must be a positive whole number of cents');
+    }
+
+    let result;
+    try {
+      result = await paymentsService.refundTrailPayment(referenceCode, {
+        amount: body.amount,
+        reason: body.reason || null,
+        requestedBy: auth.userId,
+        actor: auth.isAdmin ? trailStatusService.ACTORS.ADMIN : trailStatusService.ACTORS.OWNER,
+      });
+    } catch (error) {
+      if (error.message === 'NO_REFUNDABLE_PAYMENT') {
+        return httpResponse.error('No completed payment to refund for this trail', 409);
+      }
+      if (error.message === 'INVALID_REFUND_AMOUNT') {
+        return httpResponse.error('Refund amount must be a positive whole number of cents no greater than the refundable amount');
+      }
+      if (error.message === 'STRIPE_NOT_CONFIGURED') {
+        return httpResponse.error('Payment service is not configured. Please add STRIPE_SECRET_KEY to environment variables.', 500);
+      }
+      throw error;
+    }
+
+    return httpResponse.success({
+      success: true,
+      message: result.fullRefund ? 'Trail refunded and unpublished' : 'Partial refund issued',
+      referenceCode,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Error refunding trail payment:', error);
+
+    if (error.type === 'StripeInvalidRequestError') {
+      return httpResponse.error(`Invalid refund request: ${error.message}`);
+    }
+
+    return httpResponse.serverError('Failed to refund trail payment');
+  }
+};
+
 module.exports = {
   createPaymentIntent,
+  refundTrailPayment,
+  handleWebhook,
+  getUserPayments,
+  getTrailPayments,
 };
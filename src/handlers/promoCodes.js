@@ -0,0 +1,158 @@
+/**
+ * Lambda Handler: Promo Codes (admin only)
+ * GET /promo-codes - List promo codes
+ * POST /promo-codes - Create promo code
+ * GET /promo-codes/{code} - Get promo code
+ * PUT /promo-codes/{code} - Update promo code
+ * DELETE /promo-codes/{code} - Deactivate promo code
+ */
+
+const promoCodesService = require('../services/promoCodesService');
+const { httpResponse, parseBody, getPathParam } = require('../utils/http');
+const { requireAdmin } = require('../middleware/auth-sequelize');
+
+/**
+ * GET /promo-codes
+ * List all promo codes with redemption counts
+ */
+const listPromoCodes = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const promoCodes = await promoCodesService.listPromoCodes();
+
+    return httpResponse.success({
+      success: true,
+      promoCodes,
+    });
+  } catch (error) {
+    console.error('❌ Error listing promo codes:', error);
+    return httpResponse.serverError('Failed to list promo codes');
+  }
+};
+
+/**
+ * GET /promo-codes/{code}
+ * Get a single promo code
+ */
+const getPromoCode = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const promoCode = await promoCodesService.getPromoCode(getPathParam(event, 'code'));
+    if (!promoCode) {
+      return httpResponse.notFound('Promo code not found');
+    }
+
+    return httpResponse.success({
+      success: true,
+      promoCode,
+    });
+  } catch (error) {
+    console.error('❌ Error getting promo code:', error);
+    return httpResponse.serverError('Failed to get promo code');
+  }
+};
+
+/**
+ * POST /promo-codes
+ * Create a promo code
+ * Body: { code, percentOff, maxRedemptions?, expiresAt?, description?, isActive? }
+ */
+const createPromoCode = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const body = parseBody(event);
+    const validationError = promoCodesService.validatePromoInput(body, true);
+    if (validationError) {
+      return httpResponse.error(validationError);
+    }
+
+    try {
+      const promoCode = await promoCodesService.createPromoCode(body);
+      return httpResponse.success({ success: true, promoCode }, 201);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return httpResponse.error('A promo code with this code already exists', 409);
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('❌ Error creating promo code:', error);
+    return httpResponse.serverError('Failed to create promo code');
+  }
+};
+
+/**
+ * PUT /promo-codes/{code}
+ * Update a promo code (partial update)
+ */
+const updatePromoCode = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const body = parseBody(event);
+    const validationError = promoCodesService.validatePromoInput(body, false);
+    if (validationError) {
+      return httpResponse.error(validationError);
+    }
+
+    let promoCode;
+    try {
+      promoCode = await promoCodesService.updatePromoCode(getPathParam(event, 'code'), body);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return httpResponse.error('A promo code with this code already exists', 409);
+      }
+      throw error;
+    }
+
+    if (!promoCode) {
+      return httpResponse.notFound('Promo code not found');
+    }
+
+    return httpResponse.success({ success: true, promoCode });
+  } catch (error) {
+    console.error('❌ Error updating promo code:', error);
+    return httpResponse.serverError('Failed to update promo code');
+  }
+};
+
+/**
+ * DELETE /promo-codes/{code}
+ * Deactivate a promo code (kept for redemption history)
+ */
+const deletePromoCode = async (event) => {
+  try {
+    const { response } = await requireAdmin(event);
+    if (response) return response;
+
+    const code = getPathParam(event, 'code');
+    const success = await promoCodesService.deactivatePromoCode(code);
+    if (!success) {
+      return httpResponse.notFound('Promo code not found');
+    }
+
+    return httpResponse.success({
+      success: true,
+      message: 'Promo code deactivated',
+      code: promoCodesService.normalizeCode(code),
+    });
+  } catch (error) {
+    console.error('❌ Error deleting promo code:', error);
+    return httpResponse.serverError('Failed to delete promo code');
+  }
+};
+
+module.exports = {
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+};
@@ -0,0 +1,160 @@
+/**
+ * Lambda Handler: Trail Revisions
+ * GET /trails/{referenceCode}/revisions - List revisions
+ * GET /trails/{referenceCode}/revisions/{n} - Revision snapshot with a diff against the current trail
+ * POST /trails/{referenceCode}/revisions/{n}/restore - Restore a revision
+ * All routes require auth and trail ownership.
+ */
+
+const trailsService = require('../services/trailsService');
+const revisionsService = require('../services/revisionsService');
+const { httpResponse, getPathParam } = require('../utils/http');
+const { loadOwnedTrail } = require('../middleware/trailOwnership');
+const { parseIfMatch, withEtag, staleWriteResponse } = require('../utils/etag');
+const { validateTrailData } = require('../utils/trailValidation');
+const categoriesService = require('../services/categoriesService');
+
+/**
+ * Helper: Parse the revision number from the path
+ */
+const getRevisionNumber = (event) => {
+  const revisionNumber = parseInt(getPathParam(event, 'n'), 10);
+  return Number.isInteger(revisionNumber) && revisionNumber > 0 ? revisionNumber : null;
+};
+
+/**
+ * Helper: Snapshot of the trail as it is now, in revision shape
+ */
+const currentSnapshot = (trail) => revisionsService.buildSnapshot(trail.trailData, trail.trailData.customStories);
+
+/**
+ * GET /trails/{referenceCode}/revisions
+ */
+const listRevisions = async (event) => {
+  try {
+    const { response, referenceCode } = await loadOwnedTrail(event, 'REVISION');
+    if (response) return response;
+
+    const revisions = await revisionsService.listRevisions(referenceCode);
+
+    return httpResponse.success({
+      success: true,
+      referenceCode,
+      revisions,
+    });
+  } catch (error) {
+    console.error('❌ Error listing revisions:', error);
+    return httpResponse.serverError('Failed to list revisions');
+  }
+};
+
+/**
+ * GET /trails/{referenceCode}/revisions/{n}
+ */
+const getRevision = async (event) => {
+  try {
+    const { response, trail, referenceCode } = await loadOwnedTrail(event, 'REVISION');
+    if (response) return response;
+
+    const revisionNumber = getRevisionNumber(event);
+    if (!revisionNumber) {
+      return httpResponse.error('Invalid revision number');
+    }
+
+    const revision = await revisionsService.getRevision(referenceCode, revisionNumber);
+    if (!revision) {
+      return httpResponse.notFound('Revision not found');
+    }
+
+    return httpResponse.success({
+      success: true,
+      referenceCode,
+      revision,
+      diff: revisionsService.diffSnapshots(revision.snapshot, currentSnapshot(trail)),
+    });
+  } catch (error) {
+    console.error('❌ Error getting revision:', error);
+    return httpResponse.serverError('Failed to get revision');
+  }
+};
+
+/**
+ * POST /trails/{referenceCode}/revisions/{n}/restore
+ * The restore is itself an update, so the version being replaced becomes a new revision.
+ * Like any content change, a restore that changes the price moves a trail in checkout back to draft,
+ * and a paid trail cannot be restored to more stories or videos than were paid for.
+ */
+const restoreRevision = async (event) => {
+  try {
+    const { response, referenceCode, userId } = await loadOwnedTrail(event, 'REVISION');
+    if (response) return response;
+
+    const revisionNumber = getRevisionNumber(event);
+    if (!revisionNumber) {
+      return httpResponse.error('Invalid revision number');
+    }
+
+    const revision = await revisionsService.getRevision(referenceCode, revisionNumber);
+    if (!revision) {
+      return httpResponse.notFound('Revision not found');
+    }
+
+    console.log(`[REVISION] Restoring ${referenceCode} to revision ${revisionNumber}`);
+
+    // A snapshot passes the same checks as a full update: limits may have changed,
+    // and categories its stories used may have been deleted since
+    const { customStories, ...fields } = revision.snapshot;
+    const trailData = { ...fields, customStories: customStories.map(({ id, orderIndex, ...story }) => story) };
+    const validationErrors = validateTrailData(trailData);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await categoriesService.validateCategoryReferences(
+        trailData.customStories.map((story, index) => ({
+          field: `trailData.customStories[${index}].categoryId`,
+          categoryId: story.categoryId,
+        }))
+      ));
+    }
+    if (validationErrors.length > 0) {
+      console.warn(`[REVISION] ❌ Revision ${revisionNumber} of ${referenceCode} is no longer valid: ${validationErrors.length} errors`);
+      return httpResponse.validationError(validationErrors, `Revision ${revisionNumber} can no longer be restored`);
+    }
+
+    let success;
+    try {
+      success = await trailsService.updateTrail(
+        referenceCode,
+        { trailData },
+        { userId, reason: `Restore of revision ${revisionNumber}`, expectedVersions: parseIfMatch(event) }
+      );
+    } catch (error) {
+      if (error.message === 'VERSION_MISMATCH') {
+        return staleWriteResponse(await trailsService.getTrail(referenceCode));
+      }
+      if (error.message === 'PAID_CONTENT_EXCEEDED') {
+        return httpResponse.conflict('Paid trails cannot add stories or videos beyond what was paid for', { allowance: error.allowance });
+      }
+      throw error;
+    }
+    if (!success) {
+      return httpResponse.notFound('Trail not found');
+    }
+
+    const restored = await trailsService.getTrail(referenceCode);
+    console.log(`[REVISION] ✅ ${referenceCode} restored to revision ${revisionNumber}`);
+
+    return withEtag(httpResponse.success({
+      success: true,
+      message: `Trail restored to revision ${revisionNumber}`,
+      trail: restored,
+    }), restored.version);
+  } catch (error) {
+    console.error('❌ Error restoring revision:', error);
+    return httpResponse.serverError('Failed to restore revision');
+  }
+};
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  restoreRevision,
+};
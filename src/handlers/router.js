@@ -1,13 +1,158 @@
 /**
  * Main API Router
- * Routes requests to appropriate handlers based on method and path
+ * Routes requests to appropriate handlers using a declarative route table.
+ * Path parameters (e.g. `:code`) are copied into event.pathParameters.
  */
 
 const trailsHandlers = require('./trails');
 const filesHandlers = require('./files');
 const paymentsHandler = require('./payments');
+const promoCodesHandlers = require('./promoCodes');
+const storiesHandlers = require('./stories');
+const categoriesHandlers = require('./categories');
+const revisionsHandlers = require('./revisions');
+const trashHandlers = require('./trash');
 const { httpResponse } = require('../utils/http');
 
+/**
+ * GET /health
+ */
+const healthCheck = async () => {
+  return httpResponse.success({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+};
+
+/**
+ * Route table: 'METHOD /path/:param' -> handler
+ * When several patterns match a path, the one with the most literal segments wins,
+ * so /trails/my is never treated as a trail with reference code "my".
+ */
+const ROUTES = {
+  // Trails
+  'POST /trails': trailsHandlers.saveTrail,
+  'GET /trails': trailsHandlers.getPublishedTrails,
+  'GET /trails/published': trailsHandlers.getPublishedTrails,
+  'GET /trails/my': trailsHandlers.getUserTrails,
+  'GET /trails/my/trash': trashHandlers.getTrash,
+  'GET /trails/map': trailsHandlers.getTrailMap,
+  'GET /trails/search': trailsHandlers.searchTrails,
+  'GET /trails/:code': trailsHandlers.getTrail,
+  'PUT /trails/:code': trailsHandlers.updateTrailData,
+  'DELETE /trails/:code': trailsHandlers.deleteTrail,
+  'PUT /trails/:code/update': trailsHandlers.updateTrailData,
+  'PUT /trails/:code/paid': trailsHandlers.markTrailAsPaid,
+  'PUT /trails/:code/status': trailsHandlers.updateTrailStatus,
+  'GET /trails/:code/transitions': trailsHandlers.getTrailTransitions,
+  'GET /trails/:code/payments': paymentsHandler.getTrailPayments,
+  'POST /trails/:code/refund': paymentsHandler.refundTrailPayment,
+  'POST /trails/:code/restore': trashHandlers.restoreTrail,
+
+  // Stories
+  'POST /trails/:code/stories': storiesHandlers.addStory,
+  'PUT /trails/:code/stories/order': storiesHandlers.reorderStories,
+  'PATCH /trails/:code/stories/:id': storiesHandlers.updateStory,
+  'DELETE /trails/:code/stories/:id': storiesHandlers.deleteStory,
+
+  // Revisions
+  'GET /trails/:code/revisions': revisionsHandlers.listRevisions,
+  'GET /trails/:code/revisions/:n': revisionsHandlers.getRevision,
+  'POST /trails/:code/revisions/:n/restore': revisionsHandlers.restoreRevision,
+
+  // Categories - list is public, changes are admin only
+  'GET /categories': categoriesHandlers.listCategories,
+  'POST /categories': categoriesHandlers.createCategory,
+  'PUT /categories/:id': categoriesHandlers.updateCategory,
+  'DELETE /categories/:id': categoriesHandlers.deleteCategory,
+
+  // File Uploads - Batch presigned URLs or multipart uploads, then confirm what was uploaded
+  'POST /files/batch-presigned-urls': filesHandlers.getFileBatchPresignedUrls,
+  'POST /files/confirm': filesHandlers.confirmFiles,
+  'GET /files/usage': filesHandlers.getStorageUsage,
+  'POST /files/multipart': filesHandlers.startMultipartUpload,
+  'POST /files/multipart/parts': filesHandlers.getMultipartPartUrls,
+  'GET /files/multipart/parts': filesHandlers.listMultipartParts,
+  'POST /files/multipart/complete': filesHandlers.completeMultipartUpload,
+  'POST /files/multipart/abort': filesHandlers.abortMultipartUpload,
+
+  // Payments
+  'POST /payments/create-intent': paymentsHandler.createPaymentIntent,
+  'POST /payments/webhook': paymentsHandler.handleWebhook,
+  'GET /payments/my': paymentsHandler.getUserPayments,
+
+  // Promo Codes - admin only
+  'GET /promo-codes': promoCodesHandlers.listPromoCodes,
+  'POST /promo-codes': promoCodesHandlers.createPromoCode,
+  'GET /promo-codes/:code': promoCodesHandlers.getPromoCode,
+  'PUT /promo-codes/:code': promoCodesHandlers.updatePromoCode,
+  'DELETE /promo-codes/:code': promoCodesHandlers.deletePromoCode,
+
+  // Health Check
+  'GET /health': healthCheck,
+};
+
+/**
+ * Helper: Split a path into non-empty segments
+ */
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+/**
+ * Compile the route table into patterns grouped by path, each with its handlers per method
+ */
+const compileRoutes = (routes) => {
+  const patterns = new Map();
+
+  Object.entries(routes).forEach(([key, handler]) => {
+    const [method, pattern] = key.split(' ');
+    if (!patterns.has(pattern)) {
+      const segments = splitPath(pattern);
+      patterns.set(pattern, {
+        pattern,
+        segments,
+        literalCount: segments.filter(segment => !segment.startsWith(':')).length,
+        handlers: {},
+      });
+    }
+    patterns.get(pattern).handlers[method] = handler;
+  });
+
+  // Most specific first
+  return [...patterns.values()].sort((a, b) => b.literalCount - a.literalCount);
+};
+
+const compiledRoutes = compileRoutes(ROUTES);
+
+/**
+ * Helper: Find the most specific route for a path
+ * Returns { route, params } or null
+ */
+const matchRoute = (path) => {
+  const pathSegments = splitPath(path);
+
+  for (const route of compiledRoutes) {
+    if (route.segments.length !== pathSegments.length) {
+      continue;
+    }
+
+    const params = {};
+    const matched = route.segments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(pathSegments[index]);
+        return true;
+      }
+      return segment === pathSegments[index];
+    });
+
+    if (matched) {
+      return { route, params };
+    }
+  }
+
+  return null;
+};
+
 const router = async (event, context) => {
   try {
     const httpMethod = event.httpMethod || event.requestContext?.http?.method;
@@ -19,67 +164,35 @@ const router = async (event, context) => {
     console.log(`📍 ${httpMethod} ${path}`);
     console.log(`${'='.repeat(80)}`);
 
-    // Trails Routes
-    if (path.startsWith('/trails')) {
-      if (httpMethod === 'POST') {
-        return trailsHandlers.saveTrail(event);
-      }
-      if (httpMethod === 'GET') {
-        // GET /trails/my - requires auth
-        if (path.includes('/my') || path.endsWith('/my')) {
-          return trailsHandlers.getUserTrails(event);
-        }
-        // GET /trails or /trails/published - public
-        if (path === '/trails' || path === '/trails/' || path.includes('/published')) {
-          return trailsHandlers.getPublishedTrails(event);
-        }
-        // GET /trails/:code - public
-        return trailsHandlers.getTrail(event);
-      }
-      if (httpMethod === 'PUT') {
-        // PUT /trails/:code/update - requires auth
-        if (path.includes('/update')) {
-          return trailsHandlers.updateTrailData(event);
-        }
-        // PUT /trails/:code/paid - requires auth
-        if (path.includes('/paid')) {
-          return trailsHandlers.markTrailAsPaid(event);
-        }
-        // PUT /trails/:code/status - requires auth
-        if (path.includes('/status')) {
-          return trailsHandlers.updateTrailStatus(event);
-        }
-        // Fallback for generic update
-        return trailsHandlers.updateTrailData(event);
-      }
-      if (httpMethod === 'DELETE') {
-        return trailsHandlers.deleteTrail(event);
+    let match;
+    try {
+      match = matchRoute(path);
+    } catch (error) {
+      // Malformed percent-encoding in a path parameter, e.g. /trails/%E0%A4
+      if (error instanceof URIError) {
+        console.warn(`⚠️ [MALFORMED PATH] ${httpMethod} ${path}`);
+        return httpResponse.error('Malformed URL path', 400);
       }
+      throw error;
     }
 
-    // File Upload Routes - Batch presigned URLs only
-    if (path.startsWith('/files')) {
-      if (httpMethod === 'POST' && path.includes('/batch-presigned-urls')) {
-        return filesHandlers.getFileBatchPresignedUrls(event);
+    if (match) {
+      const { route, params } = match;
+      const allowedMethods = Object.keys(route.handlers);
+
+      // CORS preflight
+      if (httpMethod === 'OPTIONS') {
+        return httpResponse.options(allowedMethods);
       }
-    }
 
-    // Payments Routes
-    if (path.startsWith('/payments')) {
-      if (httpMethod === 'POST') {
-        if (path.includes('/create-intent')) {
-          return paymentsHandler.createPaymentIntent(event);
-        }
+      const handler = route.handlers[httpMethod];
+      if (!handler) {
+        console.warn(`⚠️ [METHOD NOT ALLOWED] ${httpMethod} ${route.pattern} (allowed: ${allowedMethods.join(', ')})`);
+        return httpResponse.methodNotAllowed(allowedMethods);
       }
-    }
 
-    // Health Check
-    if (path === '/health' || path === '/health/') {
-      return httpResponse.success({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-      });
+      event.pathParameters = { ...(event.pathParameters || {}), ...params };
+      return handler(event, context);
     }
 
     // 404 Not Found - Log unknown endpoint details
@@ -90,7 +203,7 @@ const router = async (event, context) => {
     console.log('  Path Params:', JSON.stringify(event.pathParameters || {}, null, 2));
     console.log('  Body:', event.body ? (typeof event.body === 'string' ? event.body : JSON.stringify(event.body, null, 2)) : 'No body');
     console.log(`${'='.repeat(80)}\n`);
-    
+
     return httpResponse.notFound(`Path ${path} not found`);
   } catch (error) {
     console.error('❌ Router error:', error);
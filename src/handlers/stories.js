@@ -0,0 +1,256 @@
+/**
+ * Lambda Handler: Per-story Management
+ * POST /trails/{referenceCode}/stories - Add story
+ * PATCH /trails/{referenceCode}/stories/{id} - Update story
+ * DELETE /trails/{referenceCode}/stories/{id} - Delete story
+ * PUT /trails/{referenceCode}/stories/order - Reorder stories
+ * All routes require auth and trail ownership. Story ids never change.
+ * Every change bumps the trail version; send If-Match with the trail ETag to avoid overwriting other edits.
+ */
+
+const trailsService = require('../services/trailsService');
+const categoriesService = require('../services/categoriesService');
+const filesService = require('../services/filesService');
+const { httpResponse, parseBody, getPathParam } = require('../utils/http');
+const { loadOwnedTrail } = require('../middleware/trailOwnership');
+const { validateStory, LIMITS } = require('../utils/trailValidation');
+const { parseIfMatch, withEtag, staleWriteResponse } = require('../utils/etag');
+
+/**
+ * Helper: Parse the numeric story id from the path
+ */
+const getStoryId = (event) => {
+  const id = Number(getPathParam(event, 'id'));
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Helper: Map errors shared by all story changes to responses (null for anything else)
+ */
+const storyChangeErrorResponse = async (error, referenceCode) => {
+  if (error.message === 'VERSION_MISMATCH') {
+    return staleWriteResponse(await trailsService.getTrail(referenceCode));
+  }
+  if (error.message === 'TRAIL_NOT_FOUND') {
+    return httpResponse.notFound('Trail not found');
+  }
+  if (error.message === 'PAID_CONTENT_EXCEEDED') {
+    return httpResponse.conflict('Paid trails cannot add stories or videos beyond what was paid for', { allowance: error.allowance });
+  }
+  return null;
+};
+
+/**
+ * Helper: Success response carrying the trail's new ETag
+ */
+const successWithEtag = async (referenceCode, data, statusCode) => {
+  const version = await trailsService.getTrailVersion(referenceCode);
+  const response = httpResponse.success({ ...data, version }, statusCode);
+  return version === null ? response : withEtag(response, version);
+};
+
+/**
+ * POST /trails/{referenceCode}/stories
+ * Add a story at the end of the trail
+ */
+const addStory = async (event) => {
+  try {
+    const { response, referenceCode, userId } = await loadOwnedTrail(event, 'STORY');
+    if (response) return response;
+
+    const story = parseBody(event);
+    const validationErrors = validateStory(story, 'story');
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await categoriesService.validateCategoryReferences([
+        { field: 'story.categoryId', categoryId: story.categoryId },
+      ]));
+    }
+    let fileIds = [];
+    if (validationErrors.length === 0) {
+      const resolved = await filesService.applyFileReferences(userId, [{ payload: story, prefix: 'story' }]);
+      validationErrors.push(...resolved.errors);
+      fileIds = resolved.fileIds;
+    }
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    let created;
+    try {
+      created = await trailsService.addStory(referenceCode, story, LIMITS.maxStories, {
+        expectedVersions: parseIfMatch(event),
+      });
+    } catch (error) {
+      if (error.message === 'STORY_LIMIT_REACHED') {
+        return httpResponse.validationError([
+          { field: 'customStories', message: `must contain at most ${LIMITS.maxStories} stories` },
+        ]);
+      }
+      const errorResponse = await storyChangeErrorResponse(error, referenceCode);
+      if (errorResponse) return errorResponse;
+      throw error;
+    }
+
+    await filesService.linkFilesToTrail(userId, fileIds, referenceCode);
+
+    return successWithEtag(referenceCode, {
+      success: true,
+      message: 'Story added',
+      referenceCode,
+      story: created,
+    }, 201);
+  } catch (error) {
+    console.error('❌ Error adding story:', error);
+    return httpResponse.serverError('Failed to add story');
+  }
+};
+
+/**
+ * PATCH /trails/{referenceCode}/stories/{id}
+ * Update the fields of one story that are present in the body
+ */
+const updateStory = async (event) => {
+  try {
+    const { response, referenceCode, userId } = await loadOwnedTrail(event, 'STORY');
+    if (response) return response;
+
+    const storyId = getStoryId(event);
+    if (!storyId) {
+      return httpResponse.error('Invalid story id in path');
+    }
+
+    const updates = parseBody(event);
+    const validationErrors = validateStory(updates, 'story', { partial: true });
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await categoriesService.validateCategoryReferences([
+        { field: 'story.categoryId', categoryId: updates.categoryId },
+      ]));
+    }
+    let fileIds = [];
+    if (validationErrors.length === 0) {
+      const resolved = await filesService.applyFileReferences(userId, [{ payload: updates, prefix: 'story' }]);
+      validationErrors.push(...resolved.errors);
+      fileIds = resolved.fileIds;
+    }
+    if (validationErrors.length > 0) {
+      return httpResponse.validationError(validationErrors);
+    }
+
+    let story;
+    try {
+      story = await trailsService.updateStory(referenceCode, storyId, updates, {
+        expectedVersions: parseIfMatch(event),
+      });
+    } catch (error) {
+      const errorResponse = await storyChangeErrorResponse(error, referenceCode);
+      if (errorResponse) return errorResponse;
+      throw error;
+    }
+    if (!story) {
+      return httpResponse.notFound('Story not found');
+    }
+
+    await filesService.linkFilesToTrail(userId, fileIds, referenceCode);
+
+    return successWithEtag(referenceCode, {
+      success: true,
+      message: 'Story updated',
+      referenceCode,
+      story,
+    });
+  } catch (error) {
+    console.error('❌ Error updating story:', error);
+    return httpResponse.serverError('Failed to update story');
+  }
+};
+
+/**
+ * DELETE /trails/{referenceCode}/stories/{id}
+ * Delete one story; the remaining stories keep their relative order.
+ * The trail before the delete is kept as a revision (see handlers/revisions.js).
+ */
+const deleteStory = async (event) => {
+  try {
+    const { response, referenceCode, userId } = await loadOwnedTrail(event, 'STORY');
+    if (response) return response;
+
+    const storyId = getStoryId(event);
+    if (!storyId) {
+      return httpResponse.error('Invalid story id in path');
+    }
+
+    let success;
+    try {
+      success = await trailsService.deleteStory(referenceCode, storyId, {
+        userId,
+        expectedVersions: parseIfMatch(event),
+      });
+    } catch (error) {
+      const errorResponse = await storyChangeErrorResponse(error, referenceCode);
+      if (errorResponse) return errorResponse;
+      throw error;
+    }
+    if (!success) {
+      return httpResponse.notFound('Story not found');
+    }
+
+    return successWithEtag(referenceCode, {
+      success: true,
+      message: 'Story deleted',
+      referenceCode,
+      storyId,
+    });
+  } catch (error) {
+    console.error('❌ Error deleting story:', error);
+    return httpResponse.serverError('Failed to delete story');
+  }
+};
+
+/**
+ * PUT /trails/{referenceCode}/stories/order
+ * Body: { storyIds: [3, 1, 2] } - every story id of the trail, in the new order
+ */
+const reorderStories = async (event) => {
+  try {
+    const { response, referenceCode } = await loadOwnedTrail(event, 'STORY');
+    if (response) return response;
+
+    const { storyIds } = parseBody(event);
+    if (!Array.isArray(storyIds) || !storyIds.every(id => Number.isInteger(id))) {
+      return httpResponse.validationError([{ field: 'storyIds', message: 'must be an array of story ids' }]);
+    }
+
+    let stories;
+    try {
+      stories = await trailsService.reorderStories(referenceCode, storyIds, {
+        expectedVersions: parseIfMatch(event),
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_STORY_ORDER') {
+        return httpResponse.validationError([
+          { field: 'storyIds', message: 'must list every story of the trail exactly once' },
+        ]);
+      }
+      const errorResponse = await storyChangeErrorResponse(error, referenceCode);
+      if (errorResponse) return errorResponse;
+      throw error;
+    }
+
+    return successWithEtag(referenceCode, {
+      success: true,
+      message: 'Stories reordered',
+      referenceCode,
+      stories,
+    });
+  } catch (error) {
+    console.error('❌ Error reordering stories:', error);
+    return httpResponse.serverError('Failed to reorder stories');
+  }
+};
+
+module.exports = {
+  addStory,
+  updateStory,
+  deleteStory,
+  reorderStories,
+};
@@ -4,15 +4,105 @@
  * GET /trails/{referenceCode} - Get trail
  * PUT /trails/{referenceCode}/update - Update trail data
  * PUT /trails/{referenceCode}/paid - Mark as paid
- * PUT /trails/{referenceCode}/status - Update status
+ * PUT /trails/{referenceCode}/status - Move along the lifecycle (owner or admin)
+ * GET /trails/{referenceCode}/transitions - Lifecycle history
  * DELETE /trails/{referenceCode} - Delete trail
  * GET /trails/my - Get user trails (auth required)
  * GET /trails/published - Get published trails
+ * GET /trails/map - Story pins in a bounding box (GeoJSON)
+ * GET /trails/search - Full-text search over published trails
  */
 
 const trailsService = require('../services/trailsService');
+const paymentsService = require('../services/paymentsService');
+const trailStatusService = require('../services/trailStatusService');
 const { httpResponse, parseBody, getPathParam, getQueryParam } = require('../utils/http');
 const { verifyAuthToken } = require('../middleware/auth-sequelize');
+const categoriesService = require('../services/categoriesService');
+const filesService = require('../services/filesService');
+const { validateTrailData, TRAIL_SORTS } = require('../utils/trailValidation');
+const { clampPageSize } = require('../utils/pagination');
+const { parseIfMatch, withEtag, staleWriteResponse } = require('../utils/etag');
+
+/**
+ * Proximity search defaults for GET /trails?lat=&lng=
+ */
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Feature cap for GET /trails/map; larger results are clustered
+ */
+const MAP_FEATURE_CAP = 500;
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+/**
+ * Helper: Read sort, limit, cursor and includeTotal query params for a paginated listing
+ * Returns { pagination } or { errors }
+ */
+const parsePagination = (event, { sorts, defaultSort }) => {
+  const sortBy = getQueryParam(event, 'sort') || defaultSort;
+  if (!sorts.includes(sortBy)) {
+    return { errors: [{ field: 'sort', message: `must be one of: ${sorts.join(', ')}` }] };
+  }
+
+  return {
+    pagination: {
+      sortBy,
+      limit: clampPageSize(getQueryParam(event, 'limit')),
+      cursor: getQueryParam(event, 'cursor'),
+      withTotal: getQueryParam(event, 'includeTotal') === 'true',
+    },
+  };
+};
+
+/**
+ * Helper: Run a paginated listing, turning a bad cursor into a 400
+ * Returns { page } or { response }
+ */
+const loadPage = async (fetchPage) => {
+  try {
+    return { page: await fetchPage() };
+  } catch (error) {
+    if (error.message === 'INVALID_CURSOR') {
+      return { response: httpResponse.error('Invalid or expired cursor for this sort') };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Helper: Check that every story in trailData references an existing category
+ */
+const validateStoryCategories = (trailData) => {
+  if (!trailData || !Array.isArray(trailData.customStories)) {
+    return [];
+  }
+  return categoriesService.validateCategoryReferences(
+    trailData.customStories.map((story, index) => ({
+      field: `trailData.customStories[${index}].categoryId`,
+      categoryId: story.categoryId,
+    }))
+  );
+};
+
+/**
+ * Helper: Swap confirmed file IDs in trailData and its stories for their URLs
+ * Returns { errors, fileIds } - the files to link to the trail once it is saved
+ */
+const resolveTrailFileIds = (trailData, userId) => {
+  if (!trailData) {
+    return { errors: [], fileIds: [] };
+  }
+  const targets = [{ payload: trailData, prefix: 'trailData' }];
+  if (Array.isArray(trailData.customStories)) {
+    trailData.customStories.forEach((story, index) => {
+      targets.push({ payload: story, prefix: `trailData.customStories[${index}]` });
+    });
+  }
+  return filesService.applyFileReferences(userId, targets);
+};
 
 /**
  * POST /trails
@@ -53,6 +143,22 @@ const saveTrail = async (event) => {
       );
     }
 
+    // POST always carries the full trail, whether it creates or replaces it
+    const validationErrors = validateTrailData(trailData);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await validateStoryCategories(trailData));
+    }
+    let fileIds = [];
+    if (validationErrors.length === 0) {
+      const resolved = await resolveTrailFileIds(trailData, userId);
+      validationErrors.push(...resolved.errors);
+      fileIds = resolved.fileIds;
+    }
+    if (validationErrors.length > 0) {
+      console.warn(`[TRAIL] ❌ Validation failed: ${validationErrors.length} errors`);
+      return httpResponse.validationError(validationErrors);
+    }
+
     // Check if trail already exists
     const existingTrail = await trailsService.getTrail(referenceCode);
     
@@ -70,56 +176,66 @@ const saveTrail = async (event) => {
       
       // User owns the trail - update it instead
       console.log(`[TRAIL] User owns trail. Updating existing trail instead of creating new one...`);
+
+      if (typeof isPublished === 'boolean') {
+        const conflictResponse = publishConflictResponse(existingTrail, isPublished);
+        if (conflictResponse) return conflictResponse;
+      }
       
+      // Only pass the fields we want to update, never isPaid from frontend
+      const updateData = { trailData };
+
+      // Safeguard: Remove any isPaid that might be in the body or trailData
+      if (body.isPaid !== undefined) {
+        console.log(`[TRAIL] ⚠️  WARNING: Ignoring isPaid from request body - this should only be set via payment webhook`);
+      }
+      if (trailData && trailData.isPaid !== undefined) {
+        console.log(`[TRAIL] ⚠️  WARNING: Ignoring isPaid from trailData - this should only be set via payment webhook`);
+        delete trailData.isPaid;
+      }
+
+      let success;
       try {
-        // Only pass the fields we want to update, never isPaid from frontend
-        const updateData = {
-          trailData,
-          isPublished: isPublished || false
-          // NOTE: isPaid should NEVER be set from frontend, only via payment webhook
-        };
-        
-        // Safeguard: Remove any isPaid that might be in the body or trailData
-        if (body.isPaid !== undefined) {
-          console.log(`[TRAIL] ⚠️  WARNING: Ignoring isPaid from request body - this should only be set via payment webhook`);
-        }
-        if (trailData && trailData.isPaid !== undefined) {
-          console.log(`[TRAIL] ⚠️  WARNING: Ignoring isPaid from trailData - this should only be set via payment webhook`);
-          delete trailData.isPaid;
-        }
-        
-        console.log(`[TRAIL] Update data:`, { hasTrailData: !!updateData.trailData, isPublished: updateData.isPublished });
-        
-        const success = await trailsService.updateTrail(referenceCode, updateData);
-        
-        if (!success) {
-          console.error(`[TRAIL] ❌ Failed to update existing trail`);
-          return httpResponse.serverError('Failed to update trail');
-        }
-        
-        // Get updated trail
-        const updatedTrail = await trailsService.getTrail(referenceCode);
-        
-        console.log(`[TRAIL] ✅ Trail updated successfully`);
-        console.log(`[TRAIL] Status: ${updatedTrail.status}`);
-        
-        return httpResponse.success({
-          success: true,
-          message: 'Trail updated successfully',
-          referenceCode: updatedTrail.referenceCode,
-          status: updatedTrail.status,
-          expiresAt: updatedTrail.expiresAt,
+        success = await trailsService.updateTrail(referenceCode, updateData, {
+          userId,
+          expectedVersions: parseIfMatch(event),
         });
       } catch (error) {
-        if (error.message === 'PAYMENT_REQUIRED') {
-          console.warn(`[TRAIL] ❌ Cannot publish - payment required`);
-          return httpResponse.error(
-            'Cannot publish trail with more than 5 stories. Payment is required.',
-            400
-          );
+        if (error.message === 'VERSION_MISMATCH') {
+          return staleWriteResponse(await trailsService.getTrail(referenceCode));
+        }
+        if (error.message === 'PAID_CONTENT_EXCEEDED') {
+          return httpResponse.conflict('Paid trails cannot add stories or videos beyond what was paid for', { allowance: error.allowance });
         }
         throw error;
       }
+
+      if (!success) {
+        console.error(`[TRAIL] ❌ Failed to update existing trail`);
+        return httpResponse.serverError('Failed to update trail');
+      }
+
+      await filesService.linkFilesToTrail(userId, fileIds, referenceCode);
+
+      if (typeof isPublished === 'boolean') {
+        const response = await applyPublishRequest(referenceCode, isPublished, userId);
+        if (response) return response;
+      }
+
+      // Get updated trail
+      const updatedTrail = await trailsService.getTrail(referenceCode);
+
+      console.log(`[TRAIL] ✅ Trail updated successfully`);
+      console.log(`[TRAIL] Status: ${updatedTrail.status}`);
+
+      return withEtag(httpResponse.success({
+        success: true,
+        message: 'Trail updated successfully',
+        referenceCode: updatedTrail.referenceCode,
+        status: updatedTrail.status,
+        version: updatedTrail.version,
+        expiresAt: updatedTrail.expiresAt,
+      }), updatedTrail.version);
     }
     
     // Trail doesn't exist - create new one
@@ -128,10 +244,11 @@ const saveTrail = async (event) => {
         referenceCode,
         userId,
         userEmail,
-        trailData,
-        isPublished || false
+        trailData
       );
 
+      await filesService.linkFilesToTrail(userId, fileIds, referenceCode);
+
       console.log(`[TRAIL] ✅ Trail created successfully`);
       console.log(`[TRAIL] Expires At: ${result.expiresAt}`);
 
@@ -168,10 +285,7 @@ const saveTrail = async (event) => {
  */
 const getTrail = async (event) => {
   try {
-    const path = event.path || event.rawPath;
-    // Extract reference code from path like /trails/TRAIL-ABC
-    const match = path.match(/\/trails\/([^/?]+)/);
-    const referenceCode = match ? match[1] : null;
+    const referenceCode = getPathParam(event, 'code');
 
     console.log(`[TRAIL] GET /trails/:code - Fetch trail`);
     console.log(`[TRAIL] Reference Code: ${referenceCode}`);
@@ -195,17 +309,21 @@ const getTrail = async (event) => {
     }
 
     console.log(`[TRAIL] ✅ Trail found and valid`);
-    return httpResponse.success({
+    return withEtag(httpResponse.success({
       success: true,
       referenceCode: trail.referenceCode,
       userId: trail.userId,
       userEmail: trail.email,
       trailData: trail.trailData,
       isPaid: trail.isPaid,
+      staleWarnedAt: trail.staleWarnedAt,
+      staleArchiveAt: trail.staleArchiveAt,
+      version: trail.version,
       createdAt: trail.createdAt,
+      updatedAt: trail.updatedAt,
       expiresAt: trail.expiresAt,
       expired: false,
-    });
+    }), trail.version);
   } catch (error) {
     console.error('❌ Error getting trail:', error);
     return httpResponse.serverError('Failed to get trail');
@@ -230,13 +348,19 @@ const getUserTrails = async (event) => {
     const userId = authResult.userId;
     console.log(`[TRAIL] User ID: ${userId}`);
 
-    const trails = await trailsService.getUserTrails(userId);
+    const { pagination, errors } = parsePagination(event, { sorts: TRAIL_SORTS, defaultSort: 'newest' });
+    if (errors) {
+      return httpResponse.validationError(errors);
+    }
+
+    const { page, response } = await loadPage(() => trailsService.getUserTrails(userId, pagination));
+    if (response) return response;
 
-    console.log(`[TRAIL] ✅ Retrieved ${trails.length} trails for user`);
+    console.log(`[TRAIL] ✅ Retrieved ${page.trails.length} trails for user`);
 
     return httpResponse.success({
       success: true,
-      trails: trails,
+      ...page,
     });
   } catch (error) {
     console.error('❌ Error getting user trails:', error);
@@ -260,10 +384,7 @@ const updateTrailData = async (event) => {
       return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
     }
 
-    const path = event.path || event.rawPath;
-    // Extract reference code from path like /trails/TRAIL-ABC/update
-    const match = path.match(/\/trails\/([^\/]+)\//);    
-    const referenceCode = match ? match[1] : null;
+    const referenceCode = getPathParam(event, 'code');
 
     console.log(`[TRAIL] Reference Code: ${referenceCode}`);
 
@@ -275,6 +396,27 @@ const updateTrailData = async (event) => {
     const body = parseBody(event);
     const userId = authResult.userId;
 
+    // PUT is a partial update - only fields that are present are validated
+    const validationErrors = body.trailData !== undefined
+      ? validateTrailData(body.trailData, { partial: true })
+      : [];
+    if (body.isPublished !== undefined && typeof body.isPublished !== 'boolean') {
+      validationErrors.push({ field: 'isPublished', message: 'must be a boolean' });
+    }
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await validateStoryCategories(body.trailData));
+    }
+    let fileIds = [];
+    if (validationErrors.length === 0) {
+      const resolved = await resolveTrailFileIds(body.trailData, userId);
+      validationErrors.push(...resolved.errors);
+      fileIds = resolved.fileIds;
+    }
+    if (validationErrors.length > 0) {
+      console.warn(`[TRAIL] ❌ Validation failed: ${validationErrors.length} errors`);
+      return httpResponse.validationError(validationErrors);
+    }
+
     // Verify trail exists and user owns it
     const trail = await trailsService.getTrail(referenceCode);
     if (!trail) {
@@ -295,7 +437,10 @@ const updateTrailData = async (event) => {
       return httpResponse.error('Trail has expired', 410);
     }
 
-    // Update the trail data (allowed even if paid)
+    const conflictResponse = publishConflictResponse(trail, body.isPublished);
+    if (conflictResponse) return conflictResponse;
+
+    // Update the trail data (allowed even if paid, within the stories and videos paid for)
     const updateData = {
       trailData: body.trailData,
     };
@@ -309,21 +454,18 @@ const updateTrailData = async (event) => {
       delete body.trailData.isPaid;
     }
 
-    // Handle publish/unpublish request
-    if (body.isPublished !== undefined) {
-      updateData.isPublished = body.isPublished;
-    }
-
     let success;
     try {
-      success = await trailsService.updateTrail(referenceCode, updateData);
+      success = await trailsService.updateTrail(referenceCode, updateData, {
+        userId,
+        expectedVersions: parseIfMatch(event),
+      });
     } catch (error) {
-      if (error.message === 'PAYMENT_REQUIRED') {
-        console.warn(`[TRAIL] ❌ Cannot publish - payment required`);
-        return httpResponse.error(
-          'Cannot publish trail with more than 5 stories. Payment is required.',
-          400
-        );
+      if (error.message === 'VERSION_MISMATCH') {
+        return staleWriteResponse(await trailsService.getTrail(referenceCode));
+      }
+      if (error.message === 'PAID_CONTENT_EXCEEDED') {
+        return httpResponse.conflict('Paid trails cannot add stories or videos beyond what was paid for', { allowance: error.allowance });
       }
       throw error;
     }
@@ -333,14 +475,23 @@ const updateTrailData = async (event) => {
       return httpResponse.serverError('Failed to update trail');
     }
 
+    await filesService.linkFilesToTrail(userId, fileIds, referenceCode);
+
+    // Handle publish/unpublish request
+    if (body.isPublished !== undefined) {
+      const response = await applyPublishRequest(referenceCode, body.isPublished, userId);
+      if (response) return response;
+    }
+
     const updatedTrail = await trailsService.getTrail(referenceCode);
     console.log(`[TRAIL] ✅ Trail updated successfully`);
-    return httpResponse.success({
+    return withEtag(httpResponse.success({
       success: true,
       message: 'Trail updated successfully',
       referenceCode: referenceCode,
+      version: updatedTrail.version,
       updatedAt: updatedTrail.updatedAt,
-    });
+    }), updatedTrail.version);
   } catch (error) {
     console.error('❌ Error updating trail:', error);
     return httpResponse.serverError('Failed to update trail');
@@ -359,10 +510,7 @@ const deleteTrail = async (event) => {
       return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
     }
 
-    const path = event.path || event.rawPath;
-    // Extract reference code from path
-    const match = path.match(/\/trails\/([^/?]+)/);
-    const referenceCode = match ? match[1] : null;
+    const referenceCode = getPathParam(event, 'code');
 
     if (!referenceCode) {
       return httpResponse.error('Missing referenceCode in path');
@@ -402,6 +550,9 @@ const deleteTrail = async (event) => {
 /**
  * PUT /trails/{referenceCode}/paid
  * Mark trail as paid (REQUIRES AUTH)
+ * Body: { paymentIntentId } - confirmed with Stripe before the trail is marked paid.
+ * The Stripe webhook normally gets there first; this is a fallback for clients
+ * that want the paid state immediately after confirming the payment.
  */
 const markTrailAsPaid = async (event) => {
   try {
@@ -415,9 +566,7 @@ const markTrailAsPaid = async (event) => {
       return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
     }
 
-    const path = event.path || event.rawPath;
-    const match = path.match(/\/trails\/([^\/]+)\//);    
-    const referenceCode = match ? match[1] : null;
+    const referenceCode = getPathParam(event, 'code');
 
     console.log(`[PAYMENT] Reference Code: ${referenceCode}`);
 
@@ -451,9 +600,35 @@ const markTrailAsPaid = async (event) => {
       return httpResponse.error('Trail has already been paid', 400);
     }
 
+    if (!body.paymentIntentId) {
+      console.warn(`[PAYMENT] ❌ Missing paymentIntentId`);
+      return httpResponse.error('Missing paymentIntentId in request body');
+    }
+
+    // Never trust the client - confirm the payment with Stripe
+    const paymentIntent = await paymentsService.verifyPaymentIntentForTrail(body.paymentIntentId, referenceCode);
+    if (!paymentIntent) {
+      console.warn(`[PAYMENT] ❌ PaymentIntent ${body.paymentIntentId} has not succeeded for trail ${referenceCode}`);
+      return httpResponse.error('Payment has not been completed for this trail', 402);
+    }
+
     // Mark as paid
     console.log(`[PAYMENT] Marking trail as paid...`);
-    const success = await trailsService.markTrailAsPaid(referenceCode);
+    let success;
+    try {
+      success = await trailsService.markTrailAsPaid(referenceCode, paymentIntent.id, {
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      });
+    } catch (error) {
+      if (error.message === 'PAYMENT_NOT_FOR_CHECKOUT') {
+        return httpResponse.conflict(
+          'Payment is not for the current checkout of this trail - the trail changed after it was quoted',
+          { currentStatus: trail.status }
+        );
+      }
+      throw error;
+    }
 
     if (!success) {
       console.error(`[PAYMENT] ❌ Failed to mark trail as paid: ${referenceCode}`);
@@ -463,14 +638,13 @@ const markTrailAsPaid = async (event) => {
     const updatedTrail = await trailsService.getTrail(referenceCode);
 
     console.log(`[PAYMENT] ✅ Trail marked as paid successfully`);
-    console.log(`[PAYMENT] Published At: ${new Date().toISOString()}`);
 
     return httpResponse.success({
       success: true,
-      message: 'Trail marked as paid and published',
+      message: 'Trail paid and published',
       referenceCode: referenceCode,
       isPaid: true,
-      publishedAt: new Date().toISOString(),
+      status: updatedTrail.status,
       trailId: trail.id,
     });
   } catch (error) {
@@ -479,93 +653,356 @@ const markTrailAsPaid = async (event) => {
   }
 };
 
+/**
+ * Helper: Load a trail for a status change by its owner or an admin
+ * Returns { response } with an error response, or { trail, actor, userId }
+ */
+const loadTrailForStatusChange = async (event) => {
+  const authResult = await verifyAuthToken(event);
+  if (!authResult.authenticated) {
+    return { response: httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token') };
+  }
+
+  const referenceCode = getPathParam(event, 'code');
+  if (!referenceCode) {
+    return { response: httpResponse.error('Missing referenceCode in path') };
+  }
+
+  const trail = await trailsService.getTrail(referenceCode);
+  if (!trail) {
+    return { response: httpResponse.notFound('Trail not found') };
+  }
+
+  // Admins act with admin rights even on their own trails
+  if (authResult.isAdmin) {
+    return { trail, actor: trailStatusService.ACTORS.ADMIN, userId: authResult.userId };
+  }
+  if (trail.userId === authResult.userId) {
+    return { trail, actor: trailStatusService.ACTORS.OWNER, userId: authResult.userId };
+  }
+
+  return { response: httpResponse.error('You do not have permission to modify this trail', 403) };
+};
+
+/**
+ * Helper: Map trailStatusService errors to responses (null for anything else)
+ */
+const transitionErrorResponse = (error) => {
+  if (error.message === 'ILLEGAL_TRANSITION') {
+    return httpResponse.conflict(
+      `Cannot change trail status from ${error.currentStatus} to ${error.requestedStatus}`,
+      { currentStatus: error.currentStatus, allowedTransitions: error.allowed }
+    );
+  }
+  if (error.message === 'TRAIL_NOT_FOUND') {
+    return httpResponse.notFound('Trail not found');
+  }
+  return null;
+};
+
+/**
+ * Helper: Refuse an isPublished flag the trail's current status does not allow, before anything is written
+ * Saving content never makes publishing possible, so a request that would fail afterwards fails here instead.
+ * Returns a 409 response, or null
+ */
+const publishConflictResponse = (trail, isPublished) => {
+  if (isPublished === undefined || isPublished === (trail.status === 'published')) {
+    return null;
+  }
+
+  const toStatus = isPublished ? 'published' : 'unpublished';
+  const allowed = trailStatusService.getAllowedTransitions(trail, trailStatusService.ACTORS.OWNER);
+  if (allowed.includes(toStatus)) {
+    return null;
+  }
+
+  console.warn(`[TRAIL] ❌ Cannot ${isPublished ? 'publish' : 'unpublish'} ${trail.referenceCode} while ${trail.status}`);
+  return httpResponse.conflict(
+    `Cannot change trail status from ${trail.status} to ${toStatus}`,
+    { currentStatus: trail.status, allowedTransitions: allowed }
+  );
+};
+
+/**
+ * Helper: Turn an isPublished flag from the owner into a publish/unpublish transition
+ * Runs after the content was saved (publishConflictResponse checked it beforehand), so a status change
+ * that raced the save still answers 409, with the saved version and its ETag.
+ * Returns an error response, or null when the trail is (now) in the requested state
+ */
+const applyPublishRequest = async (referenceCode, isPublished, userId) => {
+  const trail = await trailsService.getTrail(referenceCode);
+  const isLive = trail.status === 'published';
+  if (isPublished === isLive) {
+    return null;
+  }
+
+  try {
+    await trailStatusService.transition(referenceCode, isPublished ? 'published' : 'unpublished', {
+      actor: trailStatusService.ACTORS.OWNER,
+      actorId: userId,
+    });
+    return null;
+  } catch (error) {
+    if (error.message === 'ILLEGAL_TRANSITION') {
+      console.warn(`[TRAIL] ❌ Cannot ${isPublished ? 'publish' : 'unpublish'} ${referenceCode} while ${error.currentStatus}`);
+      return withEtag(httpResponse.conflict(
+        `Trail content was saved, but its status cannot change from ${error.currentStatus} to ${error.requestedStatus}`,
+        { currentStatus: error.currentStatus, allowedTransitions: error.allowed, version: trail.version }
+      ), trail.version);
+    }
+    const response = transitionErrorResponse(error);
+    if (response) return response;
+    throw error;
+  }
+};
+
 /**
  * PUT /trails/{referenceCode}/status
- * Update trail status (REQUIRES AUTH)
+ * Move a trail along the lifecycle (REQUIRES AUTH - owner or admin)
+ * Body: { status, reason? }
+ * Illegal transitions return 409 with the states the caller may move to instead
  */
 const updateTrailStatus = async (event) => {
   try {
-    // Verify authentication
-    const authResult = await verifyAuthToken(event);
-    if (!authResult.authenticated) {
-      return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
-    }
+    const { response, trail, actor, userId } = await loadTrailForStatusChange(event);
+    if (response) return response;
 
-    const path = event.path || event.rawPath;
-    const match = path.match(/\/trails\/([^\/]+)\//);    
-    const referenceCode = match ? match[1] : null;
-
-    if (!referenceCode) {
-      return httpResponse.error('Missing referenceCode in path');
-    }
-
-    const userId = authResult.userId;
     const body = parseBody(event);
-
-    if (!body.status) {
-      return httpResponse.error('Missing status in request body');
+    if (!trailStatusService.TRAIL_STATES.includes(body.status)) {
+      return httpResponse.validationError([
+        { field: 'status', message: `must be one of: ${trailStatusService.TRAIL_STATES.join(', ')}` },
+      ]);
     }
-
-    // Verify trail exists and user owns it
-    const trail = await trailsService.getTrail(referenceCode);
-    if (!trail) {
-      return httpResponse.notFound('Trail not found');
+    if (body.reason !== undefined && (typeof body.reason !== 'string' || body.reason.length > 500)) {
+      return httpResponse.validationError([{ field: 'reason', message: 'must be a string of at most 500 characters' }]);
     }
 
-    if (trail.userId !== userId) {
-      return httpResponse.error('You do not have permission to modify this trail', 403);
+    let result;
+    try {
+      result = await trailStatusService.transition(trail.referenceCode, body.status, {
+        actor,
+        actorId: userId,
+        reason: body.reason || null,
+        expectedVersions: parseIfMatch(event),
+      });
+    } catch (error) {
+      if (error.message === 'VERSION_MISMATCH') {
+        return staleWriteResponse(await trailsService.getTrail(trail.referenceCode));
+      }
+      const errorResponse = transitionErrorResponse(error);
+      if (errorResponse) return errorResponse;
+      throw error;
     }
 
-    // Valid statuses
-    const validStatuses = ['payment_pending', 'payment_completed', 'payment_failed'];
-    if (!validStatuses.includes(body.status)) {
-      return httpResponse.error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
-    }
+    return withEtag(httpResponse.success({
+      success: true,
+      message: 'Trail status updated',
+      referenceCode: trail.referenceCode,
+      previousStatus: result.fromStatus,
+      status: result.status,
+      version: result.version,
+      changedAt: result.changedAt,
+      allowedTransitions: trailStatusService.getAllowedTransitions(
+        { status: result.status, isPaid: result.status === 'draft' ? false : trail.isPaid },
+        actor
+      ),
+    }), result.version);
+  } catch (error) {
+    console.error('❌ Error updating trail status:', error);
+    return httpResponse.serverError('Failed to update trail status');
+  }
+};
 
-    // Update status
-    const success = await trailsService.updateTrail(referenceCode, { status: body.status });
+/**
+ * GET /trails/{referenceCode}/transitions
+ * Lifecycle history of a trail, plus the states the caller may move it to (owner or admin)
+ */
+const getTrailTransitions = async (event) => {
+  try {
+    const { response, trail, actor } = await loadTrailForStatusChange(event);
+    if (response) return response;
 
-    if (!success) {
-      return httpResponse.serverError('Failed to update trail status');
-    }
+    const transitions = await trailStatusService.getTransitions(trail.referenceCode);
 
     return httpResponse.success({
       success: true,
-      message: 'Trail status updated',
-      referenceCode: referenceCode,
-      status: body.status,
+      referenceCode: trail.referenceCode,
+      status: trail.status,
+      allowedTransitions: trailStatusService.getAllowedTransitions(trail, actor),
+      transitions,
     });
   } catch (error) {
-    console.error('❌ Error updating trail status:', error);
-    return httpResponse.serverError('Failed to update trail status');
+    console.error('❌ Error getting trail transitions:', error);
+    return httpResponse.serverError('Failed to get trail transitions');
   }
 };
 
+/**
+ * Helper: Read the caller location from lat, lng and radiusKm query params
+ * Returns { location } (null when no location was sent) or { errors }
+ */
+const parseLocation = (event) => {
+  const lat = getQueryParam(event, 'lat');
+  const lng = getQueryParam(event, 'lng');
+  const radius = getQueryParam(event, 'radiusKm');
+
+  if (lat === null && lng === null) {
+    return radius === null
+      ? { location: null }
+      : { errors: [{ field: 'radiusKm', message: 'requires lat and lng' }] };
+  }
+
+  const errors = [];
+  const location = {
+    lat: Number(lat),
+    lng: Number(lng),
+    radiusKm: radius === null ? DEFAULT_RADIUS_KM : Number(radius),
+  };
+
+  if (lat === null || !Number.isFinite(location.lat) || location.lat < -90 || location.lat > 90) {
+    errors.push({ field: 'lat', message: 'must be a number between -90 and 90' });
+  }
+  if (lng === null || !Number.isFinite(location.lng) || location.lng < -180 || location.lng > 180) {
+    errors.push({ field: 'lng', message: 'must be a number between -180 and 180' });
+  }
+  if (!Number.isFinite(location.radiusKm) || location.radiusKm <= 0 || location.radiusKm > MAX_RADIUS_KM) {
+    errors.push({ field: 'radiusKm', message: `must be a number greater than 0 and at most ${MAX_RADIUS_KM}` });
+  }
+
+  return errors.length > 0 ? { errors } : { location };
+};
+
 /**
  * GET /trails
  * Get all published trails (public endpoint)
+ * Optional proximity search: ?lat=&lng=&radiusKm= (radius defaults to 25 km), sort=nearest
+ * Paginated with ?limit=&cursor= (pass back nextCursor), ?includeTotal=true adds the total count
  */
 const getPublishedTrails = async (event) => {
   try {
-    const sortBy = getQueryParam(event, 'sort') || 'distance'; // distance, newest, difficulty
     const difficulty = getQueryParam(event, 'difficulty'); // Easy, Medium, Hard
-    const limit = parseInt(getQueryParam(event, 'limit') || '50');
-    const offset = parseInt(getQueryParam(event, 'offset') || '0');
+    const category = getQueryParam(event, 'category'); // category slug or id
 
-    const trails = await trailsService.getPublishedTrails({
-      sortBy,
+    const { location, errors: locationErrors } = parseLocation(event);
+    if (locationErrors) {
+      return httpResponse.validationError(locationErrors);
+    }
+
+    // distance, newest, difficulty - plus nearest when a location is given
+    const { pagination, errors } = parsePagination(event, {
+      sorts: location ? [...TRAIL_SORTS, 'nearest'] : TRAIL_SORTS,
+      defaultSort: 'distance',
+    });
+    if (errors) {
+      return httpResponse.validationError(errors);
+    }
+
+    let categoryId;
+    if (category) {
+      categoryId = await categoriesService.resolveCategoryId(category);
+      if (!categoryId) {
+        return httpResponse.notFound('Category not found');
+      }
+    }
+
+    const { page, response } = await loadPage(() => trailsService.getPublishedTrails({
+      ...pagination,
+      difficulty,
+      categoryId,
+      location,
+    }));
+    if (response) return response;
+
+    return httpResponse.success({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('❌ Error getting published trails:', error);
+    return httpResponse.serverError('Failed to get published trails');
+  }
+};
+
+/**
+ * GET /trails/search?q=gold+rush&difficulty=&limit=&offset=
+ * Full-text search over published trails and their stories, most relevant first (public endpoint)
+ */
+const searchTrails = async (event) => {
+  try {
+    const query = (getQueryParam(event, 'q') || '').trim();
+    const difficulty = getQueryParam(event, 'difficulty'); // Easy, Medium, Hard
+    const limit = clampPageSize(getQueryParam(event, 'limit'));
+    const offset = Math.max(0, parseInt(getQueryParam(event, 'offset') || '0') || 0);
+
+    if (query.length < 2 || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return httpResponse.validationError([
+        { field: 'q', message: `must be between 2 and ${MAX_SEARCH_QUERY_LENGTH} characters` },
+      ]);
+    }
+
+    const { total, trails } = await trailsService.searchPublishedTrails({
+      query,
       difficulty,
       limit,
       offset,
     });
 
+    console.log(`[TRAIL] 🔎 Search "${query}": ${total} matches`);
+
     return httpResponse.success({
       success: true,
-      trails: trails,
+      query,
+      total,
+      trails,
     });
   } catch (error) {
-    console.error('❌ Error getting published trails:', error);
-    return httpResponse.serverError('Failed to get published trails');
+    console.error('❌ Error searching trails:', error);
+    return httpResponse.serverError('Failed to search trails');
+  }
+};
+
+/**
+ * Helper: Parse bbox=minLng,minLat,maxLng,maxLat
+ * Returns { bbox } or { errors }
+ */
+const parseBoundingBox = (value) => {
+  const parts = (value || '').split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return { errors: [{ field: 'bbox', message: 'must be minLng,minLat,maxLng,maxLat' }] };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const errors = [];
+  if (minLng < -180 || minLng > 180 || maxLng < -180 || maxLng > 180) {
+    errors.push({ field: 'bbox', message: 'longitudes must be between -180 and 180' });
+  }
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat) {
+    errors.push({ field: 'bbox', message: 'latitudes must be between -90 and 90 with minLat <= maxLat' });
+  }
+
+  return errors.length > 0 ? { errors } : { bbox: { minLng, minLat, maxLng, maxLat } };
+};
+
+/**
+ * GET /trails/map?bbox=minLng,minLat,maxLng,maxLat
+ * Story pins of published trails in the viewport as a GeoJSON FeatureCollection (public endpoint)
+ * Above the cap, pins are grouped into grid clusters ({ cluster: true, pointCount })
+ */
+const getTrailMap = async (event) => {
+  try {
+    const { bbox, errors } = parseBoundingBox(getQueryParam(event, 'bbox'));
+    if (errors) {
+      return httpResponse.validationError(errors);
+    }
+
+    const featureCollection = await trailsService.getMapFeatures(bbox, MAP_FEATURE_CAP);
+
+    console.log(`[TRAIL] 🗺️ Map: ${featureCollection.total} stories, ${featureCollection.features.length} features`);
+
+    return httpResponse.success(featureCollection);
+  } catch (error) {
+    console.error('❌ Error getting trail map:', error);
+    return httpResponse.serverError('Failed to get trail map');
   }
 };
 
@@ -576,7 +1013,10 @@ module.exports = {
   updateTrailData,
   markTrailAsPaid,
   updateTrailStatus,
+  getTrailTransitions,
   deleteTrail,
   getPublishedTrails,
+  getTrailMap,
+  searchTrails,
 };
 
@@ -0,0 +1,90 @@
+/**
+ * Lambda Handler: Trash Bin
+ * GET /trails/my/trash - Deleted trails of the caller
+ * POST /trails/{referenceCode}/restore - Restore a deleted trail within the retention window
+ * All routes require auth; restore requires trail ownership.
+ */
+
+const trashService = require('../services/trashService');
+const { httpResponse, getPathParam } = require('../utils/http');
+const { verifyAuthToken } = require('../middleware/auth-sequelize');
+
+/**
+ * GET /trails/my/trash
+ */
+const getTrash = async (event) => {
+  try {
+    const authResult = await verifyAuthToken(event);
+    if (!authResult.authenticated) {
+      return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
+    }
+
+    const trails = await trashService.getDeletedTrails(authResult.userId);
+
+    return httpResponse.success({
+      success: true,
+      retentionDays: trashService.getRetentionDays(),
+      trails,
+    });
+  } catch (error) {
+    console.error('❌ Error getting trash:', error);
+    return httpResponse.serverError('Failed to get deleted trails');
+  }
+};
+
+/**
+ * POST /trails/{referenceCode}/restore
+ */
+const restoreTrail = async (event) => {
+  try {
+    const authResult = await verifyAuthToken(event);
+    if (!authResult.authenticated) {
+      return httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token');
+    }
+
+    const referenceCode = getPathParam(event, 'code');
+    if (!referenceCode) {
+      return httpResponse.error('Missing referenceCode in path');
+    }
+
+    const trail = await trashService.getDeletedTrail(referenceCode);
+    if (!trail) {
+      return httpResponse.notFound('Trail not found in trash');
+    }
+    if (trail.userId !== authResult.userId) {
+      console.error(`[TRASH] ❌ Unauthorized: User ${authResult.userId} cannot restore trail of ${trail.userId}`);
+      return httpResponse.error('You do not have permission to restore this trail', 403);
+    }
+
+    let restored;
+    try {
+      restored = await trashService.restoreTrail(referenceCode);
+    } catch (error) {
+      if (error.message === 'RETENTION_EXPIRED') {
+        return httpResponse.error(
+          `Trail was deleted more than ${trashService.getRetentionDays()} days ago and can no longer be restored`,
+          410
+        );
+      }
+      throw error;
+    }
+    if (!restored) {
+      return httpResponse.notFound('Trail not found in trash');
+    }
+
+    return httpResponse.success({
+      success: true,
+      message: 'Trail restored',
+      referenceCode,
+      status: trail.status,
+    });
+  } catch (error) {
+    console.error('❌ Error restoring trail:', error);
+    return httpResponse.serverError('Failed to restore trail');
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrail,
+};
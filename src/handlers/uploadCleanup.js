@@ -0,0 +1,58 @@
+/**
+ * Scheduled Lambda Handler: Orphaned upload cleanup
+ * Deletes uploads under images|videos/uploads/{userId}/ that no trail, trashed trail or revision
+ * references, once they are older than UPLOAD_GC_GRACE_DAYS, and aborts multipart uploads
+ * started more than MULTIPART_UPLOAD_MAX_AGE_HOURS ago.
+ * A run that nears the Lambda timeout stops between users; the next run resumes after the last one.
+ *
+ * Dry run: invoke with { "dryRun": true } or set UPLOAD_GC_DRY_RUN=true.
+ * Locally, point S3_ENDPOINT at an S3-compatible stand-in (e.g. MinIO) and run
+ *   npx serverless invoke local -f uploadCleanup --data '{"dryRun":true}'
+ */
+
+const uploadCleanupService = require('../services/uploadCleanupService');
+
+// Stop starting new users when less than this is left of the Lambda timeout
+const TIME_RESERVE_MS = 30 * 1000;
+
+const handler = async (event, context) => {
+  try {
+    const dryRun = (event && event.dryRun === true) || process.env.UPLOAD_GC_DRY_RUN === 'true';
+    const shouldStop = () => Boolean(context && context.getRemainingTimeInMillis
+      && context.getRemainingTimeInMillis() < TIME_RESERVE_MS);
+
+    console.log(`🧹 Aborting abandoned multipart uploads${dryRun ? ' (dry run)' : ''}...`);
+
+    const multipart = await uploadCleanupService.abortAbandonedMultipartUploads({ dryRun });
+
+    console.log(`✅ ${multipart.aborted}/${multipart.abandoned} abandoned multipart uploads aborted`);
+
+    console.log(`🧹 Collecting orphaned uploads${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ dryRun, shouldStop });
+
+    const resumeNote = dryRun ? ' - stopped early (dry runs do not move the checkpoint)' : ` - stopped early, next run resumes after ${report.resumeAfter}`;
+    console.log(`✅ ${report.orphaned} orphaned of ${report.objects} uploads across ${report.users} users, ${report.deleted} deleted (${report.bytesFreed} bytes)${report.complete ? '' : resumeNote}`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        success: true,
+        multipart,
+        report,
+        timestamp: new Date().toISOString(),
+      }),
+    };
+  } catch (error) {
+    console.error('❌ Error in upload cleanup handler:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Upload cleanup failed',
+        message: error.message,
+      }),
+    };
+  }
+};
+
+module.exports = { handler };
@@ -0,0 +1,35 @@
+/**
+ * S3 Event Handler: Upload content verification
+ * Triggered for every object created under images/uploads/ and videos/uploads/. Reads the first bytes
+ * and deletes objects whose real format does not match their content type (see mediaVerificationService).
+ * Throws when an object could not be checked, so Lambda retries the event.
+ */
+
+const mediaVerificationService = require('../services/mediaVerificationService');
+
+const handler = async (event) => {
+  const records = (event && event.Records) || [];
+  const results = [];
+
+  for (const record of records) {
+    // S3 event keys are URL-encoded with + for spaces
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    try {
+      results.push(await mediaVerificationService.verifyUpload(key));
+    } catch (error) {
+      console.error(`❌ Error verifying ${key}:`, error);
+      results.push({ status: 'failed', key, message: error.message });
+    }
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  console.log(`✅ Verified ${count('verified')}/${results.length} uploads, ${count('rejected')} rejected, ${count('missing')} already gone`);
+
+  if (count('failed') > 0) {
+    throw new Error(`${count('failed')} uploads could not be verified`);
+  }
+
+  return { success: true, results };
+};
+
+module.exports = { handler };
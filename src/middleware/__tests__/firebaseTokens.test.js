@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyFirebaseToken, setKeySource, TokenVerificationError } = require('../firebaseTokens');
+
+const PROJECT_ID = 'yesterday-stories-test';
+const KID = 'test-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+
+/**
+ * Sign a Firebase-shaped ID token; claims and options override the valid defaults
+ */
+const signToken = (claims = {}, { key = privateKey, kid = KID, algorithm = 'RS256' } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign({
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: 'user-1',
+    iat: now - 10,
+    exp: now + 3600,
+    auth_time: now - 10,
+    ...claims,
+  }, key, { algorithm, ...(kid ? { keyid: kid } : {}) });
+};
+
+/**
+ * Token with a hand-written header, for algorithms jsonwebtoken refuses to produce with an RSA key
+ */
+const tokenWithHeader = (header) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  return `${encode(header)}.${encode({ aud: PROJECT_ID, sub: 'user-1', iat: now, exp: now + 3600 })}.`;
+};
+
+let keySource;
+
+beforeEach(() => {
+  process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  keySource = jest.fn(async () => ({ keys: { [KID]: PUBLIC_PEM }, maxAgeSeconds: 3600 }));
+  setKeySource(keySource);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setKeySource(null);
+});
+
+describe('verifyFirebaseToken', () => {
+  it('accepts a valid token and returns its claims', async () => {
+    const claims = await verifyFirebaseToken(signToken());
+    expect(claims).toMatchObject({ sub: 'user-1', aud: PROJECT_ID });
+  });
+
+  it.each([
+    ['none', { alg: 'none', kid: KID }],
+    ['HS256', { alg: 'HS256', kid: KID }],
+  ])('rejects the %s algorithm', async (label, header) => {
+    await expect(verifyFirebaseToken(tokenWithHeader(header))).rejects.toThrow('Invalid token algorithm');
+  });
+
+  it('rejects a token without a key id', async () => {
+    await expect(verifyFirebaseToken(signToken({}, { kid: null }))).rejects.toThrow('Token has no key id');
+  });
+
+  it('rejects a token signed with an unknown key id', async () => {
+    await expect(verifyFirebaseToken(signToken({}, { kid: 'rotated-away' })))
+      .rejects.toThrow('Token signed with an unknown key');
+  });
+
+  it('rejects a signature from another key', async () => {
+    await expect(verifyFirebaseToken(signToken({}, { key: otherKey }))).rejects.toThrow(TokenVerificationError);
+  });
+
+  it('rejects a token for another project', async () => {
+    await expect(verifyFirebaseToken(signToken({ aud: 'another-project' }))).rejects.toThrow(/jwt audience invalid/);
+  });
+
+  it('rejects a token from another issuer', async () => {
+    await expect(verifyFirebaseToken(signToken({ iss: 'https://evil.example.com' }))).rejects.toThrow(/jwt issuer invalid/);
+  });
+
+  it('rejects an expired token', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await expect(verifyFirebaseToken(signToken({ iat: now - 7200, exp: now - 3600 }))).rejects.toThrow('Token has expired');
+  });
+
+  it('rejects a token issued in the future', async () => {
+    await expect(verifyFirebaseToken(signToken({ iat: Math.floor(Date.now() / 1000) + 600 })))
+      .rejects.toThrow('Token issued in the future');
+  });
+
+  it('rejects a token without a subject', async () => {
+    await expect(verifyFirebaseToken(signToken({ sub: '' }))).rejects.toThrow('Token has an invalid subject');
+  });
+
+  it('rejects a token that is not a JWT', async () => {
+    await expect(verifyFirebaseToken('not-a-token')).rejects.toThrow('Invalid token format');
+  });
+});
+
+describe('public key cache', () => {
+  it('fetches the keys once while they are fresh', async () => {
+    await verifyFirebaseToken(signToken());
+    await verifyFirebaseToken(signToken());
+    expect(keySource).toHaveBeenCalledTimes(1);
+  });
+
+  it('refetches for unknown key ids at most once a minute', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await verifyFirebaseToken(signToken());
+    for (let i = 0; i < 5; i++) {
+      await expect(verifyFirebaseToken(signToken({}, { kid: `made-up-${i}` }))).rejects.toThrow('unknown key');
+    }
+    expect(keySource).toHaveBeenCalledTimes(1);
+
+    clock.mockReturnValue(now + 61 * 1000);
+    await expect(verifyFirebaseToken(signToken({}, { kid: 'made-up-again' }))).rejects.toThrow('unknown key');
+    expect(keySource).toHaveBeenCalledTimes(2);
+  });
+
+  it('picks up a rotated key once the refetch interval has passed', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await verifyFirebaseToken(signToken());
+
+    const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    keySource.mockResolvedValue({
+      keys: { 'new-key': rotated.publicKey.export({ type: 'spki', format: 'pem' }) },
+      maxAgeSeconds: 3600,
+    });
+    clock.mockReturnValue(now + 61 * 1000);
+
+    const claims = await verifyFirebaseToken(signToken({}, { key: rotated.privateKey, kid: 'new-key' }));
+    expect(claims.sub).toBe('user-1');
+  });
+});
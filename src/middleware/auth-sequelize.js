@@ -1,14 +1,30 @@
 /**
  * Authentication Middleware - Sequelize Version
- * Decodes Firebase JWT tokens to extract user information
- * TODO: Add Firebase Admin SDK verification in production
+ * Verifies Firebase ID tokens and extracts user information
  */
 
-const jwt = require('jsonwebtoken');
+const { verifyFirebaseToken, TokenVerificationError } = require('./firebaseTokens');
+const { httpResponse } = require('../utils/http');
+
+/**
+ * Helper: Check whether a user is an admin
+ * Admins carry the Firebase custom claim `admin: true` or are listed in ADMIN_USER_IDS
+ */
+const isAdminUser = (userId, claims = {}) => {
+  if (claims.admin === true) {
+    return true;
+  }
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return adminIds.includes(userId);
+};
 
 /**
  * Verify authentication token
- * Returns { authenticated: true, userId: 'user-id', email: 'user@email.com' } on success
+ * Returns { authenticated: true, userId: 'user-id', email: 'user@email.com', isAdmin: false, plan: null } on success
+ * plan is the Firebase custom claim `plan` (e.g. 'pro'), null when unset
  * Returns { authenticated: false, message: 'error message' } on failure
  */
 const verifyAuthToken = async (event) => {
@@ -26,21 +42,26 @@ const verifyAuthToken = async (event) => {
     }
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    console.log(`[AUTH] Decoding Firebase JWT token...`);
+    console.log(`[AUTH] Verifying Firebase ID token...`);
 
-    // Decode Firebase JWT token (without verification for dev environment)
-    // In production, use Firebase Admin SDK to verify the token signature
-    const decoded = jwt.decode(token);
-    
-    if (!decoded || !decoded.user_id) {
-      console.warn(`[AUTH] ❌ Invalid token format or missing user_id`);
-      return {
-        authenticated: false,
-        message: 'Invalid token format',
-      };
+    let decoded;
+    try {
+      decoded = await verifyFirebaseToken(token);
+    } catch (error) {
+      if (error instanceof TokenVerificationError) {
+        console.warn(`[AUTH] ❌ ${error.message}`);
+        return {
+          authenticated: false,
+          message: error.message,
+        };
+      }
+      throw error;
     }
 
-    console.log(`[AUTH] ✅ Token decoded. User ID: ${decoded.user_id}`);
+    // Firebase sets user_id to the same value as sub
+    decoded.user_id = decoded.user_id || decoded.sub;
+
+    console.log(`[AUTH] ✅ Token verified. User ID: ${decoded.user_id}`);
     console.log(`[AUTH] Email: ${decoded.email || 'N/A'}`);
     
     return {
@@ -48,9 +69,11 @@ const verifyAuthToken = async (event) => {
       userId: decoded.user_id,
       email: decoded.email,
       name: decoded.name,
+      isAdmin: isAdminUser(decoded.user_id, decoded),
+      plan: typeof decoded.plan === 'string' ? decoded.plan : null,
     };
   } catch (error) {
-    console.error('[AUTH] ❌ Error decoding token:', error);
+    console.error('[AUTH] ❌ Error verifying token:', error);
     return {
       authenticated: false,
       message: 'Authentication error',
@@ -69,7 +92,25 @@ const requireAuth = async (event) => {
   return auth.userId;
 };
 
+/**
+ * Authenticate the caller and require admin rights
+ * Returns { response } with a 401/403 response on failure, or { auth } for an admin
+ */
+const requireAdmin = async (event) => {
+  const auth = await verifyAuthToken(event);
+  if (!auth.authenticated) {
+    return { response: httpResponse.unauthorized(auth.message || 'Missing or invalid authentication token') };
+  }
+  if (!auth.isAdmin) {
+    console.warn(`[AUTH] ❌ User ${auth.userId} is not an admin`);
+    return { response: httpResponse.forbidden('Admin access required') };
+  }
+  return { auth };
+};
+
 module.exports = {
   verifyAuthToken,
   requireAuth,
+  requireAdmin,
+  isAdminUser,
 };
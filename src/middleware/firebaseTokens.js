@@ -0,0 +1,178 @@
+/**
+ * Firebase ID Token Verification
+ * Verifies RS256 signatures against Google's public certificates
+ * and checks the standard Firebase claims (aud, iss, sub, exp, iat, auth_time)
+ */
+
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Allowed clock skew between Google and Lambda, in seconds
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+// Used when the certificate response has no usable max-age
+const DEFAULT_MAX_AGE_SECONDS = 3600;
+
+// Unknown key ids refetch the certificates at most this often, so tokens with
+// made-up kids cannot turn every request into a call to Google
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Helper: Fetch Google's signing certificates
+ * Returns { keys: { kid: pem }, maxAgeSeconds } using the Cache-Control max-age
+ */
+const fetchGoogleCerts = async () => {
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Firebase public keys: HTTP ${response.status}`);
+  }
+
+  const cacheControl = response.headers.get('cache-control') || '';
+  const match = cacheControl.match(/max-age=(\d+)/);
+
+  return {
+    keys: await response.json(),
+    maxAgeSeconds: match ? parseInt(match[1], 10) : DEFAULT_MAX_AGE_SECONDS,
+  };
+};
+
+let keySource = fetchGoogleCerts;
+let keyCache = null; // { keys, expiresAt, fetchedAt }
+let pendingFetch = null; // in-flight refresh shared by concurrent requests
+
+/**
+ * Helper: Reload the certificates into the cache
+ */
+const refreshKeys = () => {
+  if (!pendingFetch) {
+    pendingFetch = (async () => {
+      try {
+        const now = Date.now();
+        const { keys, maxAgeSeconds } = await keySource();
+        keyCache = {
+          keys: keys || {},
+          expiresAt: now + (maxAgeSeconds || DEFAULT_MAX_AGE_SECONDS) * 1000,
+          fetchedAt: now,
+        };
+        console.log(`[AUTH] 🔑 Loaded ${Object.keys(keyCache.keys).length} Firebase public keys`);
+      } finally {
+        pendingFetch = null;
+      }
+    })();
+  }
+  return pendingFetch;
+};
+
+/**
+ * Helper: Get the public key for a key id, refreshing the cache when it has
+ * expired or does not know the key (Google rotates keys every few hours).
+ * Refreshes for unknown keys are limited to one per MIN_REFETCH_INTERVAL_MS.
+ */
+const getPublicKey = async (kid) => {
+  const now = Date.now();
+  const cacheValid = keyCache && keyCache.expiresAt > now;
+
+  if (!cacheValid) {
+    await refreshKeys();
+  } else if (!keyCache.keys[kid] && now - keyCache.fetchedAt >= MIN_REFETCH_INTERVAL_MS) {
+    console.log(`[AUTH] Unknown key id ${kid} - refreshing Firebase public keys`);
+    await refreshKeys();
+  }
+
+  return keyCache.keys[kid] || null;
+};
+
+/**
+ * Error with a client-safe message
+ */
+class TokenVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenVerificationError';
+  }
+}
+
+/**
+ * Verify a Firebase ID token
+ * @param {string} token - Raw JWT from the Authorization header
+ * @returns {Promise<Object>} Verified claims
+ * @throws {TokenVerificationError} When the token is not valid
+ */
+const verifyFirebaseToken = async (token) => {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('FIREBASE_PROJECT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header || !decoded.payload) {
+    throw new TokenVerificationError('Invalid token format');
+  }
+
+  const { header } = decoded;
+  if (header.alg !== 'RS256') {
+    throw new TokenVerificationError('Invalid token algorithm');
+  }
+  if (!header.kid) {
+    throw new TokenVerificationError('Token has no key id');
+  }
+
+  const publicKey = await getPublicKey(header.kid);
+  if (!publicKey) {
+    throw new TokenVerificationError('Token signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, publicKey, {
+      algorithms: ['RS256'],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new TokenVerificationError('Token has expired');
+    }
+    throw new TokenVerificationError(`Invalid token: ${error.message}`);
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000) + CLOCK_TOLERANCE_SECONDS;
+
+  if (typeof claims.iat !== 'number' || claims.iat > nowSeconds) {
+    throw new TokenVerificationError('Token issued in the future');
+  }
+  if (claims.auth_time !== undefined && claims.auth_time > nowSeconds) {
+    throw new TokenVerificationError('Token auth_time is in the future');
+  }
+  if (typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > 128) {
+    throw new TokenVerificationError('Token has an invalid subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Replace the public key source (tests inject locally generated keys here)
+ * @param {Function} source - async () => ({ keys: { kid: pem }, maxAgeSeconds })
+ */
+const setKeySource = (source) => {
+  keySource = source || fetchGoogleCerts;
+  keyCache = null;
+  pendingFetch = null;
+};
+
+/**
+ * Drop cached public keys
+ */
+const clearKeyCache = () => {
+  keyCache = null;
+};
+
+module.exports = {
+  verifyFirebaseToken,
+  setKeySource,
+  clearKeyCache,
+  TokenVerificationError,
+};
@@ -0,0 +1,44 @@
+/**
+ * Trail Ownership Middleware
+ * Authenticates the caller and loads a trail they own from the `code` path parameter
+ */
+
+const trailsService = require('../services/trailsService');
+const { httpResponse, getPathParam } = require('../utils/http');
+const { verifyAuthToken } = require('./auth-sequelize');
+
+/**
+ * Authenticate and load the trail the caller owns
+ * @param {Object} event - Lambda event
+ * @param {string} tag - Log tag, e.g. 'STORY'
+ * @returns {Promise<{ response }|{ trail, referenceCode, userId }>} An error response, or the trail
+ */
+const loadOwnedTrail = async (event, tag = 'TRAIL') => {
+  const authResult = await verifyAuthToken(event);
+  if (!authResult.authenticated) {
+    console.warn(`[${tag}] ❌ ${authResult.message || 'Not authenticated'}`);
+    return { response: httpResponse.unauthorized(authResult.message || 'Missing or invalid authentication token') };
+  }
+
+  const referenceCode = getPathParam(event, 'code');
+  if (!referenceCode) {
+    return { response: httpResponse.error('Missing referenceCode in path') };
+  }
+
+  const trail = await trailsService.getTrail(referenceCode);
+  if (!trail) {
+    console.warn(`[${tag}] ❌ Trail not found: ${referenceCode}`);
+    return { response: httpResponse.notFound('Trail not found') };
+  }
+
+  if (trail.userId !== authResult.userId) {
+    console.error(`[${tag}] ❌ Unauthorized: User ${authResult.userId} cannot modify trail of ${trail.userId}`);
+    return { response: httpResponse.error('You do not have permission to modify this trail', 403) };
+  }
+
+  return { trail, referenceCode, userId: authResult.userId };
+};
+
+module.exports = {
+  loadOwnedTrail,
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Category = sequelize.define('Category', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    slug: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+    },
+    icon: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'sortOrder',
+    },
+  }, {
+    tableName: 'categories',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { fields: ['slug'] },
+      { fields: ['sortOrder'] },
+    ],
+  });
+
+  Category.associate = (models) => {
+    Category.hasMany(models.CustomStory, {
+      foreignKey: 'categoryId',
+      as: 'stories',
+      constraints: false,
+    });
+  };
+
+  return Category;
+};
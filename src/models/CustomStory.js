@@ -68,6 +68,8 @@ module.exports = (sequelize) => {
       { fields: ['orderIndex'] },
       { fields: ['categoryId'] },
       { fields: ['isPublished'] },
+      { fields: ['latitude', 'longitude'] },
+      { type: 'FULLTEXT', name: 'custom_stories_title_description_fulltext', fields: ['title', 'description'] },
     ],
   });
 
@@ -77,6 +79,12 @@ module.exports = (sequelize) => {
       targetKey: 'referenceCode',
       as: 'trail',
     });
+    // No FK constraint: stories saved before categories existed may carry unknown ids
+    CustomStory.belongsTo(models.Category, {
+      foreignKey: 'categoryId',
+      as: 'category',
+      constraints: false,
+    });
   };
 
   return CustomStory;
@@ -9,7 +9,7 @@ module.exports = (sequelize) => {
     },
     referenceCode: {
       type: DataTypes.STRING(100),
-      allowNull: false,
+      allowNull: true,
       field: 'referenceCode',
       references: {
         model: 'trails',
@@ -58,6 +58,7 @@ module.exports = (sequelize) => {
     createdAt: 'createdAt',
     updatedAt: 'updatedAt',
     indexes: [
+      { unique: true, fields: ['s3Key'] },
       { fields: ['referenceCode'] },
       { fields: ['userId'] },
       { fields: ['fileType'] },
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const JobCheckpoint = sequelize.define('JobCheckpoint', {
+    name: {
+      type: DataTypes.STRING(100),
+      primaryKey: true,
+    },
+    position: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+  }, {
+    tableName: 'job_checkpoints',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+  });
+
+  return JobCheckpoint;
+};
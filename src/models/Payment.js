@@ -7,15 +7,21 @@ module.exports = (sequelize) => {
       primaryKey: true,
       autoIncrement: true,
     },
+    // Null once the trail is purged from the trash; the row is kept and purgedReferenceCode names the trail
     referenceCode: {
       type: DataTypes.STRING(100),
-      allowNull: false,
+      allowNull: true,
       field: 'referenceCode',
       references: {
         model: 'trails',
         key: 'referenceCode',
       },
     },
+    purgedReferenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'purgedReferenceCode',
+    },
     userId: {
       type: DataTypes.STRING(255),
       allowNull: false,
@@ -31,6 +37,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       field: 'amount',
     },
+    amountRefunded: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'amountRefunded',
+    },
     currency: {
       type: DataTypes.STRING(3),
       allowNull: false,
@@ -38,7 +50,7 @@ module.exports = (sequelize) => {
       field: 'currency',
     },
     status: {
-      type: DataTypes.ENUM('pending', 'completed', 'failed', 'canceled'),
+      type: DataTypes.ENUM('pending', 'completed', 'failed', 'canceled', 'refunded'),
       allowNull: false,
       defaultValue: 'pending',
       field: 'status',
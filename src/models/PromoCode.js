@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PromoCode = sequelize.define('PromoCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    percentOff: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'percentOff',
+      validate: {
+        min: 1,
+        max: 100,
+      },
+    },
+    maxRedemptions: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'maxRedemptions',
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expiresAt',
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'isActive',
+    },
+  }, {
+    tableName: 'promo_codes',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { fields: ['code'] },
+      { fields: ['isActive'] },
+    ],
+  });
+
+  PromoCode.associate = (models) => {
+    PromoCode.hasMany(models.PromoRedemption, {
+      foreignKey: 'promoCodeId',
+      as: 'redemptions',
+    });
+  };
+
+  return PromoCode;
+};
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PromoRedemption = sequelize.define('PromoRedemption', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    promoCodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'promoCodeId',
+      references: {
+        model: 'promo_codes',
+        key: 'id',
+      },
+    },
+    userId: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'userId',
+    },
+    // Null once the trail is purged from the trash; the row is kept and purgedReferenceCode names the trail
+    referenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'referenceCode',
+      references: {
+        model: 'trails',
+        key: 'referenceCode',
+      },
+    },
+    purgedReferenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'purgedReferenceCode',
+    },
+    paymentIntentId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'paymentIntentId',
+    },
+    discountAmount: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      field: 'discountAmount',
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'AUD',
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'canceled'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+  }, {
+    tableName: 'promo_redemptions',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { fields: ['promoCodeId'] },
+      { fields: ['userId'] },
+      { fields: ['referenceCode'] },
+      { fields: ['paymentIntentId'] },
+      { fields: ['status'] },
+    ],
+  });
+
+  PromoRedemption.associate = (models) => {
+    PromoRedemption.belongsTo(models.PromoCode, {
+      foreignKey: 'promoCodeId',
+      as: 'promoCode',
+    });
+  };
+
+  return PromoRedemption;
+};
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StripeEvent = sequelize.define('StripeEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    eventId: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      field: 'eventId',
+    },
+    type: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    paymentIntentId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'paymentIntentId',
+    },
+    referenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'referenceCode',
+    },
+    outcome: {
+      type: DataTypes.STRING(50),
+      allowNull: true, // null while a delivery is handling the event
+    },
+  }, {
+    tableName: 'stripe_events',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { fields: ['eventId'] },
+      { fields: ['paymentIntentId'] },
+      { fields: ['referenceCode'] },
+    ],
+  });
+
+  return StripeEvent;
+};
@@ -60,10 +60,11 @@ module.exports = (sequelize) => {
         this.setDataValue('headerVideos', JSON.stringify(value || []));
       },
     },
+    // Lifecycle state - only changed through trailStatusService
     status: {
-      type: DataTypes.ENUM('payment_pending', 'payment_completed', 'payment_failed'),
+      type: DataTypes.ENUM('draft', 'payment_pending', 'paid', 'published', 'unpublished', 'archived'),
       allowNull: false,
-      defaultValue: 'payment_pending',
+      defaultValue: 'draft',
     },
     isPaid: {
       type: DataTypes.BOOLEAN,
@@ -77,11 +78,51 @@ module.exports = (sequelize) => {
       defaultValue: false,
       field: 'isDeleted',
     },
+    // Set when the owner was warned that an abandoned checkout will be archived (see cleanupExpiredDrafts)
+    staleWarnedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'staleWarnedAt',
+    },
+    // Checkout in progress (see trailsService.startCheckout): payments are only accepted for this
+    // PaymentIntent and the total of this quote. After payment the quote records what was paid for.
+    checkoutPaymentIntentId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'checkoutPaymentIntentId',
+    },
+    checkoutQuote: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'checkoutQuote',
+    },
+    // When the trail went to the trash; purged after the retention window (see trashService)
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deletedAt',
+    },
     publishedAt: {
       type: DataTypes.DATE,
       allowNull: true,
       field: 'publishedAt',
     },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'refundedAt',
+    },
+    refundReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'refundReason',
+    },
+    // Bumped on every content or status change; exposed as the ETag of GET /trails/:code
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
   }, {
     tableName: 'trails',
     timestamps: true,
@@ -97,6 +138,8 @@ module.exports = (sequelize) => {
       { fields: ['distance'] },
       { fields: ['createdAt'] },
       { fields: ['publishedAt'] },
+      { fields: ['isDeleted', 'deletedAt'] },
+      { type: 'FULLTEXT', name: 'trails_title_description_fulltext', fields: ['title', 'description'] },
     ],
   });
 
@@ -106,6 +149,26 @@ module.exports = (sequelize) => {
       sourceKey: 'referenceCode',
       as: 'customStories',
     });
+    Trail.hasMany(models.Payment, {
+      foreignKey: 'referenceCode',
+      sourceKey: 'referenceCode',
+      as: 'payments',
+    });
+    Trail.hasMany(models.TrailTransition, {
+      foreignKey: 'referenceCode',
+      sourceKey: 'referenceCode',
+      as: 'transitions',
+    });
+    Trail.hasMany(models.TrailRevision, {
+      foreignKey: 'referenceCode',
+      sourceKey: 'referenceCode',
+      as: 'revisions',
+    });
+    Trail.hasMany(models.File, {
+      foreignKey: 'referenceCode',
+      sourceKey: 'referenceCode',
+      as: 'files',
+    });
   };
 
   return Trail;
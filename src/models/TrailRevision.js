@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TrailRevision = sequelize.define('TrailRevision', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    referenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      field: 'referenceCode',
+    },
+    // Per-trail sequence number (1, 2, 3, ...) used in the API
+    revisionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'revisionNumber',
+    },
+    // Trail fields and stories as they were before the change
+    snapshot: {
+      type: DataTypes.TEXT('medium'),
+      allowNull: false,
+      get() {
+        const value = this.getDataValue('snapshot');
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue('snapshot', JSON.stringify(value));
+      },
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    createdBy: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'createdBy',
+    },
+  }, {
+    tableName: 'trail_revisions',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['referenceCode', 'revisionNumber'] },
+    ],
+  });
+
+  TrailRevision.associate = (models) => {
+    TrailRevision.belongsTo(models.Trail, {
+      foreignKey: 'referenceCode',
+      targetKey: 'referenceCode',
+      as: 'trail',
+    });
+  };
+
+  return TrailRevision;
+};
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TrailTransition = sequelize.define('TrailTransition', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    referenceCode: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      field: 'referenceCode',
+    },
+    fromStatus: {
+      type: DataTypes.STRING(32),
+      allowNull: true, // null for the initial draft state
+      field: 'fromStatus',
+    },
+    toStatus: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      field: 'toStatus',
+    },
+    actor: {
+      type: DataTypes.ENUM('owner', 'payment_webhook', 'admin', 'system'),
+      allowNull: false,
+    },
+    actorId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'actorId',
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+  }, {
+    tableName: 'trail_transitions',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { fields: ['referenceCode'] },
+      { fields: ['createdAt'] },
+    ],
+  });
+
+  TrailTransition.associate = (models) => {
+    TrailTransition.belongsTo(models.Trail, {
+      foreignKey: 'referenceCode',
+      targetKey: 'referenceCode',
+      as: 'trail',
+    });
+  };
+
+  return TrailTransition;
+};
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UploadReservation = sequelize.define('UploadReservation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    userId: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'userId',
+    },
+    s3Key: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      field: 's3Key',
+    },
+    bytes: {
+      type: DataTypes.BIGINT,
+      allowNull: false, // declared size, held against the quota until the upload is confirmed
+      field: 'bytes',
+    },
+    uploadId: {
+      type: DataTypes.STRING(1024),
+      allowNull: true, // multipart uploads only
+      field: 'uploadId',
+    },
+    partSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      field: 'partSize',
+    },
+    partCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'partCount',
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // presigned forms only: the reservation lapses with the form
+      field: 'expiresAt',
+    },
+  }, {
+    tableName: 'upload_reservations',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { unique: true, fields: ['s3Key'] },
+      { fields: ['userId'] },
+      { fields: ['createdAt'] },
+    ],
+  });
+
+  return UploadReservation;
+};
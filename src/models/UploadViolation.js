@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UploadViolation = sequelize.define('UploadViolation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    userId: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: 'userId',
+    },
+    s3Key: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      field: 's3Key',
+    },
+    declaredType: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'declaredType',
+    },
+    detectedType: {
+      type: DataTypes.STRING(100),
+      allowNull: true, // null when the bytes match no allowed format
+      field: 'detectedType',
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      field: 'fileSize',
+    },
+    action: {
+      type: DataTypes.ENUM('deleted'),
+      allowNull: false,
+      defaultValue: 'deleted',
+    },
+    source: {
+      type: DataTypes.ENUM('upload_event', 'confirm'),
+      allowNull: false,
+    },
+  }, {
+    tableName: 'upload_violations',
+    timestamps: true,
+    underscored: false,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { fields: ['userId'] },
+      { fields: ['createdAt'] },
+    ],
+  });
+
+  return UploadViolation;
+};
@@ -1,8 +1,14 @@
 /**
  * Models Index - Initialize all Sequelize models and associations
  * Note: Firebase Auth handles users - no User table needed
- * Note: Files are stored as URLs in trails and customStories - no File table needed
- * Note: Stripe handles payments - no Payment table needed (not stored in DB)
+ * Note: Trails and customStories store media as URLs; File records uploads confirmed via POST /files/confirm
+ * Note: UploadViolation flags users whose uploads failed content verification (see mediaVerificationService)
+ * Note: Payment is a ledger of Stripe PaymentIntents - Stripe stays the source of truth
+ * Note: StripeEvent only records processed webhook event IDs for idempotency
+ * Note: TrailTransition is the audit log of trail lifecycle changes (see trailStatusService)
+ * Note: TrailRevision keeps snapshots of trail content taken before each update (see revisionsService)
+ * Note: UploadReservation holds the declared size of uploads handed out but not confirmed, and the part plan of multipart uploads (see filesService)
+ * Note: JobCheckpoint stores where a scheduled job that ran out of time resumes (see uploadCleanupService)
  */
 
 const { getSequelize } = require('../db/sequelize');
@@ -10,6 +16,17 @@ const { getSequelize } = require('../db/sequelize');
 // Import model definitions
 const TrailModel = require('./Trail');
 const CustomStoryModel = require('./CustomStory');
+const CategoryModel = require('./Category');
+const PaymentModel = require('./Payment');
+const PromoCodeModel = require('./PromoCode');
+const PromoRedemptionModel = require('./PromoRedemption');
+const StripeEventModel = require('./StripeEvent');
+const TrailTransitionModel = require('./TrailTransition');
+const TrailRevisionModel = require('./TrailRevision');
+const FileModel = require('./File');
+const UploadViolationModel = require('./UploadViolation');
+const UploadReservationModel = require('./UploadReservation');
+const JobCheckpointModel = require('./JobCheckpoint');
 
 let models = null;
 
@@ -24,6 +41,17 @@ const initializeModels = () => {
   models = {
     Trail: TrailModel(sequelize),
     CustomStory: CustomStoryModel(sequelize),
+    Category: CategoryModel(sequelize),
+    Payment: PaymentModel(sequelize),
+    PromoCode: PromoCodeModel(sequelize),
+    PromoRedemption: PromoRedemptionModel(sequelize),
+    StripeEvent: StripeEventModel(sequelize),
+    TrailTransition: TrailTransitionModel(sequelize),
+    TrailRevision: TrailRevisionModel(sequelize),
+    File: FileModel(sequelize),
+    UploadViolation: UploadViolationModel(sequelize),
+    UploadReservation: UploadReservationModel(sequelize),
+    JobCheckpoint: JobCheckpointModel(sequelize),
   };
 
   // Set up associations
@@ -0,0 +1,179 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+
+process.env.MY_AWS_KEY = 'test-key';
+process.env.MY_AWS_SECRET = 'test-secret';
+
+const { getModels } = require('../../models');
+const filesService = require('../filesService');
+const storageService = require('../storageService');
+
+/**
+ * Conditions of the policy signed into a presigned POST
+ */
+const policyConditions = ({ fields }) => JSON.parse(Buffer.from(fields.Policy, 'base64').toString('utf8')).conditions;
+
+beforeEach(() => {
+  getModels.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getPresignedUpload', () => {
+  const KEY = 'images/uploads/user-1/photo.png';
+
+  it('binds the upload to exactly the declared size', () => {
+    const upload = filesService.getPresignedUpload(KEY, 'image/png', { size: 90211 });
+
+    expect(upload.fields).toMatchObject({ key: KEY, 'Content-Type': 'image/png' });
+    expect(policyConditions(upload)).toEqual(expect.arrayContaining([
+      ['content-length-range', 90211, 90211],
+      { key: KEY },
+      { 'Content-Type': 'image/png' },
+    ]));
+  });
+
+  it('caps uploads without a declared size at the maximum for their type', () => {
+    const upload = filesService.getPresignedUpload('videos/uploads/user-1/clip.mp4', 'video/mp4');
+
+    expect(policyConditions(upload)).toContainEqual(['content-length-range', 1, filesService.MAX_FILE_SIZES.video]);
+  });
+
+  it('signs the SHA-256 of the content when given', () => {
+    const sha256 = '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+    const upload = filesService.getPresignedUpload(KEY, 'image/png', { size: 4, sha256 });
+
+    expect(upload.fields['x-amz-checksum-sha256']).toBe(Buffer.from(sha256, 'hex').toString('base64'));
+    expect(policyConditions(upload)).toContainEqual({ 'x-amz-checksum-sha256': upload.fields['x-amz-checksum-sha256'] });
+  });
+});
+
+describe('getUnconfirmedBytes', () => {
+  it('sums the objects under the user\'s prefixes that have no File record', async () => {
+    jest.spyOn(filesService, 'listObjects').mockImplementation(async (prefix) => (prefix.startsWith('images/')
+      ? [{ key: 'images/uploads/user-1/a.png', size: 100 }, { key: 'images/uploads/user-1/b.png', size: 200 }]
+      : [{ key: 'videos/uploads/user-1/c.mp4', size: 5000 }]));
+    getModels.mockReturnValue({
+      File: { findAll: jest.fn(async () => [{ s3Key: 'images/uploads/user-1/a.png' }]) },
+      UploadReservation: { findAll: jest.fn(async () => []) },
+    });
+
+    await expect(filesService.getUnconfirmedBytes('user-1')).resolves.toBe(5200);
+    await expect(filesService.getUnconfirmedBytes('user-1', { excludeKeys: ['videos/uploads/user-1/c.mp4'] })).resolves.toBe(200);
+  });
+
+  it('counts multipart uploads in progress at their declared size, once', async () => {
+    jest.spyOn(filesService, 'listObjects').mockImplementation(async (prefix) => (prefix.startsWith('videos/')
+      ? [{ key: 'videos/uploads/user-1/done.mp4', size: 700 }]
+      : []));
+    getModels.mockReturnValue({
+      File: { findAll: jest.fn(async () => []) },
+      UploadReservation: {
+        findAll: jest.fn(async () => [
+          { s3Key: 'videos/uploads/user-1/big.mp4', bytes: '30000000' },
+          // Completed in S3 but not released yet: the object already counts
+          { s3Key: 'videos/uploads/user-1/done.mp4', bytes: '700' },
+        ]),
+      },
+    });
+
+    await expect(filesService.getUnconfirmedBytes('user-1')).resolves.toBe(30000700);
+  });
+
+  it('skips the File records when nothing is stored or reserved', async () => {
+    jest.spyOn(filesService, 'listObjects').mockResolvedValue([]);
+    const File = { findAll: jest.fn() };
+    getModels.mockReturnValue({ File, UploadReservation: { findAll: jest.fn(async () => []) } });
+
+    await expect(filesService.getUnconfirmedBytes('user-1')).resolves.toBe(0);
+    expect(File.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('reserveUploads', () => {
+  it('holds the declared sizes until the presigned forms expire', async () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const UploadReservation = { bulkCreate: jest.fn(async () => []) };
+    getModels.mockReturnValue({ UploadReservation });
+
+    await filesService.reserveUploads('user-1', [{ s3Key: 'images/uploads/user-1/a.png', bytes: 100 }]);
+
+    expect(UploadReservation.bulkCreate).toHaveBeenCalledWith(
+      [{ userId: 'user-1', s3Key: 'images/uploads/user-1/a.png', bytes: 100, expiresAt: new Date(now + 30 * 60 * 1000) }],
+      expect.objectContaining({ updateOnDuplicate: expect.arrayContaining(['bytes', 'expiresAt']) }),
+    );
+  });
+});
+
+describe('confirmUploads', () => {
+  const KEYS = ['images/uploads/user-1/a.png', 'images/uploads/user-1/b.png'];
+
+  it('lists the unconfirmed uploads once per batch', async () => {
+    const listObjects = jest.spyOn(filesService, 'listObjects').mockImplementation(async (prefix) => (prefix.startsWith('images/')
+      ? KEYS.map(key => ({ key, size: 600 }))
+      : []));
+    jest.spyOn(filesService, 'headObject').mockResolvedValue({ contentType: 'image/png', size: 600, lastModified: new Date() });
+    // Confirmed bytes grow as the batch goes
+    let confirmedBytes = 0;
+    jest.spyOn(storageService, 'getUsage').mockImplementation(async () => ({ totalBytes: confirmedBytes }));
+    const UploadReservation = { findAll: jest.fn(async () => []), destroy: jest.fn(async () => 0) };
+    getModels.mockReturnValue({
+      File: {
+        findAll: jest.fn(async () => []),
+        findOne: jest.fn(async () => null),
+        create: jest.fn(async (values) => {
+          confirmedBytes += values.fileSize;
+          return { id: 1, ...values };
+        }),
+      },
+      UploadReservation,
+    });
+
+    const results = await filesService.confirmUploads('user-1', KEYS, { quotaBytes: 1200 });
+
+    expect(results.map(result => result.success)).toEqual([true, true]);
+    expect(listObjects).toHaveBeenCalledTimes(2); // images and videos prefixes, once
+    expect(UploadReservation.destroy).toHaveBeenCalledWith({ where: { s3Key: KEYS[0], uploadId: null } });
+  });
+});
+
+describe('getPartUploadUrls', () => {
+  const KEY = 'videos/uploads/user-1/long.mp4';
+  const MB = 1024 * 1024;
+
+  beforeEach(() => {
+    getModels.mockReturnValue({
+      UploadReservation: {
+        findOne: jest.fn(async ({ where }) => (where.uploadId === 'upload-1'
+          ? { s3Key: KEY, uploadId: 'upload-1', bytes: String(25 * MB), partSize: String(10 * MB), partCount: 3 }
+          : null)),
+      },
+    });
+  });
+
+  it('signs each part\'s planned size into its URL', async () => {
+    const parts = await filesService.getPartUploadUrls(KEY, 'upload-1', [1, 3]);
+
+    expect(parts.map(({ partNumber, size }) => ({ partNumber, size }))).toEqual([
+      { partNumber: 1, size: 10 * MB },
+      { partNumber: 3, size: 5 * MB },
+    ]);
+    parts.forEach(({ presignedUrl }) => {
+      const params = new URL(presignedUrl).searchParams;
+      expect(params.get('X-Amz-SignedHeaders')).toBe('content-length;host');
+      expect(params.get('uploadId')).toBe('upload-1');
+    });
+  });
+
+  it('refuses part numbers above the planned part count', async () => {
+    await expect(filesService.getPartUploadUrls(KEY, 'upload-1', [3, 4]))
+      .rejects.toMatchObject({ message: 'PART_OUT_OF_RANGE', partCount: 3 });
+  });
+
+  it('refuses uploads it has no plan for', async () => {
+    await expect(filesService.getPartUploadUrls(KEY, 'upload-2', [1])).rejects.toThrow('UPLOAD_NOT_FOUND');
+  });
+});
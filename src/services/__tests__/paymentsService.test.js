@@ -0,0 +1,174 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+jest.mock('../trailsService');
+jest.mock('../promoCodesService');
+
+const { getModels } = require('../../models');
+const trailsService = require('../trailsService');
+const promoCodesService = require('../promoCodesService');
+const paymentsService = require('../paymentsService');
+
+const stripe = { refunds: { create: jest.fn() } };
+
+/**
+ * Completed payment row of 1000 cents, of which `amountRefunded` has been refunded already
+ */
+const mockPayment = (amountRefunded = 0) => {
+  const payment = {
+    id: 1,
+    referenceCode: 'YS-TEST',
+    paymentIntentId: 'pi_test',
+    amount: 1000,
+    amountRefunded,
+    currency: 'AUD',
+    status: 'completed',
+    save: jest.fn(async () => payment),
+  };
+  getModels.mockReturnValue({ Payment: { findOne: jest.fn(async () => payment) } });
+  return payment;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  stripe.refunds.create.mockImplementation(async ({ amount }) => ({ id: 're_test', status: 'succeeded', amount }));
+  paymentsService.setStripe(stripe);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('refundTrailPayment', () => {
+  it('refunds part of the payment and keeps the trail paid', async () => {
+    const payment = mockPayment();
+
+    const result = await paymentsService.refundTrailPayment('YS-TEST', { amount: 400, requestedBy: 'owner-1', actor: 'owner' });
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_test', amount: 400 }));
+    expect(result).toMatchObject({ refundId: 're_test', amount: 400, fullRefund: false });
+    expect(payment).toMatchObject({ amountRefunded: 400, status: 'completed' });
+    expect(trailsService.markTrailAsRefunded).not.toHaveBeenCalled();
+  });
+
+  it('refunds what is left when no amount is given and reverts the trail as the refunding actor', async () => {
+    const payment = mockPayment(400);
+
+    const result = await paymentsService.refundTrailPayment('YS-TEST', {
+      reason: 'Duplicate purchase',
+      requestedBy: 'admin-1',
+      actor: 'admin',
+    });
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 600 }));
+    expect(result).toMatchObject({ amount: 600, fullRefund: true });
+    expect(payment).toMatchObject({ amountRefunded: 1000, status: 'refunded' });
+    expect(trailsService.markTrailAsRefunded).toHaveBeenCalledWith('YS-TEST', 'Duplicate purchase', { actor: 'admin', actorId: 'admin-1' });
+  });
+
+  it.each([
+    ['a numeric string', '500'],
+    ['trailing garbage', '12abc'],
+    ['a fraction of a cent', 12.5],
+    ['zero', 0],
+    ['a negative amount', -100],
+    ['more than is refundable', 1001],
+  ])('rejects %s without calling Stripe', async (label, amount) => {
+    const payment = mockPayment();
+
+    await expect(paymentsService.refundTrailPayment('YS-TEST', { amount })).rejects.toThrow('INVALID_REFUND_AMOUNT');
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(payment.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a trail without a completed payment', async () => {
+    getModels.mockReturnValue({ Payment: { findOne: jest.fn(async () => null) } });
+
+    await expect(paymentsService.refundTrailPayment('YS-TEST', {})).rejects.toThrow('NO_REFUNDABLE_PAYMENT');
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  const stripeEvent = {
+    id: 'evt_test',
+    type: 'payment_intent.payment_failed',
+    data: { object: { object: 'payment_intent', id: 'pi_test', metadata: { referenceCode: 'YS-TEST' } } },
+  };
+  const duplicateKey = () => Object.assign(new Error('Validation error'), { name: 'SequelizeUniqueConstraintError' });
+
+  const mockStripeEvents = (StripeEvent) => {
+    getModels.mockReturnValue({
+      StripeEvent: {
+        create: jest.fn(async () => ({})),
+        update: jest.fn(async () => [1]),
+        destroy: jest.fn(async () => 0),
+        findOne: jest.fn(async () => null),
+        ...StripeEvent,
+      },
+      Payment: { findOne: jest.fn(async () => ({ status: 'failed' })) },
+    });
+    return getModels().StripeEvent;
+  };
+
+  it('records the event before handling it, then stores the outcome', async () => {
+    const StripeEvent = mockStripeEvents();
+
+    const result = await paymentsService.handleWebhookEvent(stripeEvent);
+
+    expect(result).toEqual({ duplicate: false, outcome: 'payment_failed' });
+    expect(StripeEvent.create).toHaveBeenCalledWith(expect.objectContaining({ eventId: 'evt_test', paymentIntentId: 'pi_test' }));
+    expect(StripeEvent.create.mock.invocationCallOrder[0])
+      .toBeLessThan(promoCodesService.settleRedemptionForPaymentIntent.mock.invocationCallOrder[0]);
+    expect(StripeEvent.update).toHaveBeenCalledWith(
+      { referenceCode: 'YS-TEST', outcome: 'payment_failed' },
+      { where: { eventId: 'evt_test' } }
+    );
+  });
+
+  it('skips an event another delivery recorded first', async () => {
+    const StripeEvent = mockStripeEvents({
+      create: jest.fn(async () => { throw duplicateKey(); }),
+      findOne: jest.fn(async () => ({ outcome: 'payment_failed' })),
+    });
+
+    const result = await paymentsService.handleWebhookEvent(stripeEvent);
+
+    expect(result).toEqual({ duplicate: true, outcome: 'payment_failed' });
+    expect(promoCodesService.settleRedemptionForPaymentIntent).not.toHaveBeenCalled();
+    expect(StripeEvent.update).not.toHaveBeenCalled();
+  });
+
+  it('fails while another delivery is still handling the event', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockStripeEvents({
+      create: jest.fn(async () => { throw duplicateKey(); }),
+      findOne: jest.fn(async () => ({ outcome: null })),
+    });
+
+    await expect(paymentsService.handleWebhookEvent(stripeEvent)).rejects.toThrow('EVENT_IN_PROGRESS');
+    expect(promoCodesService.settleRedemptionForPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('takes over an event whose delivery never finished', async () => {
+    const StripeEvent = mockStripeEvents({
+      create: jest.fn().mockRejectedValueOnce(duplicateKey()).mockResolvedValue({}),
+      destroy: jest.fn(async () => 1),
+    });
+
+    const result = await paymentsService.handleWebhookEvent(stripeEvent);
+
+    expect(result).toEqual({ duplicate: false, outcome: 'payment_failed' });
+    expect(StripeEvent.create).toHaveBeenCalledTimes(2);
+  });
+
+  it('releases the event when handling it fails, so Stripe can deliver it again', async () => {
+    const StripeEvent = mockStripeEvents();
+    promoCodesService.settleRedemptionForPaymentIntent.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(paymentsService.handleWebhookEvent(stripeEvent)).rejects.toThrow('db down');
+    expect(StripeEvent.destroy).toHaveBeenCalledWith({ where: { eventId: 'evt_test', outcome: null } });
+    expect(StripeEvent.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+
+const { getModels } = require('../../models');
+const trailStatusService = require('../trailStatusService');
+
+const { OWNER, PAYMENT_WEBHOOK, ADMIN, SYSTEM } = trailStatusService.ACTORS;
+
+/**
+ * Models backed by a single trail row; transition() runs against it as if in a transaction
+ */
+const mockTrail = (columns) => {
+  const trail = {
+    referenceCode: 'YS-TEST',
+    isPaid: false,
+    version: 1,
+    ...columns,
+    update: jest.fn(async (values) => Object.assign(trail, values)),
+  };
+  const models = {
+    Trail: { findOne: jest.fn(async () => trail) },
+    TrailTransition: { create: jest.fn(async (values) => ({ ...values, createdAt: new Date() })) },
+    sequelize: { transaction: jest.fn(async (run) => run({ LOCK: { UPDATE: 'UPDATE' } })) },
+  };
+  getModels.mockReturnValue(models);
+  return { trail, models };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAllowedTransitions', () => {
+  it('lets only the payment webhook mark a checkout as paid', () => {
+    const trail = { status: 'payment_pending' };
+    expect(trailStatusService.getAllowedTransitions(trail, PAYMENT_WEBHOOK)).toEqual(['paid', 'draft']);
+    expect(trailStatusService.getAllowedTransitions(trail, OWNER)).toEqual(['draft', 'archived']);
+    expect(trailStatusService.getAllowedTransitions(trail, SYSTEM)).toEqual(['archived']);
+  });
+
+  it('hides the refund edges from plain status changes', () => {
+    const trail = { status: 'published', isPaid: true };
+    expect(trailStatusService.getAllowedTransitions(trail, OWNER)).toEqual(['unpublished', 'archived']);
+    expect(trailStatusService.getAllowedTransitions(trail, ADMIN, { refund: true })).toEqual(['unpublished', 'draft', 'archived']);
+    expect(trailStatusService.getAllowedTransitions(trail, PAYMENT_WEBHOOK, { refund: true })).toEqual(['draft']);
+  });
+
+  it('restores archived trails according to their payment state', () => {
+    expect(trailStatusService.getAllowedTransitions({ status: 'archived', isPaid: false }, OWNER)).toEqual(['draft']);
+    expect(trailStatusService.getAllowedTransitions({ status: 'archived', isPaid: true }, OWNER)).toEqual(['unpublished']);
+  });
+
+  it('allows nothing from an unknown status', () => {
+    expect(trailStatusService.getAllowedTransitions({ status: 'bogus' }, ADMIN)).toEqual([]);
+  });
+});
+
+describe('transition', () => {
+  it('moves the trail, keeps isPaid in step and records the transition', async () => {
+    const { trail, models } = mockTrail({ status: 'payment_pending' });
+
+    const result = await trailStatusService.transition('YS-TEST', 'paid', { actor: PAYMENT_WEBHOOK, reason: 'Payment pi_1' });
+
+    expect(result).toMatchObject({ fromStatus: 'payment_pending', status: 'paid', version: 2 });
+    expect(trail).toMatchObject({ status: 'paid', isPaid: true, publishedAt: null, version: 2 });
+    expect(models.TrailTransition.create).toHaveBeenCalledWith(expect.objectContaining({
+      fromStatus: 'payment_pending',
+      toStatus: 'paid',
+      actor: PAYMENT_WEBHOOK,
+      reason: 'Payment pi_1',
+    }), expect.anything());
+  });
+
+  it('rejects an edge that does not exist, listing what is allowed', async () => {
+    const { trail, models } = mockTrail({ status: 'draft' });
+
+    await expect(trailStatusService.transition('YS-TEST', 'published', { actor: OWNER }))
+      .rejects.toMatchObject({ message: 'ILLEGAL_TRANSITION', currentStatus: 'draft', allowed: ['payment_pending', 'archived'] });
+    expect(trail.update).not.toHaveBeenCalled();
+    expect(models.TrailTransition.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an actor that may not take the edge', async () => {
+    mockTrail({ status: 'payment_pending' });
+
+    await expect(trailStatusService.transition('YS-TEST', 'paid', { actor: OWNER }))
+      .rejects.toThrow('ILLEGAL_TRANSITION');
+  });
+
+  it('only lets a refund take a paid trail back to draft, recording who refunded', async () => {
+    const { trail, models } = mockTrail({ status: 'published', isPaid: true, publishedAt: new Date() });
+
+    await expect(trailStatusService.transition('YS-TEST', 'draft', { actor: OWNER }))
+      .rejects.toThrow('ILLEGAL_TRANSITION');
+
+    await trailStatusService.transition('YS-TEST', 'draft', { actor: ADMIN, actorId: 'admin-1', refund: true });
+
+    expect(trail).toMatchObject({ status: 'draft', isPaid: false, publishedAt: null, checkoutPaymentIntentId: null });
+    expect(models.TrailTransition.create).toHaveBeenCalledWith(
+      expect.objectContaining({ toStatus: 'draft', actor: ADMIN, actorId: 'admin-1' }),
+      expect.anything(),
+    );
+  });
+
+  it('refuses a stale If-Match version', async () => {
+    const { trail } = mockTrail({ status: 'published', isPaid: true, version: 5 });
+
+    await expect(trailStatusService.transition('YS-TEST', 'unpublished', { actor: OWNER, expectedVersions: [4] }))
+      .rejects.toMatchObject({ message: 'VERSION_MISMATCH', currentVersion: 5 });
+    expect(trail.update).not.toHaveBeenCalled();
+  });
+
+  it('reports a missing trail', async () => {
+    const { models } = mockTrail({ status: 'draft' });
+    models.Trail.findOne.mockResolvedValue(null);
+
+    await expect(trailStatusService.transition('YS-GONE', 'archived', { actor: OWNER }))
+      .rejects.toThrow('TRAIL_NOT_FOUND');
+  });
+
+  it('runs inside the caller\'s transaction when given one', async () => {
+    const { models } = mockTrail({ status: 'paid', isPaid: true });
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    await trailStatusService.transition('YS-TEST', 'published', { actor: PAYMENT_WEBHOOK, transaction });
+
+    expect(models.sequelize.transaction).not.toHaveBeenCalled();
+    expect(models.Trail.findOne).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+jest.mock('../paymentsService');
+
+const { getModels } = require('../../models');
+const paymentsService = require('../paymentsService');
+const trailStatusService = require('../trailStatusService');
+const trailsService = require('../trailsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+/**
+ * Models returning the given payment_pending trails once, then an empty batch
+ */
+const mockStaleTrails = (trails) => {
+  const Trail = {
+    findAll: jest.fn().mockResolvedValueOnce(trails).mockResolvedValue([]),
+    update: jest.fn(async () => [1]),
+  };
+  getModels.mockReturnValue({ Trail });
+  return Trail;
+};
+
+const staleTrail = (columns) => ({
+  id: 1,
+  referenceCode: 'YS-STALE',
+  userId: 'user-1',
+  status: 'payment_pending',
+  version: 3,
+  staleWarnedAt: null,
+  checkoutPaymentIntentId: 'pi_stale',
+  ...columns,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(trailStatusService, 'transition').mockResolvedValue({ status: 'archived' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  trailsService.setStaleCheckoutNotifier(null);
+});
+
+describe('cleanupExpiredDrafts', () => {
+  it('warns the owner through the notifier, with the date the trail will be archived', async () => {
+    const Trail = mockStaleTrails([staleTrail({ updatedAt: daysAgo(15) })]);
+    const notifier = jest.fn(async () => {});
+    trailsService.setStaleCheckoutNotifier(notifier);
+
+    const report = await trailsService.cleanupExpiredDrafts({ now: NOW });
+
+    expect(report.counts).toMatchObject({ warned: 1, archived: 0 });
+    expect(Trail.update).toHaveBeenCalledWith({ staleWarnedAt: NOW }, expect.objectContaining({ silent: true }));
+    // The 16 days of notice after the warning end later than 30 days after the last activity
+    expect(notifier).toHaveBeenCalledWith({
+      referenceCode: 'YS-STALE',
+      userId: 'user-1',
+      warnedAt: NOW,
+      archiveAt: new Date(NOW.getTime() + 16 * DAY_MS),
+    });
+  });
+
+  it('keeps the warning when the notifier fails', async () => {
+    mockStaleTrails([staleTrail({ updatedAt: daysAgo(15) })]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    trailsService.setStaleCheckoutNotifier(async () => { throw new Error('mail down'); });
+
+    const report = await trailsService.cleanupExpiredDrafts({ now: NOW });
+
+    expect(report.counts).toMatchObject({ warned: 1, failed: 0 });
+  });
+
+  it('archives a warned trail and cancels its PaymentIntent', async () => {
+    mockStaleTrails([staleTrail({ updatedAt: daysAgo(31), staleWarnedAt: daysAgo(17) })]);
+
+    const report = await trailsService.cleanupExpiredDrafts({ now: NOW });
+
+    expect(report.counts).toMatchObject({ archived: 1 });
+    expect(trailStatusService.transition).toHaveBeenCalledWith('YS-STALE', 'archived', expect.objectContaining({
+      actor: trailStatusService.ACTORS.SYSTEM,
+      expectedVersions: [3],
+    }));
+    expect(paymentsService.cancelPaymentIntent).toHaveBeenCalledWith('pi_stale');
+  });
+
+  it('leaves the PaymentIntent alone when the archive is skipped', async () => {
+    mockStaleTrails([staleTrail({ updatedAt: daysAgo(31), staleWarnedAt: daysAgo(17) })]);
+    trailStatusService.transition.mockRejectedValue(new Error('VERSION_MISMATCH'));
+
+    const report = await trailsService.cleanupExpiredDrafts({ now: NOW });
+
+    expect(report.counts).toMatchObject({ archived: 0, skipped: 1 });
+    expect(paymentsService.cancelPaymentIntent).not.toHaveBeenCalled();
+  });
+});
+
+describe('getPublishedTrails near a location', () => {
+  const LOCATION = { lat: -33.87, lng: 151.21, radiusKm: 10 };
+
+  const publishedTrail = (id, stories) => ({
+    id,
+    referenceCode: `YS-${id}`,
+    title: `Trail ${id}`,
+    distance: '2.5',
+    customStories: stories.map(([latitude, longitude], index) => ({ id: id * 10 + index, latitude, longitude })),
+  });
+
+  it('ranks the candidates MySQL measured and loads stories for the page only', async () => {
+    const Trail = {
+      findAll: jest.fn()
+        .mockResolvedValueOnce([
+          { id: 3, referenceCode: 'YS-3', distanceToTrail: 1.2041 },
+          { id: 1, referenceCode: 'YS-1', distanceToTrail: 1.2012 },
+          { id: 2, referenceCode: 'YS-2', distanceToTrail: 4.5 },
+        ])
+        .mockResolvedValueOnce([
+          publishedTrail(1, [[null, null], [-33.88, 151.21]]),
+          publishedTrail(3, [[-33.87, 151.22]]),
+        ]),
+    };
+    getModels.mockReturnValue({ Trail, CustomStory: {}, sequelize: { where: jest.fn(), escape: String } });
+
+    const page = await trailsService.getPublishedTrails({ sortBy: 'nearest', location: LOCATION, limit: 2 });
+
+    // Both round to 1.2 km, so the id decides
+    expect(page.trails.map(trail => [trail.id, trail.distanceToTrail])).toEqual([[1, 1.2], [3, 1.2]]);
+    expect(page.trails[0].distanceToStart).toBe(1.11);
+    expect(page.hasMore).toBe(true);
+    expect(Trail.findAll).toHaveBeenCalledTimes(2);
+    const [candidateQuery, pageQuery] = Trail.findAll.mock.calls.map(([query]) => query);
+    expect(candidateQuery).toMatchObject({ group: ['Trail.id'], limit: 1000, raw: true });
+    expect(Object.getOwnPropertySymbols(pageQuery.where.id).map(op => pageQuery.where.id[op])).toEqual([[1, 3]]);
+  });
+});
+
+describe('markTrailAsRefunded', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  const mockPaidTrail = (columns) => {
+    const trail = { referenceCode: 'YS-PAID', status: 'published', isPaid: true, isDeleted: false, version: 5, update: jest.fn(async () => trail), ...columns };
+    const Trail = { findOne: jest.fn(async () => trail) };
+    getModels.mockReturnValue({ Trail, sequelize: { transaction: jest.fn(async (work) => work(transaction)) } });
+    return { trail, Trail };
+  };
+
+  it('locks the trail and reverts it to draft in the same transaction', async () => {
+    const { Trail } = mockPaidTrail();
+
+    await expect(trailsService.markTrailAsRefunded('YS-PAID', 'Duplicate purchase')).resolves.toBe(true);
+
+    expect(Trail.findOne).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    expect(trailStatusService.transition).toHaveBeenCalledWith('YS-PAID', 'draft', expect.objectContaining({ refund: true, transaction }));
+  });
+
+  it('keeps an archived trail archived, within the transaction', async () => {
+    const { trail } = mockPaidTrail({ status: 'archived' });
+
+    await expect(trailsService.markTrailAsRefunded('YS-PAID')).resolves.toBe(true);
+
+    expect(trail.update).toHaveBeenCalledWith(expect.objectContaining({ isPaid: false, version: 6 }), { transaction });
+    expect(trailStatusService.transition).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,262 @@
+const http = require('http');
+
+jest.mock('../../models', () => ({ getModels: jest.fn() }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const BUCKET = 'gc-test-bucket';
+
+/**
+ * S3 stand-in: just enough of ListObjectsV2 and DeleteObjects (path-style) for the cleanup job
+ * objects: key -> { size, lastModified }; keys in failDeletes are refused with AccessDenied
+ */
+const objects = new Map();
+const failDeletes = new Set();
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const unescapeXml = (value) => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const listObjectsXml = (prefix, delimiter) => {
+  const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+  const commonPrefixes = new Set();
+  const contents = [];
+  keys.forEach(key => {
+    const rest = key.slice(prefix.length);
+    if (delimiter && rest.includes(delimiter)) {
+      commonPrefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+    } else {
+      const { size, lastModified } = objects.get(key);
+      contents.push(`<Contents><Key>${escapeXml(key)}</Key><LastModified>${lastModified.toISOString()}</LastModified><Size>${size}</Size></Contents>`);
+    }
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>'
+    + `<Name>${BUCKET}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>`
+    + contents.join('')
+    + [...commonPrefixes].map(value => `<CommonPrefixes><Prefix>${escapeXml(value)}</Prefix></CommonPrefixes>`).join('')
+    + '</ListBucketResult>';
+};
+
+const deleteObjectsXml = (body) => {
+  const errors = [];
+  [...body.matchAll(/<Key>([^<]*)<\/Key>/g)].map(match => unescapeXml(match[1])).forEach(key => {
+    if (failDeletes.has(key)) {
+      errors.push(`<Error><Key>${escapeXml(key)}</Key><Code>AccessDenied</Code><Message>Access Denied</Message></Error>`);
+    } else {
+      objects.delete(key);
+    }
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?><DeleteResult>${errors.join('')}</DeleteResult>`;
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    let xml;
+    if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      xml = listObjectsXml(url.searchParams.get('prefix') || '', url.searchParams.get('delimiter'));
+    } else if (req.method === 'POST' && url.searchParams.has('delete')) {
+      xml = deleteObjectsXml(body);
+    } else {
+      res.writeHead(501);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(xml);
+  });
+});
+
+let getModels;
+let filesService;
+let uploadCleanupService;
+let File;
+let checkpoints;
+
+const putObject = (key, ageDays, size = 100) => {
+  objects.set(key, { size, lastModified: new Date(NOW.getTime() - ageDays * DAY_MS) });
+};
+
+/**
+ * Models returning the given trails and revision snapshots for every user
+ * Job checkpoints live in `checkpoints` (name -> position) across runs
+ */
+const mockModels = ({ trails = [], revisions = [] } = {}) => {
+  File = { destroy: jest.fn(async () => 0) };
+  getModels.mockReturnValue({
+    Trail: { findAll: jest.fn(async () => trails) },
+    CustomStory: {},
+    TrailRevision: { findAll: jest.fn(async () => revisions) },
+    File,
+    JobCheckpoint: {
+      findByPk: jest.fn(async (name) => (checkpoints.has(name) ? { name, position: checkpoints.get(name) } : null)),
+      upsert: jest.fn(async ({ name, position }) => { checkpoints.set(name, position); }),
+    },
+  });
+};
+
+/**
+ * shouldStop that lets a run visit `users` users before it runs out of time
+ */
+const timeBudget = (users) => {
+  let checks = 0;
+  return () => {
+    checks += 1;
+    return checks > users;
+  };
+};
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.S3_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  process.env.S3_BUCKET = BUCKET;
+  process.env.MY_AWS_KEY = 'test-key';
+  process.env.MY_AWS_SECRET = 'test-secret';
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Required after S3_ENDPOINT is set, since filesService reads it when loaded
+  ({ getModels } = require('../../models'));
+  filesService = require('../filesService');
+  uploadCleanupService = require('../uploadCleanupService');
+});
+
+afterAll(async () => {
+  console.log.mockRestore();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  checkpoints = new Map();
+  objects.clear();
+  failDeletes.clear();
+  delete process.env.UPLOAD_GC_GRACE_DAYS;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('collectOrphanedUploads', () => {
+  const ORPHAN = 'images/uploads/user-1/orphan.jpg';
+  const YOUNG = 'images/uploads/user-1/young.jpg';
+  const HEADER = 'images/uploads/user-1/header.jpg';
+  const STORY_VIDEO = 'videos/uploads/user-1/story.mp4';
+  const IN_REVISION = 'images/uploads/user-1/old-header.jpg';
+
+  const seedUser = () => {
+    putObject(ORPHAN, 30, 250);
+    putObject(YOUNG, 2);
+    putObject(HEADER, 30);
+    putObject(STORY_VIDEO, 30);
+    putObject(IN_REVISION, 30);
+    mockModels({
+      trails: [{
+        referenceCode: 'YS-1',
+        headerImages: [filesService.getPublicUrl(HEADER)],
+        headerVideos: [],
+        customStories: [{ imageUrl: null, videoUrl: filesService.getPublicUrl(STORY_VIDEO) }],
+      }],
+      revisions: [{ snapshot: { headerImages: [filesService.getPublicUrl(IN_REVISION)], customStories: [] } }],
+    });
+  };
+
+  it('deletes only unreferenced uploads older than the grace period', async () => {
+    seedUser();
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ now: NOW });
+
+    expect(report).toMatchObject({
+      dryRun: false,
+      graceDays: 7,
+      users: 1,
+      objects: 5,
+      referenced: 3,
+      inGracePeriod: 1,
+      orphaned: 1,
+      deleted: 1,
+      bytesFreed: 250,
+      complete: true,
+    });
+    expect([...objects.keys()].sort()).toEqual([IN_REVISION, HEADER, YOUNG, STORY_VIDEO].sort());
+    expect(File.destroy).toHaveBeenCalledWith({ where: { userId: 'user-1', s3Key: expect.anything() } });
+  });
+
+  it('reports what it would delete on a dry run without deleting', async () => {
+    seedUser();
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ dryRun: true, now: NOW });
+
+    expect(report).toMatchObject({ dryRun: true, orphaned: 1, deleted: 0, bytesFreed: 0 });
+    expect(report.perUser).toEqual([{ userId: 'user-1', orphaned: 1, bytes: 250, keys: [ORPHAN] }]);
+    expect(objects.size).toBe(5);
+    expect(File.destroy).not.toHaveBeenCalled();
+  });
+
+  it('follows UPLOAD_GC_GRACE_DAYS', async () => {
+    seedUser();
+    process.env.UPLOAD_GC_GRACE_DAYS = '1';
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ dryRun: true, now: NOW });
+
+    expect(report).toMatchObject({ graceDays: 1, inGracePeriod: 0, orphaned: 2 });
+  });
+
+  it('keeps the File records of uploads S3 failed to delete', async () => {
+    putObject('images/uploads/user-2/a.jpg', 30);
+    putObject('images/uploads/user-2/b.jpg', 30);
+    failDeletes.add('images/uploads/user-2/b.jpg');
+    mockModels();
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ now: NOW });
+
+    expect(report).toMatchObject({ orphaned: 2, deleted: 1 });
+    expect(report.errors).toEqual([{ userId: 'user-2', key: 'images/uploads/user-2/b.jpg', message: 'Access Denied' }]);
+    const { s3Key } = File.destroy.mock.calls[0][0].where;
+    expect(Object.getOwnPropertySymbols(s3Key).map(op => s3Key[op])).toEqual([['images/uploads/user-2/a.jpg']]);
+  });
+
+  it('stops between users when asked to', async () => {
+    putObject('images/uploads/user-1/a.jpg', 30);
+    putObject('images/uploads/user-2/a.jpg', 30);
+    mockModels();
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ dryRun: true, now: NOW, shouldStop: () => true });
+
+    expect(report).toMatchObject({ users: 0, complete: false, resumeAfter: null });
+  });
+
+  it('resumes after the last user of a run that ran out of time', async () => {
+    ['user-a', 'user-b', 'user-c', 'user-d', 'user-e'].forEach(userId => putObject(`images/uploads/${userId}/old.jpg`, 30));
+    mockModels();
+
+    const first = await uploadCleanupService.collectOrphanedUploads({ now: NOW, shouldStop: timeBudget(2) });
+    expect(first).toMatchObject({ users: 2, complete: false, startAfter: null, resumeAfter: 'user-b' });
+    expect(first.perUser.map(user => user.userId)).toEqual(['user-a', 'user-b']);
+
+    putObject('images/uploads/user-a/new-orphan.jpg', 30);
+    const second = await uploadCleanupService.collectOrphanedUploads({ now: NOW, shouldStop: timeBudget(3) });
+    expect(second).toMatchObject({ users: 3, complete: false, startAfter: 'user-b', resumeAfter: 'user-e' });
+    expect(second.perUser.map(user => user.userId)).toEqual(['user-c', 'user-d', 'user-e']);
+
+    // The next run wraps around to the users at the start
+    const third = await uploadCleanupService.collectOrphanedUploads({ now: NOW });
+    expect(third).toMatchObject({ complete: true, startAfter: 'user-e', resumeAfter: null });
+    expect(third.perUser.map(user => user.userId)).toEqual(['user-a']);
+    expect(checkpoints.get('upload-gc')).toBeNull();
+  });
+
+  it('leaves the checkpoint alone on a dry run', async () => {
+    ['user-a', 'user-b'].forEach(userId => putObject(`images/uploads/${userId}/old.jpg`, 30));
+    mockModels();
+    checkpoints.set('upload-gc', 'user-a');
+
+    const report = await uploadCleanupService.collectOrphanedUploads({ dryRun: true, now: NOW, shouldStop: timeBudget(1) });
+
+    expect(report.perUser.map(user => user.userId)).toEqual(['user-b']);
+    expect(checkpoints.get('upload-gc')).toBe('user-a');
+  });
+});
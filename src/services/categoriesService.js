@@ -0,0 +1,193 @@
+/**
+ * Categories Service
+ * Story category taxonomy (e.g. "Military history", "Gold rush")
+ */
+
+const { getModels } = require('../models');
+const { Op } = require('sequelize');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Helper: Map a Category row to the API response shape
+ */
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  slug: category.slug,
+  icon: category.icon,
+  sortOrder: category.sortOrder,
+});
+
+/**
+ * Helper: Build a slug from a category name ("Gold Rush!" -> "gold-rush")
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 100);
+
+const categoriesService = {
+  /**
+   * Validate admin input for creating or updating a category
+   * Returns a list of { field, message } errors
+   */
+  validateCategoryInput(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > 100) {
+        errors.push({ field: 'name', message: 'must be a non-empty string of at most 100 characters' });
+      }
+    }
+    if (data.slug !== undefined && (typeof data.slug !== 'string' || !SLUG_PATTERN.test(data.slug) || data.slug.length > 100)) {
+      errors.push({ field: 'slug', message: 'must be lowercase letters, digits and single hyphens' });
+    } else if (!partial && !data.slug && typeof data.name === 'string' && slugify(data.name) === '') {
+      // Names without Latin letters or digits (e.g. "日本") have no derivable slug
+      errors.push({ field: 'slug', message: 'is required when the name contains no letters a-z or digits' });
+    }
+    if (data.icon !== undefined && data.icon !== null && (typeof data.icon !== 'string' || data.icon.length > 255)) {
+      errors.push({ field: 'icon', message: 'must be a string of at most 255 characters' });
+    }
+    if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+      errors.push({ field: 'sortOrder', message: 'must be an integer' });
+    }
+
+    return errors;
+  },
+
+  /**
+   * Get all categories in display order
+   */
+  async listCategories() {
+    try {
+      const { Category } = getModels();
+
+      const categories = await Category.findAll({
+        order: [['sortOrder', 'ASC'], ['name', 'ASC']],
+      });
+
+      return categories.map(formatCategory);
+    } catch (error) {
+      console.error('❌ Error in listCategories:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve a category given as an id or a slug
+   * Returns the category id, or null if it does not exist
+   */
+  async resolveCategoryId(idOrSlug) {
+    try {
+      const { Category } = getModels();
+
+      const where = /^\d+$/.test(String(idOrSlug))
+        ? { id: parseInt(idOrSlug, 10) }
+        : { slug: String(idOrSlug).toLowerCase() };
+
+      const category = await Category.findOne({ where, attributes: ['id'] });
+      return category ? category.id : null;
+    } catch (error) {
+      console.error('❌ Error in resolveCategoryId:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a category (slug defaults to one derived from the name)
+   */
+  async createCategory(data) {
+    try {
+      const { Category } = getModels();
+
+      const category = await Category.create({
+        name: data.name.trim(),
+        slug: data.slug || slugify(data.name),
+        icon: data.icon || null,
+        sortOrder: data.sortOrder || 0,
+      });
+
+      console.log(`[CATEGORY] ✅ Category created: ${category.slug}`);
+      return formatCategory(category);
+    } catch (error) {
+      console.error('❌ Error in createCategory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a category
+   * Returns null if the category does not exist
+   */
+  async updateCategory(id, updates) {
+    try {
+      const { Category } = getModels();
+
+      const category = await Category.findByPk(id);
+      if (!category) {
+        return null;
+      }
+
+      if (updates.name !== undefined) category.name = updates.name.trim();
+      if (updates.slug !== undefined) category.slug = updates.slug;
+      if (updates.icon !== undefined) category.icon = updates.icon;
+      if (updates.sortOrder !== undefined) category.sortOrder = updates.sortOrder;
+
+      await category.save();
+
+      console.log(`[CATEGORY] ✅ Category updated: ${category.slug}`);
+      return formatCategory(category);
+    } catch (error) {
+      console.error('❌ Error in updateCategory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a category
+   * Throws CATEGORY_IN_USE while stories still reference it
+   */
+  async deleteCategory(id) {
+    try {
+      const { Category, CustomStory } = getModels();
+
+      const inUse = await CustomStory.count({ where: { categoryId: id } });
+      if (inUse > 0) {
+        throw new Error('CATEGORY_IN_USE');
+      }
+
+      const deleted = await Category.destroy({ where: { id } });
+      return deleted > 0;
+    } catch (error) {
+      console.error('❌ Error in deleteCategory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check that story category ids exist
+   * @param {Array<{ field: string, categoryId: number }>} references - Category ids with their field paths
+   * @returns {Promise<Array<{ field: string, message: string }>>} Errors for unknown categories
+   */
+  async validateCategoryReferences(references) {
+    const withCategory = references.filter(ref => ref.categoryId !== undefined && ref.categoryId !== null);
+    if (withCategory.length === 0) {
+      return [];
+    }
+
+    const { Category } = getModels();
+    const ids = [...new Set(withCategory.map(ref => ref.categoryId))];
+    const found = await Category.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id'] });
+    const known = new Set(found.map(category => category.id));
+
+    return withCategory
+      .filter(ref => !known.has(ref.categoryId))
+      .map(ref => ({ field: ref.field, message: 'is not a known category' }));
+  },
+};
+
+module.exports = categoriesService;
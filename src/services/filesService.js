@@ -5,6 +5,10 @@
 
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { getModels } = require('../models');
+const storageService = require('./storageService');
+const { presignS3Url } = require('../utils/sigv4');
 
 // Initialize S3 with permanent credentials for presigned URLs
 // Temporary IAM role credentials cause presigned URL failures
@@ -25,9 +29,32 @@ if (accessKey && secretKey) {
   console.log('[FILES] ⚠️ No credentials found, using IAM role (may cause presigned URL issues)');
 }
 
+// S3-compatible stand-in (e.g. MinIO or LocalStack) for local runs: S3_ENDPOINT=http://localhost:9000
+const customEndpoint = process.env.S3_ENDPOINT || null;
+if (customEndpoint) {
+  s3Config.endpoint = customEndpoint;
+  s3Config.s3ForcePathStyle = true;
+}
+
 const s3 = new AWS.S3(s3Config);
 
-console.log('[FILES] 🌐 Using AWS S3 for file storage');
+console.log(customEndpoint
+  ? `[FILES] 🧪 Using S3-compatible endpoint ${customEndpoint}`
+  : '[FILES] 🌐 Using AWS S3 for file storage');
+
+/**
+ * Helper: Credentials the S3 client signs with (resolved from the IAM role when no keys are set)
+ */
+const getCredentials = () => new Promise((resolve, reject) => {
+  s3.config.getCredentials(error => (error ? reject(error) : resolve(s3.config.credentials)));
+});
+
+/**
+ * Helper: Origin and path of an object, as the S3 client addresses it
+ */
+const getObjectLocation = (key) => (customEndpoint
+  ? { origin: new URL(customEndpoint).origin, path: `/${getBucket()}/${key}` }
+  : { origin: `https://${getBucket()}.s3.${s3Config.region}.amazonaws.com`, path: `/${key}` });
 
 // Map MIME types to file extensions
 const mimeToExtension = {
@@ -46,33 +73,78 @@ const getFileExtension = (mimeType) => {
   return mimeToExtension[mimeType] || '';
 };
 
+const getBucket = () => process.env.S3_BUCKET || 'yesterday-stories-uploads';
+
+// S3 accepts at most 1000 keys per DeleteObjects call
+const DELETE_BATCH_SIZE = 1000;
+
+// Multipart uploads: S3 needs parts of at least 5MB (except the last) and at most 10000 parts
+const MULTIPART_PART_SIZE = 10 * 1024 * 1024;
+const MULTIPART_MAX_PARTS = 10000;
+const PART_URL_EXPIRES = 3600; // 1 hour
+
+const PRESIGNED_POST_EXPIRES = 1800; // 30 minutes
+
 // Allowed MIME types for presigned URL validation
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo'];
 
+// Upload size limits in bytes
+const MAX_FILE_SIZES = {
+  image: 10 * 1024 * 1024,
+  video: 500 * 1024 * 1024,
+};
+
+// Payload fields that take confirmed file IDs in place of URLs (see applyFileReferences)
+const FILE_ID_FIELDS = [
+  { idField: 'headerImageFileIds', urlField: 'headerImages', fileType: 'image', list: true },
+  { idField: 'headerVideoFileIds', urlField: 'headerVideos', fileType: 'video', list: true },
+  { idField: 'imageFileId', urlField: 'imageUrl', fileType: 'image' },
+  { idField: 'videoFileId', urlField: 'videoUrl', fileType: 'video' },
+];
+
+/**
+ * Helper: Plain representation of a File row
+ */
+const formatFile = (file) => ({
+  fileId: file.id,
+  fileType: file.fileType,
+  s3Key: file.s3Key,
+  url: file.s3Url,
+  mimeType: file.mimeType,
+  size: Number(file.fileSize),
+  referenceCode: file.referenceCode,
+  confirmedAt: file.updatedAt,
+});
+
 const filesService = {
   /**
-   * Generate a presigned PUT URL for direct S3 upload
-   * @param {string} userId - User ID for path namespacing
-   * @param {string} fileName - Original file name
+   * Generate a presigned POST for direct S3 upload
+   * The policy pins the key, the content type and the size: with a declared size S3 only accepts
+   * exactly that many bytes, so the quota check on the declared size holds; without one, up to the
+   * maximum for the type. With a SHA-256 S3 also verifies the content against it.
+   * @param {string} key - Object key from getUploadKey
    * @param {string} contentType - MIME type of the file
-   * @param {'image'|'video'} fileType - Type of file (image or video)
-   * @returns {Promise<string>} Presigned URL valid for 30 minutes
+   * @param {Object} options - { size: declared size in bytes, sha256: hex digest of the content }
+   * @returns {{ url: string, fields: Object }} Form fields to send before the file, valid for 30 minutes
    */
-  async getPresignedUploadUrl(userId, fileName, contentType, fileType) {
-    const folder = fileType === 'video' ? 'videos' : 'images';
-    const key = `${folder}/uploads/${userId}/${fileName}`;
-
-    const params = {
-      Bucket: process.env.S3_BUCKET || 'yesterday-stories-uploads',
-      Key: key,
-      ContentType: contentType,
-      Expires: 1800, // 30 minutes
-    };
+  getPresignedUpload(key, contentType, { size = null, sha256 = null } = {}) {
+    const maxSize = MAX_FILE_SIZES[ALLOWED_VIDEO_TYPES.includes(contentType) ? 'video' : 'image'];
+    const fields = { key, 'Content-Type': contentType };
+    if (sha256) {
+      fields['x-amz-checksum-sha256'] = Buffer.from(sha256, 'hex').toString('base64');
+    }
 
-    const presignedUrl = await s3.getSignedUrlPromise('putObject', params);
-    console.log(`[FILES] ✅ Generated presigned URL for ${key}`);
-    return presignedUrl;
+    const presignedPost = s3.createPresignedPost({
+      Bucket: getBucket(),
+      Fields: fields,
+      Expires: PRESIGNED_POST_EXPIRES,
+      Conditions: [
+        ['content-length-range', size || 1, size || maxSize],
+      ],
+    });
+    console.log(`[FILES] ✅ Generated presigned POST for ${key}${size ? ` (${size} bytes)` : ''}`);
+    return { url: presignedPost.url, fields: presignedPost.fields };
   },
 
   /**
@@ -85,7 +157,7 @@ const filesService = {
   async getSessionUploadCredentials(userId, fileType) {
     const folder = fileType === 'video' ? 'videos' : 'images';
     const allowedTypes = fileType === 'video' ? ALLOWED_VIDEO_TYPES : ALLOWED_IMAGE_TYPES;
-    const maxSize = fileType === 'video' ? 500 * 1024 * 1024 : 10 * 1024 * 1024;
+    const maxSize = MAX_FILE_SIZES[fileType === 'video' ? 'video' : 'image'];
 
     const params = {
       Bucket: process.env.S3_BUCKET || 'yesterday-stories-uploads',
@@ -113,29 +185,73 @@ const filesService = {
   },
 
   /**
-   * Generate batch presigned URLs for multiple files
+   * Assign server-side keys to requested uploads and find the ones already confirmed
+   * Keys are content-addressed when a SHA-256 is given, so a file the user already uploaded
+   * keeps its key and is returned with its File record instead of being uploaded again.
    * @param {string} userId - User ID for path namespacing
-   * @param {Array} files - Array of {fileName, contentType, fileType}
-   * @returns {Promise<Array>} Array of presigned URLs
+   * @param {Array} files - Array of {fileName, contentType, fileType, sha256}
+   * @returns {Promise<Array>} The files with s3Key, url and existingFile (null when an upload is needed)
+   */
+  async assignUploadKeys(userId, files) {
+    try {
+      const withKeys = files.map(file => {
+        const s3Key = this.getUploadKey(userId, file.fileType, file.contentType, { sha256: file.sha256 });
+        return { ...file, s3Key, url: this.getPublicUrl(s3Key) };
+      });
+
+      const hashedKeys = withKeys.filter(file => file.sha256).map(file => file.s3Key);
+      const { File } = getModels();
+      const existing = hashedKeys.length === 0 ? [] : await File.findAll({
+        where: { userId, s3Key: { [Op.in]: hashedKeys } },
+      });
+      const byKey = new Map(existing.map(file => [file.s3Key, formatFile(file)]));
+
+      return withKeys.map(file => ({ ...file, existingFile: byKey.get(file.s3Key) || null }));
+    } catch (error) {
+      console.error('❌ Error in assignUploadKeys:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate batch presigned URLs for multiple files
+   * @param {Array} files - Array from assignUploadKeys
+   * @returns {Promise<Array>} Per file: its key and public URL, plus the presigned POST when an upload is needed
    */
-  async getBatchPresignedUrls(userId, files) {
+  async getBatchPresignedUrls(files) {
     const results = [];
     
     for (const file of files) {
+      const { fileName, contentType, s3Key, url, size, sha256, existingFile } = file;
       try {
-        const { fileName, contentType, fileType } = file;
-        const presignedUrl = await this.getPresignedUploadUrl(userId, fileName, contentType, fileType);
+        if (existingFile) {
+          results.push({
+            fileName,
+            contentType,
+            s3Key,
+            url,
+            fileId: existingFile.fileId,
+            uploadRequired: false,
+            success: true,
+          });
+          continue;
+        }
+
+        const presignedPost = this.getPresignedUpload(s3Key, contentType, { size, sha256 });
         
         results.push({
           fileName,
           contentType,
-          presignedUrl,
+          s3Key,
+          url,
+          presignedPost,
+          uploadRequired: true,
           success: true,
         });
       } catch (error) {
-        console.error(`❌ Error generating presigned URL for ${file.fileName}:`, error);
+        console.error(`❌ Error generating presigned URL for ${fileName}:`, error);
         results.push({
-          fileName: file.fileName,
+          fileName,
           success: false,
           error: error.message,
         });
@@ -145,6 +261,710 @@ const filesService = {
     return results;
   },
 
+  /**
+   * Object key for a new upload, assigned by the server
+   * Named by the SHA-256 of the content when given (identical files share a key), otherwise a random UUID.
+   * The extension follows the content type.
+   * @param {string} userId - User ID for path namespacing
+   * @param {'image'|'video'} fileType - Type of file (image or video)
+   * @param {string} contentType - MIME type of the file
+   * @param {Object} options - { sha256: hex digest of the content }
+   */
+  getUploadKey(userId, fileType, contentType, { sha256 = null } = {}) {
+    const folder = fileType === 'video' ? 'videos' : 'images';
+    const name = sha256 ? sha256.toLowerCase() : uuidv4();
+    return `${folder}/uploads/${userId}/${name}${getFileExtension(contentType)}`;
+  },
+
+  /**
+   * Public URL of an object in the uploads bucket (the form keyFromUrl reads back)
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  getPublicUrl(key) {
+    const path = key.split('/').map(encodeURIComponent).join('/');
+    if (customEndpoint) {
+      return `${customEndpoint.replace(/\/+$/, '')}/${getBucket()}/${path}`;
+    }
+    return `https://${getBucket()}.s3.${s3Config.region}.amazonaws.com/${path}`;
+  },
+
+  /**
+   * Size and content type of an object, as stored in S3
+   * @param {string} key - Object key
+   * @returns {Promise<{ size: number, contentType: string, lastModified: Date }|null>} null when the object does not exist
+   */
+  async headObject(key) {
+    try {
+      const head = await s3.headObject({ Bucket: getBucket(), Key: key }).promise();
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType,
+        lastModified: head.LastModified,
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * First bytes of an object, for recognising its format
+   * @param {string} key - Object key
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer|null>} null when the object does not exist
+   */
+  async readObjectStart(key, length) {
+    try {
+      const object = await s3.getObject({ Bucket: getBucket(), Key: key, Range: `bytes=0-${length - 1}` }).promise();
+      return Buffer.from(object.Body);
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Record an upload in the File table after checking the object in S3
+   * Confirming the same key again refreshes its size and content type.
+   * Throws INVALID_KEY (outside the user's upload prefixes), FILE_NOT_FOUND, INVALID_CONTENT_TYPE, FILE_TOO_LARGE
+   * or QUOTA_EXCEEDED (error.size is the file size)
+   * @param {string} userId - Uploader
+   * @param {string} key - Object key under images|videos/uploads/{userId}/
+   * @param {Object} options - { referenceCode: trail to link the file to (ownership checked by the caller),
+   *   quotaBytes: the user's storage quota, null for no limit,
+   *   unconfirmedUploads: getUnconfirmedUploads already fetched for this request }
+   * @returns {Promise<Object>} Confirmed file
+   */
+  async confirmUpload(userId, key, { referenceCode = null, quotaBytes = null, unconfirmedUploads = null } = {}) {
+    const fileType = this.getUploadFileType(userId, key);
+    if (!fileType) {
+      throw new Error('INVALID_KEY');
+    }
+
+    const head = await this.headObject(key);
+    if (!head) {
+      throw new Error('FILE_NOT_FOUND');
+    }
+
+    const allowedTypes = fileType === 'video' ? ALLOWED_VIDEO_TYPES : ALLOWED_IMAGE_TYPES;
+    if (!allowedTypes.includes(head.contentType)) {
+      throw new Error('INVALID_CONTENT_TYPE');
+    }
+    if (head.size > MAX_FILE_SIZES[fileType]) {
+      throw new Error('FILE_TOO_LARGE');
+    }
+    if (quotaBytes !== null) {
+      const [usage, unconfirmedBytes] = await Promise.all([
+        storageService.getUsage(userId, { excludeKeys: [key] }),
+        this.getUnconfirmedBytes(userId, { excludeKeys: [key], uploads: unconfirmedUploads }),
+      ]);
+      if (usage.totalBytes + unconfirmedBytes + head.size > quotaBytes) {
+        const error = new Error('QUOTA_EXCEEDED');
+        error.size = head.size;
+        throw error;
+      }
+    }
+
+    const { File, UploadReservation } = getModels();
+    const values = {
+      userId,
+      fileType,
+      s3Key: key,
+      s3Url: this.getPublicUrl(key),
+      mimeType: head.contentType,
+      fileSize: head.size,
+      metadata: { lastModified: head.lastModified },
+    };
+
+    let file = await File.findOne({ where: { s3Key: key } });
+    if (file) {
+      await file.update({ ...values, referenceCode: referenceCode || file.referenceCode });
+    } else {
+      file = await File.create({ ...values, referenceCode });
+    }
+    // The file now counts as used storage, so its presigned upload no longer holds space
+    await UploadReservation.destroy({ where: { s3Key: key, uploadId: null } });
+
+    console.log(`[FILES] ✅ Confirmed ${key} (${head.contentType}, ${head.size} bytes)`);
+    return formatFile(file);
+  },
+
+  /**
+   * Confirm several uploads; failures are reported per file
+   * With a quota, the user's unconfirmed uploads are listed once for the whole batch.
+   * @param {string} userId - Uploader
+   * @param {string[]} keys - Object keys
+   * @param {Object} options - { referenceCode, quotaBytes, verify }
+   *   verify: optional async (key) => boolean, run on the caller's own keys first; false fails with INVALID_FILE_CONTENT
+   * @returns {Promise<Array>} { s3Key, success, ...file } or { s3Key, success: false, error }
+   */
+  async confirmUploads(userId, keys, options = {}) {
+    const { verify, ...confirmOptions } = options;
+    const results = [];
+    if (confirmOptions.quotaBytes !== undefined && confirmOptions.quotaBytes !== null) {
+      confirmOptions.unconfirmedUploads = await this.getUnconfirmedUploads(userId);
+    }
+
+    for (const key of keys) {
+      try {
+        if (verify && this.getUploadFileType(userId, key) && !(await verify(key))) {
+          throw new Error('INVALID_FILE_CONTENT');
+        }
+        const file = await this.confirmUpload(userId, key, confirmOptions);
+        // Counted as used storage from here on
+        if (confirmOptions.unconfirmedUploads) confirmOptions.unconfirmedUploads.delete(key);
+        results.push({ ...file, success: true });
+      } catch (error) {
+        if (!['INVALID_KEY', 'FILE_NOT_FOUND', 'INVALID_CONTENT_TYPE', 'INVALID_FILE_CONTENT', 'FILE_TOO_LARGE', 'QUOTA_EXCEEDED'].includes(error.message)) {
+          console.error(`❌ Error confirming upload ${key}:`, error);
+        }
+        results.push({ s3Key: key, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Resolve confirmed file IDs to their URLs
+   * @param {string} userId - Files must belong to this user
+   * @param {Array<{ field: string, fileId: number, fileType: 'image'|'video' }>} references
+   * @returns {Promise<{ urls: Map<number, string>, errors: Array<{ field, message }> }>}
+   */
+  async resolveFileReferences(userId, references) {
+    try {
+      if (references.length === 0) {
+        return { urls: new Map(), errors: [] };
+      }
+
+      const { File } = getModels();
+      const ids = [...new Set(references.map(ref => ref.fileId))];
+      const files = await File.findAll({
+        where: { id: { [Op.in]: ids }, userId },
+        attributes: ['id', 'fileType', 's3Url'],
+      });
+      const byId = new Map(files.map(file => [file.id, file]));
+
+      const errors = [];
+      references.forEach(({ field, fileId, fileType }) => {
+        const file = byId.get(fileId);
+        if (!file) {
+          errors.push({ field, message: 'is not a confirmed file of this user' });
+        } else if (file.fileType !== fileType) {
+          errors.push({ field, message: fileType === 'video' ? 'must be a video file' : 'must be an image file' });
+        }
+      });
+
+      return { urls: new Map(files.map(file => [file.id, file.s3Url])), errors };
+    } catch (error) {
+      console.error('❌ Error in resolveFileReferences:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace confirmed file IDs in trail or story payloads with their URLs
+   * headerImageFileIds/headerVideoFileIds are appended to headerImages/headerVideos;
+   * imageFileId/videoFileId set imageUrl/videoUrl. Payloads are only changed when every ID resolves.
+   * @param {string} userId - Files must belong to this user
+   * @param {Array<{ payload: Object, prefix: string }>} targets - Payloads and their field path prefix for errors
+   * @returns {Promise<{ errors: Array<{ field, message }>, fileIds: number[] }>}
+   */
+  async applyFileReferences(userId, targets) {
+    const references = [];
+    targets.forEach(({ payload, prefix }) => {
+      FILE_ID_FIELDS.forEach(({ idField, fileType, list }) => {
+        const value = payload[idField];
+        if (value === undefined || value === null) return;
+        if (list) {
+          value.forEach((fileId, index) => references.push({ field: `${prefix}.${idField}[${index}]`, fileId, fileType }));
+        } else {
+          references.push({ field: `${prefix}.${idField}`, fileId: value, fileType });
+        }
+      });
+    });
+
+    const { urls, errors } = await this.resolveFileReferences(userId, references);
+    if (errors.length > 0) {
+      return { errors, fileIds: [] };
+    }
+
+    targets.forEach(({ payload }) => {
+      FILE_ID_FIELDS.forEach(({ idField, urlField, list }) => {
+        const value = payload[idField];
+        delete payload[idField];
+        if (value === undefined || value === null) return;
+        payload[urlField] = list
+          ? [...(payload[urlField] || []), ...value.map(fileId => urls.get(fileId))]
+          : urls.get(value);
+      });
+    });
+
+    return { errors: [], fileIds: [...new Set(references.map(ref => ref.fileId))] };
+  },
+
+  /**
+   * Link confirmed files to the trail that now uses them
+   * @param {string} userId - Owner of the files
+   * @param {number[]} fileIds - File IDs
+   * @param {string} referenceCode - Trail
+   */
+  async linkFilesToTrail(userId, fileIds, referenceCode) {
+    try {
+      if (fileIds.length === 0) {
+        return 0;
+      }
+      const { File } = getModels();
+      const [linked] = await File.update(
+        { referenceCode },
+        { where: { id: { [Op.in]: fileIds }, userId } }
+      );
+      return linked;
+    } catch (error) {
+      console.error('❌ Error in linkFilesToTrail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Object key of a URL pointing into the uploads bucket (null for anything else)
+   * Handles virtual-hosted (bucket.s3.region.amazonaws.com/key) and path-style (s3.region.amazonaws.com/bucket/key)
+   * URLs, and path-style URLs on S3_ENDPOINT.
+   * @param {string} url - Stored media URL
+   * @returns {string|null}
+   */
+  keyFromUrl(url) {
+    let parsed;
+    let path;
+    try {
+      parsed = new URL(url);
+      path = decodeURIComponent(parsed.pathname.replace(/^\/+/, ''));
+    } catch (error) {
+      return null;
+    }
+
+    const bucket = getBucket();
+
+    if (parsed.hostname.startsWith(`${bucket}.s3.`) || parsed.hostname.startsWith(`${bucket}.s3-`)) {
+      return path || null;
+    }
+    const isPathStyleHost = /^s3([.-][a-z0-9-]+)*\.amazonaws\.com$/.test(parsed.hostname)
+      || (customEndpoint && parsed.host === new URL(customEndpoint).host);
+    if (isPathStyleHost && path.startsWith(`${bucket}/`)) {
+      return path.slice(bucket.length + 1) || null;
+    }
+    return null;
+  },
+
+  /**
+   * File type of an upload key owned by the user, null when the key is outside their upload prefixes
+   * @returns {'image'|'video'|null}
+   */
+  getUploadFileType(userId, key) {
+    if (typeof key !== 'string' || key.includes('..')) {
+      return null;
+    }
+    const [imagePrefix, videoPrefix] = this.getUserUploadPrefixes(userId);
+    if (key.startsWith(imagePrefix) && key.length > imagePrefix.length) return 'image';
+    if (key.startsWith(videoPrefix) && key.length > videoPrefix.length) return 'video';
+    return null;
+  },
+
+  /**
+   * Owner and file type of a key under images|videos/uploads/{userId}/ (null for any other key)
+   * @returns {{ userId: string, fileType: 'image'|'video' }|null}
+   */
+  getUploadOwner(key) {
+    const match = /^(images|videos)\/uploads\/([^/]+)\/./.exec(key || '');
+    if (!match) {
+      return null;
+    }
+    return { userId: match[2], fileType: match[1] === 'videos' ? 'video' : 'image' };
+  },
+
+  /**
+   * Upload prefixes owned by a user (see getUploadKey)
+   */
+  getUserUploadPrefixes(userId) {
+    return [`images/uploads/${userId}/`, `videos/uploads/${userId}/`];
+  },
+
+  /**
+   * Uploads of a user that take space without being confirmed (confirmed uploads are counted by storageService.getUsage)
+   * Objects stored but not confirmed count until they are confirmed or the cleanup job removes them.
+   * Reserved uploads count at their declared size before their bytes arrive: multipart uploads until
+   * they are completed or aborted, presigned forms until they are confirmed or expire.
+   * @param {string} userId - Uploader
+   * @returns {Promise<Map<string, number>>} Bytes by object key
+   */
+  async getUnconfirmedUploads(userId) {
+    try {
+      const { File, UploadReservation } = getModels();
+      const [objects, reservations] = await Promise.all([
+        Promise.all(this.getUserUploadPrefixes(userId).map(prefix => this.listObjects(prefix))).then(lists => lists.flat()),
+        UploadReservation.findAll({
+          where: { userId, [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+          attributes: ['s3Key', 'bytes'],
+          raw: true,
+        }),
+      ]);
+      const uploads = new Map();
+      if (objects.length === 0 && reservations.length === 0) {
+        return uploads;
+      }
+
+      const confirmed = new Set((await File.findAll({ where: { userId }, attributes: ['s3Key'], raw: true })).map(file => file.s3Key));
+      // A reservation whose object is already stored is counted once, by the object
+      objects.filter(object => !confirmed.has(object.key)).forEach(object => uploads.set(object.key, Number(object.size) || 0));
+      reservations
+        .filter(reservation => !confirmed.has(reservation.s3Key) && !uploads.has(reservation.s3Key))
+        .forEach(reservation => uploads.set(reservation.s3Key, Number(reservation.bytes) || 0));
+
+      return uploads;
+    } catch (error) {
+      console.error('❌ Error in getUnconfirmedUploads:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Total bytes of getUnconfirmedUploads, which count against the quota too
+   * @param {string} userId - Uploader
+   * @param {Object} options - { excludeKeys: keys left out, e.g. a file being confirmed,
+   *   uploads: result of getUnconfirmedUploads already fetched for this request }
+   * @returns {Promise<number>}
+   */
+  async getUnconfirmedBytes(userId, { excludeKeys = [], uploads = null } = {}) {
+    const unconfirmed = uploads || await this.getUnconfirmedUploads(userId);
+    let bytes = 0;
+    unconfirmed.forEach((size, key) => {
+      if (!excludeKeys.includes(key)) bytes += size;
+    });
+    return bytes;
+  },
+
+  /**
+   * Hold the declared size of presigned uploads against the user's quota until they are confirmed
+   * or their form expires, so the next presign request cannot hand out the same space again
+   * @param {string} userId - Uploader
+   * @param {Array<{ s3Key: string, bytes: number }>} uploads
+   */
+  async reserveUploads(userId, uploads) {
+    if (uploads.length === 0) {
+      return;
+    }
+
+    const { UploadReservation } = getModels();
+    const expiresAt = new Date(Date.now() + PRESIGNED_POST_EXPIRES * 1000);
+    await UploadReservation.bulkCreate(
+      uploads.map(upload => ({ userId, s3Key: upload.s3Key, bytes: upload.bytes, expiresAt })),
+      { updateOnDuplicate: ['bytes', 'expiresAt', 'updatedAt'] },
+    );
+  },
+
+  /**
+   * User ids that have an upload prefix under images/uploads/ or videos/uploads/
+   * @returns {Promise<string[]>}
+   */
+  async listUploadUserIds() {
+    const userIds = new Set();
+
+    for (const folder of ['images', 'videos']) {
+      const prefix = `${folder}/uploads/`;
+      let ContinuationToken;
+      do {
+        const page = await s3.listObjectsV2({
+          Bucket: getBucket(),
+          Prefix: prefix,
+          Delimiter: '/',
+          ContinuationToken,
+        }).promise();
+
+        (page.CommonPrefixes || []).forEach(({ Prefix }) => userIds.add(Prefix.slice(prefix.length, -1)));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    }
+
+    return [...userIds];
+  },
+
+  /**
+   * List every object under a prefix
+   * @returns {Promise<Array<{ key: string, size: number, lastModified: Date }>>}
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let ContinuationToken;
+
+    do {
+      const page = await s3.listObjectsV2({ Bucket: getBucket(), Prefix: prefix, ContinuationToken }).promise();
+      (page.Contents || []).forEach(object => objects.push({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+      }));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return objects;
+  },
+
+  /**
+   * Start a multipart upload for a large file
+   * The plan is recorded as an UploadReservation, which holds the declared size against the
+   * owner's quota until the upload is completed or aborted.
+   * @param {string} key - Object key from getUploadKey
+   * @param {string} contentType - MIME type of the file
+   * @param {number} size - File size in bytes, used to plan the parts
+   * @returns {Promise<{ uploadId, partSize, partCount }>}
+   */
+  async startMultipartUpload(key, contentType, size) {
+    const partSize = Math.max(MULTIPART_PART_SIZE, Math.ceil(size / MULTIPART_MAX_PARTS));
+    const partCount = Math.max(1, Math.ceil(size / partSize));
+    const upload = await s3.createMultipartUpload({
+      Bucket: getBucket(),
+      Key: key,
+      ContentType: contentType,
+    }).promise();
+
+    const { UploadReservation } = getModels();
+    await UploadReservation.create({
+      userId: this.getUploadOwner(key).userId,
+      s3Key: key,
+      bytes: size,
+      uploadId: upload.UploadId,
+      partSize,
+      partCount,
+    });
+
+    console.log(`[FILES] ✅ Started multipart upload for ${key} (${size} bytes in ${partCount} parts)`);
+    return { uploadId: upload.UploadId, partSize, partCount };
+  },
+
+  /**
+   * Size of a part as planned by startMultipartUpload: partSize, and the remainder for the last part
+   * @param {Object} plan - { bytes, partSize, partCount } of the upload's reservation
+   */
+  getPlannedPartSize(plan, partNumber) {
+    return partNumber < plan.partCount
+      ? Number(plan.partSize)
+      : Number(plan.bytes) - Number(plan.partSize) * (plan.partCount - 1);
+  },
+
+  /**
+   * Reservation holding the plan of a multipart upload in progress, null when there is none
+   */
+  async getMultipartPlan(key, uploadId) {
+    const { UploadReservation } = getModels();
+    return UploadReservation.findOne({ where: { s3Key: key, uploadId } });
+  },
+
+  /**
+   * Presigned PUT URLs for parts of a multipart upload
+   * Each URL signs the part's planned Content-Length, so S3 refuses a part of any other size
+   * and the upload can never outgrow the size its quota check was made for.
+   * Throws UPLOAD_NOT_FOUND, or PART_OUT_OF_RANGE (error.partCount) for numbers above the planned part count
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number[]} partNumbers - Part numbers (1-10000)
+   * @returns {Promise<Array<{ partNumber, size, presignedUrl }>>} URLs valid for 1 hour
+   */
+  async getPartUploadUrls(key, uploadId, partNumbers) {
+    const plan = await this.getMultipartPlan(key, uploadId);
+    if (!plan) {
+      throw new Error('UPLOAD_NOT_FOUND');
+    }
+    if (partNumbers.some(partNumber => partNumber > plan.partCount)) {
+      const error = new Error('PART_OUT_OF_RANGE');
+      error.partCount = plan.partCount;
+      throw error;
+    }
+
+    const credentials = await getCredentials();
+    const { origin, path } = getObjectLocation(key);
+    return partNumbers.map((partNumber) => {
+      const size = this.getPlannedPartSize(plan, partNumber);
+      return {
+        partNumber,
+        size,
+        presignedUrl: presignS3Url({
+          method: 'PUT',
+          origin,
+          path,
+          query: { partNumber, uploadId },
+          headers: { 'content-length': size },
+          credentials,
+          region: s3Config.region,
+          expires: PART_URL_EXPIRES,
+        }),
+      };
+    });
+  },
+
+  /**
+   * Parts S3 has received for a multipart upload
+   * Throws UPLOAD_NOT_FOUND when the upload was completed, aborted or never existed
+   * @returns {Promise<Array<{ partNumber, etag, size, lastModified }>>}
+   */
+  async listUploadedParts(key, uploadId) {
+    const parts = [];
+    let PartNumberMarker;
+
+    try {
+      do {
+        const page = await s3.listParts({
+          Bucket: getBucket(),
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker,
+        }).promise();
+
+        (page.Parts || []).forEach(part => parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size,
+          lastModified: part.LastModified,
+        }));
+        PartNumberMarker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+      } while (PartNumberMarker);
+    } catch (error) {
+      if (error.code === 'NoSuchUpload') {
+        throw new Error('UPLOAD_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    return parts;
+  },
+
+  /**
+   * Assemble a multipart upload from the parts S3 has received
+   * Parts must be numbered 1..n without gaps, so a missing part never yields a truncated file;
+   * n is the planned part count. The reservation is released once S3 holds the object.
+   * Throws UPLOAD_NOT_FOUND, NO_PARTS_UPLOADED or MISSING_PARTS (error.missingParts lists them)
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Object} options - { partCount: expected number of parts, for uploads without a recorded plan }
+   */
+  async completeMultipartUpload(key, uploadId, { partCount = null } = {}) {
+    const [plan, parts] = await Promise.all([
+      this.getMultipartPlan(key, uploadId),
+      this.listUploadedParts(key, uploadId),
+    ]);
+    if (parts.length === 0) {
+      throw new Error('NO_PARTS_UPLOADED');
+    }
+
+    const expected = (plan && plan.partCount) || partCount || parts[parts.length - 1].partNumber;
+    const received = new Set(parts.map(part => part.partNumber));
+    const missingParts = [];
+    for (let partNumber = 1; partNumber <= expected; partNumber += 1) {
+      if (!received.has(partNumber)) missingParts.push(partNumber);
+    }
+    if (missingParts.length > 0 || parts.length !== expected) {
+      const error = new Error('MISSING_PARTS');
+      error.missingParts = missingParts;
+      throw error;
+    }
+
+    try {
+      await s3.completeMultipartUpload({
+        Bucket: getBucket(),
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag })) },
+      }).promise();
+    } catch (error) {
+      if (error.code === 'NoSuchUpload') {
+        throw new Error('UPLOAD_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    if (plan) {
+      await plan.destroy();
+    }
+    console.log(`[FILES] ✅ Completed multipart upload for ${key} (${parts.length} parts)`);
+  },
+
+  /**
+   * Abort a multipart upload, drop its parts and release its reservation
+   * (aborting an unknown upload is not an error)
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await s3.abortMultipartUpload({ Bucket: getBucket(), Key: key, UploadId: uploadId }).promise();
+      console.log(`[FILES] 🗑️  Aborted multipart upload for ${key}`);
+    } catch (error) {
+      if (error.code !== 'NoSuchUpload') {
+        throw error;
+      }
+    }
+
+    const { UploadReservation } = getModels();
+    await UploadReservation.destroy({ where: { s3Key: key, uploadId } });
+  },
+
+  /**
+   * Multipart uploads in progress under a prefix
+   * @returns {Promise<Array<{ key, uploadId, initiated }>>}
+   */
+  async listMultipartUploads(prefix) {
+    const uploads = [];
+    let KeyMarker;
+    let UploadIdMarker;
+
+    do {
+      const page = await s3.listMultipartUploads({
+        Bucket: getBucket(),
+        Prefix: prefix,
+        KeyMarker,
+        UploadIdMarker,
+      }).promise();
+
+      (page.Uploads || []).forEach(upload => uploads.push({
+        key: upload.Key,
+        uploadId: upload.UploadId,
+        initiated: upload.Initiated,
+      }));
+      KeyMarker = page.IsTruncated ? page.NextKeyMarker : undefined;
+      UploadIdMarker = page.IsTruncated ? page.NextUploadIdMarker : undefined;
+    } while (KeyMarker);
+
+    return uploads;
+  },
+
+  /**
+   * Delete objects from the uploads bucket
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<{ deleted: number, errors: Array<{ key, message }> }>}
+   */
+  async deleteObjects(keys) {
+    const result = { deleted: 0, errors: [] };
+
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+      const response = await s3.deleteObjects({
+        Bucket: getBucket(),
+        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true },
+      }).promise();
+
+      const errors = (response.Errors || []).map(error => ({ key: error.Key, message: error.Message }));
+      result.errors.push(...errors);
+      result.deleted += batch.length - errors.length;
+    }
+
+    if (keys.length > 0) {
+      console.log(`[FILES] 🗑️  Deleted ${result.deleted}/${keys.length} objects`);
+    }
+    return result;
+  },
+
   /**
    * Upload file to S3
    * Returns URL for use in trail or custom story
@@ -181,4 +1001,6 @@ const filesService = {
 module.exports = filesService;
 module.exports.ALLOWED_IMAGE_TYPES = ALLOWED_IMAGE_TYPES;
 module.exports.ALLOWED_VIDEO_TYPES = ALLOWED_VIDEO_TYPES;
+module.exports.MAX_FILE_SIZES = MAX_FILE_SIZES;
+module.exports.MULTIPART_MAX_PARTS = MULTIPART_MAX_PARTS;
 
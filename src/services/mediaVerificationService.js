@@ -0,0 +1,98 @@
+/**
+ * Media Verification Service
+ * Checks that an uploaded object really is the format its content type claims, from its first bytes.
+ * Runs when S3 reports a new upload and again when the upload is confirmed. Objects that fail are
+ * deleted together with their File record, and recorded as an UploadViolation on the owner's account.
+ */
+
+const { getModels } = require('../models');
+const filesService = require('./filesService');
+const { SIGNATURE_LENGTH, detectMediaType, matchesMediaType } = require('../utils/mediaSignatures');
+
+/**
+ * Helper: Delete a failed upload and flag its owner (once per object)
+ */
+const rejectUpload = async ({ userId, key, head, detectedType, source }) => {
+  const { File, UploadViolation } = getModels();
+
+  const { errors } = await filesService.deleteObjects([key]);
+  if (errors.length > 0) {
+    throw new Error(`Failed to delete ${key}: ${errors[0].message}`);
+  }
+  await File.destroy({ where: { s3Key: key } });
+
+  const existing = await UploadViolation.findOne({ where: { userId, s3Key: key } });
+  if (!existing) {
+    await UploadViolation.create({
+      userId,
+      s3Key: key,
+      declaredType: head.contentType || null,
+      detectedType,
+      fileSize: head.size,
+      action: 'deleted',
+      source,
+    });
+  }
+
+  console.warn(`[VERIFY] ⚠️  Deleted ${key} of ${userId}: declared ${head.contentType}, content is ${detectedType || 'not an allowed format'}`);
+};
+
+const mediaVerificationService = {
+  /**
+   * Verify an uploaded object against its content type
+   * Keys outside images|videos/uploads/{userId}/ are ignored.
+   * @param {string} key - Object key
+   * @param {Object} options - { source: 'upload_event' | 'confirm' }
+   * @returns {Promise<{ status: 'verified'|'rejected'|'missing'|'ignored', key, declaredType?, detectedType? }>}
+   */
+  async verifyUpload(key, { source = 'upload_event' } = {}) {
+    try {
+      const owner = filesService.getUploadOwner(key);
+      if (!owner) {
+        return { status: 'ignored', key };
+      }
+
+      const head = await filesService.headObject(key);
+      if (!head) {
+        // Already deleted when S3 reported the upload, if it failed then
+        const { UploadViolation } = getModels();
+        const violation = await UploadViolation.findOne({ where: { userId: owner.userId, s3Key: key } });
+        return { status: violation ? 'rejected' : 'missing', key };
+      }
+      // S3 refuses a range read of an empty object
+      const bytes = head.size > 0 ? await filesService.readObjectStart(key, SIGNATURE_LENGTH) : Buffer.alloc(0);
+      if (!bytes) {
+        return { status: 'missing', key };
+      }
+
+      const allowedTypes = owner.fileType === 'video' ? filesService.ALLOWED_VIDEO_TYPES : filesService.ALLOWED_IMAGE_TYPES;
+      const detectedType = detectMediaType(bytes);
+      const result = { key, declaredType: head.contentType, detectedType };
+
+      if (allowedTypes.includes(head.contentType) && matchesMediaType(bytes, head.contentType)) {
+        return { status: 'verified', ...result };
+      }
+
+      await rejectUpload({ userId: owner.userId, key, head, detectedType, source });
+      return { status: 'rejected', ...result };
+    } catch (error) {
+      console.error('❌ Error in verifyUpload:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Number of uploads of a user that failed verification
+   */
+  async getViolationCount(userId) {
+    try {
+      const { UploadViolation } = getModels();
+      return await UploadViolation.count({ where: { userId } });
+    } catch (error) {
+      console.error('❌ Error in getViolationCount:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = mediaVerificationService;
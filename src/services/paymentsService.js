@@ -0,0 +1,528 @@
+/**
+ * Payments Service
+ * Stripe client setup, payments ledger and webhook event processing
+ */
+
+const { Op } = require('sequelize');
+const { getModels } = require('../models');
+const trailsService = require('./trailsService');
+const promoCodesService = require('./promoCodesService');
+
+let stripeClient = null;
+
+// A stripe_events row still without outcome after this long belongs to a delivery that died mid-way
+// (the webhook Lambda times out after 30s), so a retry may take the event over
+const EVENT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Helper: Get the Stripe client
+ * Created lazily from STRIPE_SECRET_KEY so handlers that never touch Stripe
+ * do not need the key configured
+ */
+const getStripe = () => {
+  if (!stripeClient) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_NOT_CONFIGURED');
+    }
+    stripeClient = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    console.log(`[PAYMENT] ✅ Stripe initialized`);
+  }
+  return stripeClient;
+};
+
+/**
+ * Helper: Replace the Stripe client (tests inject a mock here)
+ */
+const setStripe = (client) => {
+  stripeClient = client;
+};
+
+/**
+ * Helper: Resolve the trail reference code for a PaymentIntent or Charge
+ * Charges do not always carry the PaymentIntent metadata, so fall back to
+ * fetching the PaymentIntent itself
+ */
+const resolveReferenceCode = async (object) => {
+  if (object.metadata && object.metadata.referenceCode) {
+    return object.metadata.referenceCode;
+  }
+
+  if (object.object === 'charge' && object.payment_intent) {
+    const paymentIntentId = typeof object.payment_intent === 'string'
+      ? object.payment_intent
+      : object.payment_intent.id;
+    const paymentIntent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+    return paymentIntent.metadata ? paymentIntent.metadata.referenceCode || null : null;
+  }
+
+  return null;
+};
+
+/**
+ * Helper: Record a Stripe event before it is handled, so only one delivery handles it
+ * The unique eventId makes the insert the lock: a concurrent or repeated delivery fails it.
+ * @returns {Promise<Object|null>} null when the event is ours to handle, else the row recorded first
+ */
+const claimStripeEvent = async (stripeEvent) => {
+  const { StripeEvent } = getModels();
+  const object = stripeEvent.data.object;
+  const paymentIntentId = object.object === 'payment_intent' ? object.id : object.payment_intent || null;
+
+  const claim = () => StripeEvent.create({
+    eventId: stripeEvent.id,
+    type: stripeEvent.type,
+    paymentIntentId: typeof paymentIntentId === 'string' ? paymentIntentId : null,
+  });
+
+  try {
+    await claim();
+    return null;
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') {
+      throw error;
+    }
+  }
+
+  // Take over a claim its delivery never finished; whoever deletes it claims again
+  const released = await StripeEvent.destroy({
+    where: {
+      eventId: stripeEvent.id,
+      outcome: null,
+      createdAt: { [Op.lt]: new Date(Date.now() - EVENT_CLAIM_TIMEOUT_MS) },
+    },
+  });
+  if (released) {
+    try {
+      await claim();
+      return null;
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+    }
+  }
+
+  return StripeEvent.findOne({ where: { eventId: stripeEvent.id } });
+};
+
+/**
+ * Helper: Map a Payment row to the API response shape
+ */
+const formatPayment = (payment) => ({
+  id: payment.id,
+  referenceCode: payment.referenceCode || payment.purgedReferenceCode,
+  trailPurged: !payment.referenceCode,
+  paymentIntentId: payment.paymentIntentId,
+  amount: Number(payment.amount),
+  amountRefunded: Number(payment.amountRefunded || 0),
+  currency: payment.currency,
+  status: payment.status,
+  createdAt: payment.createdAt,
+  updatedAt: payment.updatedAt,
+});
+
+/**
+ * Helper: Bring the ledger row for a PaymentIntent up to date
+ * Intents created before the ledger existed get their row created here
+ */
+const syncPaymentStatus = async (paymentIntentId, status, paymentIntent = null) => {
+  const { Payment } = getModels();
+
+  const payment = await Payment.findOne({ where: { paymentIntentId } });
+  if (payment) {
+    if (payment.status !== status) {
+      console.log(`[PAYMENT] Ledger ${paymentIntentId}: ${payment.status} -> ${status}`);
+      payment.status = status;
+      await payment.save();
+    }
+    return payment;
+  }
+
+  const metadata = paymentIntent ? paymentIntent.metadata || {} : {};
+  if (!metadata.referenceCode || !metadata.userId) {
+    console.warn(`[PAYMENT] ⚠️  No ledger row for ${paymentIntentId} and not enough metadata to create one`);
+    return null;
+  }
+
+  console.log(`[PAYMENT] Creating missing ledger row for ${paymentIntentId}`);
+  return Payment.create({
+    referenceCode: metadata.referenceCode,
+    userId: metadata.userId,
+    paymentIntentId,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency.toUpperCase(),
+    status,
+    metadata,
+  });
+};
+
+/**
+ * Webhook event handlers
+ * Each returns a short outcome string that is stored with the processed event
+ */
+const eventHandlers = {
+  async 'payment_intent.succeeded'(paymentIntent, referenceCode) {
+    await syncPaymentStatus(paymentIntent.id, 'completed', paymentIntent);
+    await promoCodesService.settleRedemptionForPaymentIntent(paymentIntent.id, 'completed');
+
+    const trail = await trailsService.getTrail(referenceCode);
+    if (!trail) {
+      console.warn(`[PAYMENT] ⚠️  Trail not found for PaymentIntent ${paymentIntent.id}: ${referenceCode}`);
+      return 'trail_not_found';
+    }
+
+    if (trail.isPaid) {
+      console.log(`[PAYMENT] Trail ${referenceCode} already paid - nothing to do`);
+      return 'already_paid';
+    }
+
+    try {
+      await trailsService.markTrailAsPaid(referenceCode, paymentIntent.id, {
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      });
+    } catch (error) {
+      // A superseded or reverted checkout was paid: the money is taken but the trail stays as it is.
+      // The outcome is recorded on the event, and the ledger row stays refundable.
+      if (error.message === 'PAYMENT_NOT_FOR_CHECKOUT') {
+        console.warn(`[PAYMENT] ⚠️  FLAGGED: ${paymentIntent.id} paid for a checkout of ${referenceCode} that is no longer current - refund it`);
+        return 'not_current_checkout';
+      }
+      throw error;
+    }
+    return 'marked_paid';
+  },
+
+  async 'payment_intent.payment_failed'(paymentIntent, referenceCode) {
+    await syncPaymentStatus(paymentIntent.id, 'failed', paymentIntent);
+    await promoCodesService.settleRedemptionForPaymentIntent(paymentIntent.id, 'canceled');
+
+    // The trail stays in payment_pending - the same intent can be retried with another card
+    return 'payment_failed';
+  },
+
+  async 'charge.refunded'(charge, referenceCode) {
+    const { Payment } = getModels();
+
+    if (charge.payment_intent) {
+      await Payment.update(
+        { amountRefunded: charge.amount_refunded },
+        { where: { paymentIntentId: charge.payment_intent } }
+      );
+    }
+
+    // Partial refunds keep the trail paid
+    if (!charge.refunded) {
+      console.log(`[PAYMENT] Partial refund on charge ${charge.id} - trail stays paid`);
+      return 'partial_refund';
+    }
+
+    if (charge.payment_intent) {
+      await syncPaymentStatus(charge.payment_intent, 'refunded');
+    }
+
+    const updated = await trailsService.markTrailAsRefunded(referenceCode);
+    return updated ? 'marked_refunded' : 'unchanged';
+  },
+
+  async 'payment_intent.canceled'(paymentIntent, referenceCode) {
+    await syncPaymentStatus(paymentIntent.id, 'canceled', paymentIntent);
+    await promoCodesService.settleRedemptionForPaymentIntent(paymentIntent.id, 'canceled');
+
+    const updated = await trailsService.cancelCheckout(referenceCode, paymentIntent.id);
+    return updated ? 'checkout_canceled' : 'marked_canceled';
+  },
+};
+
+const paymentsService = {
+  getStripe,
+  setStripe,
+
+  /**
+   * Verify a webhook payload against its Stripe-Signature header
+   * Throws if the signature does not match
+   */
+  constructWebhookEvent(rawBody, signature) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('STRIPE_WEBHOOK_NOT_CONFIGURED');
+    }
+    return getStripe().webhooks.constructEvent(rawBody, signature, secret);
+  },
+
+  /**
+   * Process a verified Stripe webhook event
+   * The event is recorded in stripe_events before it is dispatched, so repeated
+   * or concurrent deliveries of the same event are handled once.
+   * A delivery that finds the event still being handled fails with EVENT_IN_PROGRESS
+   * (a non-2xx answer, so Stripe delivers it again later); a handler error releases
+   * the event so the next delivery handles it again
+   * @returns {Promise<{ duplicate: boolean, outcome: string }>}
+   */
+  async handleWebhookEvent(stripeEvent) {
+    const { StripeEvent } = getModels();
+
+    const existing = await claimStripeEvent(stripeEvent);
+    if (existing) {
+      if (!existing.outcome) {
+        console.warn(`[PAYMENT] ⚠️  Event ${stripeEvent.id} is being processed by another delivery`);
+        throw new Error('EVENT_IN_PROGRESS');
+      }
+      console.log(`[PAYMENT] Event ${stripeEvent.id} already processed (${existing.outcome}) - skipping`);
+      return { duplicate: true, outcome: existing.outcome };
+    }
+
+    const object = stripeEvent.data.object;
+    const eventHandler = eventHandlers[stripeEvent.type];
+    let referenceCode = null;
+    let outcome;
+
+    try {
+      if (!eventHandler) {
+        console.log(`[PAYMENT] Ignoring unhandled event type: ${stripeEvent.type}`);
+        outcome = 'ignored';
+      } else {
+        referenceCode = await resolveReferenceCode(object);
+        if (!referenceCode) {
+          console.warn(`[PAYMENT] ⚠️  No referenceCode metadata on ${object.object} ${object.id}`);
+          outcome = 'missing_reference';
+        } else {
+          console.log(`[PAYMENT] Handling ${stripeEvent.type} for trail ${referenceCode}`);
+          outcome = await eventHandler(object, referenceCode);
+        }
+      }
+    } catch (error) {
+      await StripeEvent.destroy({ where: { eventId: stripeEvent.id, outcome: null } });
+      throw error;
+    }
+
+    await StripeEvent.update({ referenceCode, outcome }, { where: { eventId: stripeEvent.id } });
+
+    console.log(`[PAYMENT] ✅ Event ${stripeEvent.id} processed: ${outcome}`);
+    return { duplicate: false, outcome };
+  },
+
+  /**
+   * Record a newly created PaymentIntent in the payments ledger
+   */
+  async recordPaymentIntent(paymentIntent, referenceCode, userId) {
+    try {
+      const { Payment } = getModels();
+
+      const payment = await Payment.create({
+        referenceCode,
+        userId,
+        paymentIntentId: paymentIntent.id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency.toUpperCase(),
+        status: 'pending',
+        metadata: paymentIntent.metadata || null,
+      });
+
+      console.log(`[PAYMENT] ✅ Ledger row ${payment.id} created for ${paymentIntent.id}`);
+      return formatPayment(payment);
+    } catch (error) {
+      console.error('❌ Error in recordPaymentIntent:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a fully discounted payment (no PaymentIntent), and mark the trail as paid and publish it
+   * Returns null when the trail cannot go into checkout (no longer draft or payment_pending)
+   * @param {Object} quote - Discounted quote (total 0) with currency and promoCode
+   */
+  async recordFreePayment(referenceCode, userId, quote) {
+    try {
+      const { Payment } = getModels();
+      const { currency, promoCode } = quote;
+
+      const checkout = await trailsService.startCheckout(referenceCode, userId, { paymentIntentId: null, quote });
+      if (!checkout) {
+        return null;
+      }
+      if (checkout.previousPaymentIntentId) {
+        await paymentsService.cancelPaymentIntent(checkout.previousPaymentIntentId);
+      }
+
+      const payment = await Payment.create({
+        referenceCode,
+        userId,
+        paymentIntentId: null,
+        amount: 0,
+        currency,
+        status: 'completed',
+        metadata: { promoCode, type: 'trail' },
+      });
+
+      await trailsService.markTrailAsPaid(referenceCode, null, { amount: 0, currency });
+
+      console.log(`[PAYMENT] ✅ Free payment ${payment.id} recorded for ${referenceCode} (promo ${promoCode})`);
+      return formatPayment(payment);
+    } catch (error) {
+      console.error('❌ Error in recordFreePayment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all payments made by a user, newest first
+   */
+  async getUserPayments(userId) {
+    try {
+      const { Payment } = getModels();
+
+      const payments = await Payment.findAll({
+        where: { userId },
+        order: [['createdAt', 'DESC']],
+      });
+
+      return payments.map(formatPayment);
+    } catch (error) {
+      console.error('❌ Error in getUserPayments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the payment history of a trail, newest first
+   */
+  async getTrailPayments(referenceCode) {
+    try {
+      const { Payment } = getModels();
+
+      const payments = await Payment.findAll({
+        where: { referenceCode },
+        order: [['createdAt', 'DESC']],
+      });
+
+      return payments.map(formatPayment);
+    } catch (error) {
+      console.error('❌ Error in getTrailPayments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether a trail has a completed Stripe payment that is not fully refunded
+   * Such trails must be kept, since refundTrailPayment needs them
+   */
+  async hasRefundablePayment(referenceCode) {
+    try {
+      const { Payment } = getModels();
+
+      const payments = await Payment.findAll({
+        where: { referenceCode, status: 'completed' },
+        attributes: ['paymentIntentId', 'amount', 'amountRefunded'],
+      });
+
+      return payments.some(payment => payment.paymentIntentId
+        && Number(payment.amount) - Number(payment.amountRefunded || 0) > 0);
+    } catch (error) {
+      console.error('❌ Error in hasRefundablePayment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Refund the completed payment of a trail, in full or in part
+   * A full refund also unpublishes the trail and records the reason on it
+   * @param {string} referenceCode - Trail reference code
+   * @param {Object} options - { amount (whole cents, omit for full refund), reason, requestedBy,
+   *   actor (trailStatusService actor recorded on the trail transition) }
+   * @returns {Promise<Object>} Refund summary
+   */
+  async refundTrailPayment(referenceCode, { amount, reason = null, requestedBy, actor } = {}) {
+    try {
+      const { Payment } = getModels();
+
+      if (amount !== undefined && amount !== null && !(Number.isInteger(amount) && amount > 0)) {
+        throw new Error('INVALID_REFUND_AMOUNT');
+      }
+
+      const payment = await Payment.findOne({
+        where: { referenceCode, status: 'completed' },
+        order: [['createdAt', 'DESC']],
+      });
+
+      if (!payment || !payment.paymentIntentId) {
+        throw new Error('NO_REFUNDABLE_PAYMENT');
+      }
+
+      const refundable = Number(payment.amount) - Number(payment.amountRefunded || 0);
+      const refundAmount = amount === undefined || amount === null ? refundable : amount;
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new Error('INVALID_REFUND_AMOUNT');
+      }
+
+      console.log(`[PAYMENT] Refunding ${refundAmount} of ${refundable} ${payment.currency} on ${payment.paymentIntentId}`);
+
+      const refund = await getStripe().refunds.create({
+        payment_intent: payment.paymentIntentId,
+        amount: refundAmount,
+        reason: 'requested_by_customer',
+        metadata: {
+          referenceCode,
+          requestedBy: requestedBy || '',
+          reason: reason || '',
+        },
+      });
+
+      const fullRefund = refundAmount === refundable;
+      payment.amountRefunded = Number(payment.amountRefunded || 0) + refundAmount;
+      if (fullRefund) {
+        payment.status = 'refunded';
+      }
+      await payment.save();
+
+      if (fullRefund) {
+        await trailsService.markTrailAsRefunded(referenceCode, reason, { actor, actorId: requestedBy });
+      }
+
+      console.log(`[PAYMENT] ✅ Refund ${refund.id} created (${fullRefund ? 'full' : 'partial'})`);
+
+      return {
+        refundId: refund.id,
+        status: refund.status,
+        amount: refundAmount,
+        currency: payment.currency,
+        fullRefund,
+        payment: formatPayment(payment),
+      };
+    } catch (error) {
+      console.error('❌ Error in refundTrailPayment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm with Stripe that a PaymentIntent succeeded for the given trail
+   * @returns {Promise<Object|null>} The PaymentIntent, or null when it did not succeed for this trail
+   */
+  async verifyPaymentIntentForTrail(paymentIntentId, referenceCode) {
+    const paymentIntent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+    const intentReference = paymentIntent.metadata ? paymentIntent.metadata.referenceCode : null;
+
+    return paymentIntent.status === 'succeeded' && intentReference === referenceCode ? paymentIntent : null;
+  },
+
+  /**
+   * Cancel a PaymentIntent whose checkout was left or replaced, so it can no longer be paid
+   * Failures (e.g. the intent already succeeded or was canceled) are logged, not thrown:
+   * a payment that still arrives is rejected by markTrailAsPaid.
+   * The ledger and promo redemption follow from the payment_intent.canceled webhook.
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    try {
+      await getStripe().paymentIntents.cancel(paymentIntentId);
+      console.log(`[PAYMENT] ✅ Canceled PaymentIntent ${paymentIntentId}`);
+      return true;
+    } catch (error) {
+      console.warn(`[PAYMENT] ⚠️  Could not cancel PaymentIntent ${paymentIntentId}: ${error.message}`);
+      return false;
+    }
+  },
+};
+
+module.exports = paymentsService;
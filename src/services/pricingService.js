@@ -0,0 +1,148 @@
+/**
+ * Pricing Service
+ * Works out what publishing a trail costs from the trail itself
+ * All amounts are in the smallest currency unit (cents), as Stripe expects
+ */
+
+// Price list per supported currency
+const PRICE_LIST = {
+  AUD: { base: 999, perExtraStory: 100, perExtraVideo: 200 },
+  NZD: { base: 1099, perExtraStory: 110, perExtraVideo: 220 },
+  USD: { base: 699, perExtraStory: 70, perExtraVideo: 130 },
+  GBP: { base: 549, perExtraStory: 55, perExtraVideo: 100 },
+  EUR: { base: 649, perExtraStory: 65, perExtraVideo: 120 },
+};
+
+const DEFAULT_CURRENCY = 'AUD';
+
+// Stories and videos covered by the base price
+const INCLUDED_STORIES = 5;
+const INCLUDED_VIDEOS = 1;
+
+/**
+ * Helper: Count the videos attached to a trail (header videos + story videos)
+ */
+const countVideos = (trailData) => {
+  const headerVideos = Array.isArray(trailData.headerVideos) ? trailData.headerVideos.length : 0;
+  const storyVideos = (trailData.customStories || []).filter(story => story.videoUrl).length;
+  return headerVideos + storyVideos;
+};
+
+const pricingService = {
+  SUPPORTED_CURRENCIES: Object.keys(PRICE_LIST),
+  DEFAULT_CURRENCY,
+
+  isSupportedCurrency(currency) {
+    return !!currency && Object.prototype.hasOwnProperty.call(PRICE_LIST, currency.toUpperCase());
+  },
+
+  /**
+   * Build an itemised quote for publishing a trail
+   * @param {Object} trailData - Trail data with customStories and headerVideos
+   * @param {string} currency - ISO currency code (defaults to AUD)
+   * @returns {{ currency: string, items: Array, total: number }}
+   */
+  calculateTrailPrice(trailData, currency = DEFAULT_CURRENCY) {
+    const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+    const prices = PRICE_LIST[code];
+    if (!prices) {
+      throw new Error('UNSUPPORTED_CURRENCY');
+    }
+
+    const storyCount = (trailData.customStories || []).length;
+    const videoCount = countVideos(trailData);
+    const extraStories = Math.max(0, storyCount - INCLUDED_STORIES);
+    const extraVideos = Math.max(0, videoCount - INCLUDED_VIDEOS);
+
+    const items = [
+      {
+        code: 'base',
+        description: `Trail publishing (includes ${INCLUDED_STORIES} stories and ${INCLUDED_VIDEOS} video)`,
+        quantity: 1,
+        unitAmount: prices.base,
+        amount: prices.base,
+      },
+    ];
+
+    if (extraStories > 0) {
+      items.push({
+        code: 'extra_stories',
+        description: 'Additional stories',
+        quantity: extraStories,
+        unitAmount: prices.perExtraStory,
+        amount: extraStories * prices.perExtraStory,
+      });
+    }
+
+    if (extraVideos > 0) {
+      items.push({
+        code: 'extra_videos',
+        description: 'Additional videos',
+        quantity: extraVideos,
+        unitAmount: prices.perExtraVideo,
+        amount: extraVideos * prices.perExtraVideo,
+      });
+    }
+
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      currency: code,
+      storyCount,
+      videoCount,
+      items,
+      total,
+    };
+  },
+
+  /**
+   * Stories and videos a paid quote covers: what it charged for, and at least what the base price includes
+   * @param {Object} quote - Quote from calculateTrailPrice (discounted or not)
+   * @returns {{ stories: number, videos: number }}
+   */
+  getContentAllowance(quote) {
+    return {
+      stories: Math.max(quote.storyCount, INCLUDED_STORIES),
+      videos: Math.max(quote.videoCount, INCLUDED_VIDEOS),
+    };
+  },
+
+  /**
+   * Whether a paid quote covers a trail's content (no billable story or video beyond it)
+   */
+  coversContent(quote, trailData) {
+    const allowance = this.getContentAllowance(quote);
+    return (trailData.customStories || []).length <= allowance.stories && countVideos(trailData) <= allowance.videos;
+  },
+
+  /**
+   * Apply a percentage discount to a quote
+   * Adds a negative line item so the quote stays itemised
+   * @param {Object} quote - Quote from calculateTrailPrice
+   * @param {string} promoCode - Promo code shown on the line item
+   * @param {number} percentOff - Whole percentage (1-100)
+   * @returns {Object} New quote including the discount
+   */
+  applyDiscount(quote, promoCode, percentOff) {
+    const discount = Math.min(quote.total, Math.round(quote.total * percentOff / 100));
+
+    return {
+      ...quote,
+      items: [
+        ...quote.items,
+        {
+          code: 'promo',
+          description: `Promo code ${promoCode} (${percentOff}% off)`,
+          quantity: 1,
+          unitAmount: -discount,
+          amount: -discount,
+        },
+      ],
+      discount,
+      promoCode,
+      total: quote.total - discount,
+    };
+  },
+};
+
+module.exports = pricingService;
@@ -0,0 +1,319 @@
+/**
+ * Promo Codes Service
+ * Admin management of promo codes and per-payment redemptions
+ */
+
+const { getModels } = require('../models');
+const { Op } = require('sequelize');
+
+// Redemptions that count against maxRedemptions
+const ACTIVE_REDEMPTION_STATUSES = ['pending', 'completed'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+/**
+ * Helper: Normalise a promo code as typed by a user
+ */
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Helper: Map a PromoCode row to the API response shape
+ */
+const formatPromoCode = (promo, redemptionCount = 0) => ({
+  id: promo.id,
+  code: promo.code,
+  description: promo.description,
+  percentOff: promo.percentOff,
+  maxRedemptions: promo.maxRedemptions,
+  redemptionCount,
+  expiresAt: promo.expiresAt,
+  isActive: promo.isActive,
+  createdAt: promo.createdAt,
+  updatedAt: promo.updatedAt,
+});
+
+/**
+ * Helper: Count redemptions that hold a slot on a promo code
+ */
+const countActiveRedemptions = async (promoCodeId, options = {}) => {
+  const { PromoRedemption } = getModels();
+  return PromoRedemption.count({
+    where: { promoCodeId, status: { [Op.in]: ACTIVE_REDEMPTION_STATUSES } },
+    ...options,
+  });
+};
+
+/**
+ * Helper: Validate admin input for creating or updating a promo code
+ * Returns an error message, or null when the input is valid
+ */
+const validatePromoInput = (data, isCreate) => {
+  if (isCreate || data.code !== undefined) {
+    if (!CODE_PATTERN.test(normalizeCode(data.code))) {
+      return 'code must be 3-50 characters of A-Z, 0-9, _ or -';
+    }
+  }
+  if (isCreate || data.percentOff !== undefined) {
+    if (!Number.isInteger(data.percentOff) || data.percentOff < 1 || data.percentOff > 100) {
+      return 'percentOff must be a whole number between 1 and 100';
+    }
+  }
+  if (data.maxRedemptions !== undefined && data.maxRedemptions !== null) {
+    if (!Number.isInteger(data.maxRedemptions) || data.maxRedemptions < 1) {
+      return 'maxRedemptions must be a positive whole number or null';
+    }
+  }
+  if (data.expiresAt !== undefined && data.expiresAt !== null && isNaN(new Date(data.expiresAt).getTime())) {
+    return 'expiresAt must be a valid date or null';
+  }
+  return null;
+};
+
+/**
+ * Helper: Check a promo code can be redeemed by this user for this trail
+ * Throws PROMO_* errors; runs inside the caller's transaction when given one
+ */
+const assertRedeemable = async (promo, userId, referenceCode, transaction = null) => {
+  const { PromoRedemption } = getModels();
+
+  if (!promo || !promo.isActive) {
+    throw new Error('PROMO_NOT_FOUND');
+  }
+
+  if (promo.expiresAt && new Date(promo.expiresAt) < new Date()) {
+    throw new Error('PROMO_EXPIRED');
+  }
+
+  // One redemption per user; re-quoting the same trail replaces the earlier reservation
+  const previous = await PromoRedemption.findOne({
+    where: {
+      promoCodeId: promo.id,
+      userId,
+      status: { [Op.in]: ACTIVE_REDEMPTION_STATUSES },
+    },
+    transaction,
+  });
+
+  if (previous && (previous.status === 'completed' || previous.referenceCode !== referenceCode)) {
+    throw new Error('PROMO_ALREADY_USED');
+  }
+
+  if (promo.maxRedemptions !== null && promo.maxRedemptions !== undefined) {
+    const used = await countActiveRedemptions(promo.id, { transaction });
+    const usedByOthers = previous ? used - 1 : used;
+    if (usedByOthers >= promo.maxRedemptions) {
+      throw new Error('PROMO_EXHAUSTED');
+    }
+  }
+
+  return previous;
+};
+
+const promoCodesService = {
+  normalizeCode,
+  validatePromoInput,
+
+  /**
+   * List all promo codes with their redemption counts
+   */
+  async listPromoCodes() {
+    try {
+      const { PromoCode } = getModels();
+
+      const promos = await PromoCode.findAll({ order: [['createdAt', 'DESC']] });
+
+      return Promise.all(promos.map(async promo => formatPromoCode(promo, await countActiveRedemptions(promo.id))));
+    } catch (error) {
+      console.error('❌ Error in listPromoCodes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a promo code by its code
+   */
+  async getPromoCode(code) {
+    try {
+      const { PromoCode } = getModels();
+
+      const promo = await PromoCode.findOne({ where: { code: normalizeCode(code) } });
+      if (!promo) {
+        return null;
+      }
+
+      return formatPromoCode(promo, await countActiveRedemptions(promo.id));
+    } catch (error) {
+      console.error('❌ Error in getPromoCode:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a promo code
+   */
+  async createPromoCode(data) {
+    try {
+      const { PromoCode } = getModels();
+
+      const promo = await PromoCode.create({
+        code: normalizeCode(data.code),
+        description: data.description || null,
+        percentOff: data.percentOff,
+        maxRedemptions: data.maxRedemptions || null,
+        expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+        isActive: data.isActive !== undefined ? !!data.isActive : true,
+      });
+
+      console.log(`[PROMO] ✅ Promo code created: ${promo.code} (${promo.percentOff}% off)`);
+      return formatPromoCode(promo);
+    } catch (error) {
+      console.error('❌ Error in createPromoCode:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a promo code
+   * Returns null if the code does not exist
+   */
+  async updatePromoCode(code, updates) {
+    try {
+      const { PromoCode } = getModels();
+
+      const promo = await PromoCode.findOne({ where: { code: normalizeCode(code) } });
+      if (!promo) {
+        return null;
+      }
+
+      if (updates.code !== undefined) promo.code = normalizeCode(updates.code);
+      if (updates.description !== undefined) promo.description = updates.description;
+      if (updates.percentOff !== undefined) promo.percentOff = updates.percentOff;
+      if (updates.maxRedemptions !== undefined) promo.maxRedemptions = updates.maxRedemptions;
+      if (updates.expiresAt !== undefined) promo.expiresAt = updates.expiresAt ? new Date(updates.expiresAt) : null;
+      if (updates.isActive !== undefined) promo.isActive = !!updates.isActive;
+
+      await promo.save();
+
+      console.log(`[PROMO] ✅ Promo code updated: ${promo.code}`);
+      return formatPromoCode(promo, await countActiveRedemptions(promo.id));
+    } catch (error) {
+      console.error('❌ Error in updatePromoCode:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deactivate a promo code
+   * Codes are never hard-deleted so past redemptions keep their reference
+   */
+  async deactivatePromoCode(code) {
+    try {
+      const { PromoCode } = getModels();
+
+      const result = await PromoCode.update(
+        { isActive: false },
+        { where: { code: normalizeCode(code) } }
+      );
+
+      return result[0] > 0;
+    } catch (error) {
+      console.error('❌ Error in deactivatePromoCode:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Look up a promo code and check it can be used by this user on this trail
+   * Throws PROMO_NOT_FOUND, PROMO_EXPIRED, PROMO_EXHAUSTED or PROMO_ALREADY_USED
+   */
+  async validatePromoCode(code, userId, referenceCode) {
+    const { PromoCode } = getModels();
+
+    const promo = await PromoCode.findOne({ where: { code: normalizeCode(code) } });
+    await assertRedeemable(promo, userId, referenceCode);
+
+    return formatPromoCode(promo);
+  },
+
+  /**
+   * Reserve a redemption slot for a payment
+   * The promo row is locked so concurrent requests cannot exceed maxRedemptions
+   * @returns {Promise<Object>} The pending (or, for free publishing, completed) redemption
+   */
+  async reserveRedemption(code, { userId, referenceCode, discountAmount, currency, status = 'pending' }) {
+    try {
+      const { PromoCode, PromoRedemption, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const promo = await PromoCode.findOne({
+          where: { code: normalizeCode(code) },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+
+        const previous = await assertRedeemable(promo, userId, referenceCode, transaction);
+        if (previous) {
+          previous.status = 'canceled';
+          await previous.save({ transaction });
+        }
+
+        const redemption = await PromoRedemption.create({
+          promoCodeId: promo.id,
+          userId,
+          referenceCode,
+          discountAmount,
+          currency,
+          status,
+        }, { transaction });
+
+        console.log(`[PROMO] ✅ Redemption ${redemption.id} reserved for ${promo.code} on ${referenceCode}`);
+        return redemption;
+      });
+    } catch (error) {
+      console.error('❌ Error in reserveRedemption:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Link a reserved redemption to the PaymentIntent created for it
+   */
+  async attachPaymentIntent(redemptionId, paymentIntentId) {
+    const { PromoRedemption } = getModels();
+    await PromoRedemption.update({ paymentIntentId }, { where: { id: redemptionId } });
+  },
+
+  /**
+   * Set the status of a redemption by id
+   */
+  async setRedemptionStatus(redemptionId, status) {
+    const { PromoRedemption } = getModels();
+    await PromoRedemption.update({ status }, { where: { id: redemptionId } });
+  },
+
+  /**
+   * Settle the redemption for a PaymentIntent once Stripe reports the outcome
+   * Failed or canceled payments release their slot. A payment that succeeds takes the slot back
+   * even after its redemption was canceled (re-quoted, or an earlier attempt failed): the discount was used.
+   */
+  async settleRedemptionForPaymentIntent(paymentIntentId, status) {
+    try {
+      const { PromoRedemption } = getModels();
+
+      const result = await PromoRedemption.update(
+        { status },
+        { where: { paymentIntentId, status: status === 'completed' ? { [Op.in]: ['pending', 'canceled'] } : 'pending' } }
+      );
+
+      if (result[0] > 0) {
+        console.log(`[PROMO] Redemption for ${paymentIntentId} -> ${status}`);
+      }
+      return result[0] > 0;
+    } catch (error) {
+      console.error('❌ Error in settleRedemptionForPaymentIntent:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = promoCodesService;
@@ -0,0 +1,205 @@
+/**
+ * Revisions Service
+ * Snapshots of trail content (fields + stories) taken before each update,
+ * so accidental overwrites can be inspected and restored.
+ */
+
+const { getModels } = require('../models');
+const { Op } = require('sequelize');
+
+// Revisions kept per trail; older ones are pruned when a new one is taken
+const DEFAULT_REVISION_LIMIT = 20;
+
+const TRAIL_FIELDS = ['title', 'description', 'difficulty', 'distance', 'headerImages', 'headerVideos'];
+const STORY_FIELDS = ['title', 'description', 'categoryId', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex', 'isPublished'];
+
+/**
+ * Helper: Read the retention limit from TRAIL_REVISION_LIMIT
+ */
+const getRevisionLimit = () => {
+  const limit = parseInt(process.env.TRAIL_REVISION_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_REVISION_LIMIT;
+};
+
+/**
+ * Helper: Plain, JSON-friendly copy of a trail and its stories
+ */
+const buildSnapshot = (trail, stories) => ({
+  title: trail.title,
+  description: trail.description,
+  difficulty: trail.difficulty,
+  distance: parseFloat(trail.distance),
+  headerImages: trail.headerImages,
+  headerVideos: trail.headerVideos,
+  customStories: stories.map(story => ({
+    id: story.id,
+    title: story.title,
+    description: story.description,
+    categoryId: story.categoryId,
+    latitude: story.latitude !== null ? parseFloat(story.latitude) : null,
+    longitude: story.longitude !== null ? parseFloat(story.longitude) : null,
+    imageUrl: story.imageUrl,
+    videoUrl: story.videoUrl,
+    orderIndex: story.orderIndex,
+    isPublished: story.isPublished,
+  })),
+});
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Helper: Field-by-field changes between two objects
+ */
+const diffFields = (fields, from, to) => fields
+  .filter(field => !isEqual(from[field], to[field]))
+  .map(field => ({ field, revision: from[field], current: to[field] }));
+
+/**
+ * Helper: Pair revision stories with current stories
+ * Stories are matched by id first; a full trail update recreates stories with new ids,
+ * so the rest are matched by title.
+ */
+const diffStories = (revisionStories, currentStories) => {
+  const unmatchedCurrent = [...currentStories];
+  const pairs = [];
+  const removed = [];
+
+  const takeMatch = (predicate) => {
+    const index = unmatchedCurrent.findIndex(predicate);
+    return index === -1 ? null : unmatchedCurrent.splice(index, 1)[0];
+  };
+
+  revisionStories
+    .map(story => ({ story, current: takeMatch(candidate => candidate.id === story.id) }))
+    .map(({ story, current }) => ({ story, current: current || takeMatch(candidate => candidate.title === story.title) }))
+    .forEach(({ story, current }) => {
+      if (current) {
+        pairs.push({ story, current });
+      } else {
+        removed.push(story);
+      }
+    });
+
+  return {
+    // In the revision but not in the current version
+    removed,
+    // In the current version but not in the revision
+    added: unmatchedCurrent,
+    changed: pairs
+      .map(({ story, current }) => ({
+        revisionStoryId: story.id,
+        currentStoryId: current.id,
+        changes: diffFields(STORY_FIELDS, story, current),
+      }))
+      .filter(change => change.changes.length > 0),
+  };
+};
+
+const formatRevisionSummary = (revision) => ({
+  revision: revision.revisionNumber,
+  createdAt: revision.createdAt,
+  createdBy: revision.createdBy,
+  reason: revision.reason,
+  title: revision.snapshot.title,
+  storyCount: revision.snapshot.customStories.length,
+});
+
+const revisionsService = {
+  buildSnapshot,
+
+  /**
+   * Store a snapshot of the trail as it is now and prune old revisions
+   * Call inside the transaction that changes the trail, with the trail row locked.
+   * @param {Object} trail - Trail row (before the change)
+   * @param {Array} stories - Its CustomStory rows (before the change)
+   * @param {Object} options - { createdBy, reason, transaction }
+   * @returns {Promise<number>} The new revision number
+   */
+  async snapshotTrail(trail, stories, { createdBy = null, reason = null, transaction } = {}) {
+    try {
+      const { TrailRevision } = getModels();
+      const { referenceCode } = trail;
+
+      const latest = await TrailRevision.max('revisionNumber', { where: { referenceCode }, transaction });
+      const revisionNumber = (Number.isInteger(latest) ? latest : 0) + 1;
+
+      await TrailRevision.create({
+        referenceCode,
+        revisionNumber,
+        snapshot: buildSnapshot(trail, stories),
+        reason,
+        createdBy,
+      }, { transaction });
+
+      const oldestKept = revisionNumber - getRevisionLimit() + 1;
+      if (oldestKept > 1) {
+        await TrailRevision.destroy({
+          where: { referenceCode, revisionNumber: { [Op.lt]: oldestKept } },
+          transaction,
+        });
+      }
+
+      console.log(`[REVISION] 📸 ${referenceCode} revision ${revisionNumber} saved (${reason || 'update'})`);
+      return revisionNumber;
+    } catch (error) {
+      console.error('❌ Error in snapshotTrail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the revisions of a trail, newest first
+   */
+  async listRevisions(referenceCode) {
+    try {
+      const { TrailRevision } = getModels();
+
+      const revisions = await TrailRevision.findAll({
+        where: { referenceCode },
+        order: [['revisionNumber', 'DESC']],
+      });
+
+      return revisions.map(formatRevisionSummary);
+    } catch (error) {
+      console.error('❌ Error in listRevisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one revision with its full snapshot
+   * Returns null if it does not exist (or has been pruned)
+   */
+  async getRevision(referenceCode, revisionNumber) {
+    try {
+      const { TrailRevision } = getModels();
+
+      const revision = await TrailRevision.findOne({ where: { referenceCode, revisionNumber } });
+      if (!revision) {
+        return null;
+      }
+
+      return {
+        ...formatRevisionSummary(revision),
+        snapshot: revision.snapshot,
+      };
+    } catch (error) {
+      console.error('❌ Error in getRevision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Differences between a revision snapshot and the current trail
+   * @param {Object} snapshot - Revision snapshot
+   * @param {Object} current - Current snapshot (same shape, see buildSnapshot)
+   */
+  diffSnapshots(snapshot, current) {
+    return {
+      fields: diffFields(TRAIL_FIELDS, snapshot, current),
+      stories: diffStories(snapshot.customStories, current.customStories),
+    };
+  },
+};
+
+module.exports = revisionsService;
@@ -0,0 +1,100 @@
+/**
+ * Storage Service
+ * Per-user storage accounting over confirmed uploads (File rows) and the quota of the user's plan.
+ * Uploads not confirmed yet are measured in S3 by filesService.getUnconfirmedBytes and passed in.
+ * The plan comes from the Firebase custom claim `plan`; users without one are on the free plan.
+ */
+
+const { getModels } = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+const DEFAULT_PLAN = 'free';
+const MB = 1024 * 1024;
+
+// Quota per plan in MB, overridable with STORAGE_QUOTA_<PLAN>_MB (e.g. STORAGE_QUOTA_PRO_MB)
+const PLAN_QUOTAS_MB = {
+  free: 2 * 1024,
+  pro: 50 * 1024,
+};
+
+/**
+ * Helper: Plan name used for quotas (unknown plans fall back to the free plan)
+ */
+const resolvePlan = (plan) => {
+  const name = typeof plan === 'string' ? plan.toLowerCase() : '';
+  const configured = Object.prototype.hasOwnProperty.call(PLAN_QUOTAS_MB, name)
+    || process.env[`STORAGE_QUOTA_${name.toUpperCase()}_MB`] !== undefined;
+  return name && configured ? name : DEFAULT_PLAN;
+};
+
+/**
+ * Helper: Quota of a plan in bytes
+ */
+const getQuotaBytes = (plan) => {
+  const name = resolvePlan(plan);
+  const megabytes = parseInt(process.env[`STORAGE_QUOTA_${name.toUpperCase()}_MB`], 10);
+  return (Number.isInteger(megabytes) && megabytes >= 0 ? megabytes : PLAN_QUOTAS_MB[name] || PLAN_QUOTAS_MB[DEFAULT_PLAN]) * MB;
+};
+
+const storageService = {
+  DEFAULT_PLAN,
+  resolvePlan,
+  getQuotaBytes,
+
+  /**
+   * Bytes and file counts of a user's confirmed uploads by type
+   * @param {string} userId - Uploader
+   * @param {Object} options - { excludeKeys: keys left out, e.g. a file being confirmed again }
+   * @returns {Promise<{ image: { bytes, files }, video: { bytes, files }, totalBytes: number }>}
+   */
+  async getUsage(userId, { excludeKeys = [] } = {}) {
+    try {
+      const { File } = getModels();
+
+      const where = { userId };
+      if (excludeKeys.length > 0) {
+        where.s3Key = { [Op.notIn]: excludeKeys };
+      }
+
+      const rows = await File.findAll({
+        where,
+        attributes: ['fileType', [fn('SUM', col('fileSize')), 'bytes'], [fn('COUNT', col('id')), 'files']],
+        group: ['fileType'],
+        raw: true,
+      });
+
+      const usage = { image: { bytes: 0, files: 0 }, video: { bytes: 0, files: 0 } };
+      rows.forEach(row => {
+        usage[row.fileType] = { bytes: Number(row.bytes) || 0, files: Number(row.files) || 0 };
+      });
+
+      return { ...usage, totalBytes: usage.image.bytes + usage.video.bytes };
+    } catch (error) {
+      console.error('❌ Error in getUsage:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Usage against the quota of the user's plan
+   * @param {Object} options - { unconfirmedBytes: uploaded but unconfirmed bytes (filesService.getUnconfirmedBytes),
+   *   which also take up quota }
+   * @returns {Promise<{ plan, quotaBytes, usedBytes, unconfirmedBytes, availableBytes, image, video }>}
+   */
+  async getUsageReport(userId, plan, { unconfirmedBytes = 0 } = {}) {
+    const usage = await this.getUsage(userId);
+    const quotaBytes = getQuotaBytes(plan);
+
+    return {
+      plan: resolvePlan(plan),
+      quotaBytes,
+      usedBytes: usage.totalBytes,
+      unconfirmedBytes,
+      availableBytes: Math.max(0, quotaBytes - usage.totalBytes - unconfirmedBytes),
+      image: usage.image,
+      video: usage.video,
+    };
+  },
+};
+
+module.exports = storageService;
@@ -0,0 +1,223 @@
+/**
+ * Trail Status Service
+ * The trail lifecycle state machine. Every status change goes through transition(),
+ * which checks the edge and the actor, keeps isPaid/publishedAt in step with the status
+ * and records the change in trail_transitions.
+ *
+ *   draft ──► payment_pending ──► paid ──► published ◄──► unpublished
+ *     ▲              │             │           │              │
+ *     └──────────────┴─────────────┴───────────┴──────────────┘  (cancel / refund)
+ *   any state except archived ──► archived ──► draft | unpublished
+ */
+
+const { getModels } = require('../models');
+const { assertTrailVersion } = require('../utils/etag');
+
+const TRAIL_STATES = ['draft', 'payment_pending', 'paid', 'published', 'unpublished', 'archived'];
+
+const ACTORS = {
+  OWNER: 'owner',
+  PAYMENT_WEBHOOK: 'payment_webhook',
+  ADMIN: 'admin',
+  SYSTEM: 'system', // scheduled jobs
+};
+
+const { OWNER, PAYMENT_WEBHOOK, ADMIN, SYSTEM } = ACTORS;
+
+/**
+ * Allowed edges: from -> to -> actors allowed to take it
+ * A `when` guard restricts an edge to trails in a matching payment state.
+ * `refundOnly` edges are taken by refunds alone (transition option refund), never by a plain status change.
+ */
+const TRANSITIONS = {
+  draft: {
+    payment_pending: { actors: [OWNER, PAYMENT_WEBHOOK] },
+    archived: { actors: [OWNER, ADMIN] },
+  },
+  payment_pending: {
+    paid: { actors: [PAYMENT_WEBHOOK] },
+    draft: { actors: [OWNER, PAYMENT_WEBHOOK, ADMIN] },
+    archived: { actors: [OWNER, ADMIN, SYSTEM] }, // system: abandoned checkout, see cleanupExpiredDrafts
+  },
+  paid: {
+    published: { actors: [OWNER, PAYMENT_WEBHOOK, ADMIN] }, // payment webhook: published as soon as the payment settles
+    draft: { actors: [PAYMENT_WEBHOOK, OWNER, ADMIN], refundOnly: true }, // POST /trails/:code/refund or a Stripe refund
+    archived: { actors: [OWNER, ADMIN] },
+  },
+  published: {
+    unpublished: { actors: [OWNER, ADMIN] },
+    draft: { actors: [PAYMENT_WEBHOOK, OWNER, ADMIN], refundOnly: true },
+    archived: { actors: [OWNER, ADMIN] },
+  },
+  unpublished: {
+    published: { actors: [OWNER, ADMIN] },
+    draft: { actors: [PAYMENT_WEBHOOK, OWNER, ADMIN], refundOnly: true },
+    archived: { actors: [OWNER, ADMIN] },
+  },
+  archived: {
+    draft: { actors: [OWNER, ADMIN], when: (trail) => !trail.isPaid },
+    unpublished: { actors: [OWNER, ADMIN], when: (trail) => trail.isPaid },
+  },
+};
+
+/**
+ * Helper: Column changes that keep isPaid and publishedAt consistent with the new status
+ */
+const stateColumns = (toStatus) => {
+  switch (toStatus) {
+    case 'paid':
+      return { isPaid: true, publishedAt: null };
+    case 'published':
+      return { publishedAt: new Date() };
+    case 'draft':
+      // Only reachable from paid states through a refund, or from payment_pending/archived.
+      // Any checkout ends here, so a payment for its intent is no longer accepted.
+      return { isPaid: false, publishedAt: null, checkoutPaymentIntentId: null, checkoutQuote: null };
+    default:
+      return { publishedAt: null };
+  }
+};
+
+/**
+ * Helper: Build the ILLEGAL_TRANSITION error carrying what the actor may do instead
+ */
+const illegalTransition = (trail, toStatus, allowed) => {
+  const error = new Error('ILLEGAL_TRANSITION');
+  error.currentStatus = trail.status;
+  error.requestedStatus = toStatus;
+  error.allowed = allowed;
+  return error;
+};
+
+const trailStatusService = {
+  TRAIL_STATES,
+  ACTORS,
+
+  /**
+   * Next states the actor may move this trail to
+   * @param {Object} trail - Trail row or { status, isPaid }
+   * @param {string} actor - One of ACTORS
+   * @param {Object} options - { refund: include the edges only a refund may take }
+   * @returns {string[]}
+   */
+  getAllowedTransitions(trail, actor, { refund = false } = {}) {
+    const edges = TRANSITIONS[trail.status] || {};
+    return Object.entries(edges)
+      .filter(([, edge]) => edge.actors.includes(actor) && (!edge.when || edge.when(trail)) && (!edge.refundOnly || refund))
+      .map(([toStatus]) => toStatus);
+  },
+
+  /**
+   * Move a trail to a new status
+   * The trail row is locked for the duration, so concurrent transitions are serialised.
+   * Throws TRAIL_NOT_FOUND, VERSION_MISMATCH when expectedVersions is given and the trail has moved on,
+   * or ILLEGAL_TRANSITION (with currentStatus and allowed) when the edge does not exist or the actor
+   * may not take it.
+   * @param {string} referenceCode - Trail reference code
+   * @param {string} toStatus - Target status
+   * @param {Object} options - { actor, actorId, reason, updates (extra Trail columns), expectedVersions, transaction,
+   *   refund: the change is a refund, which may take refundOnly edges }
+   * @returns {Promise<{ referenceCode, fromStatus, status, changedAt, version }>}
+   */
+  async transition(referenceCode, toStatus, {
+    actor,
+    actorId = null,
+    reason = null,
+    updates = {},
+    expectedVersions = null,
+    transaction,
+    refund = false,
+  } = {}) {
+    const { Trail, TrailTransition, sequelize } = getModels();
+
+    const run = async (t) => {
+      const trail = await Trail.findOne({
+        where: { referenceCode, isDeleted: false },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (!trail) {
+        throw new Error('TRAIL_NOT_FOUND');
+      }
+      assertTrailVersion(trail, expectedVersions);
+
+      const allowed = trailStatusService.getAllowedTransitions(trail, actor, { refund });
+      if (!allowed.includes(toStatus)) {
+        console.warn(`[STATUS] ❌ ${actor} cannot move ${referenceCode} from ${trail.status} to ${toStatus}`);
+        throw illegalTransition(trail, toStatus, allowed);
+      }
+
+      const fromStatus = trail.status;
+      await trail.update({
+        ...updates,
+        ...stateColumns(toStatus),
+        status: toStatus,
+        version: trail.version + 1,
+      }, { transaction: t });
+
+      const record = await TrailTransition.create({
+        referenceCode,
+        fromStatus,
+        toStatus,
+        actor,
+        actorId,
+        reason,
+      }, { transaction: t });
+
+      console.log(`[STATUS] ✅ ${referenceCode}: ${fromStatus} → ${toStatus} (${actor}${actorId ? ` ${actorId}` : ''})`);
+
+      return { referenceCode, fromStatus, status: toStatus, changedAt: record.createdAt, version: trail.version };
+    };
+
+    try {
+      return transaction ? await run(transaction) : await sequelize.transaction(run);
+    } catch (error) {
+      if (!['ILLEGAL_TRANSITION', 'TRAIL_NOT_FOUND', 'VERSION_MISMATCH'].includes(error.message)) {
+        console.error('❌ Error in transition:', error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Record the initial draft state of a newly created trail
+   */
+  async recordCreated(referenceCode, actorId, transaction) {
+    const { TrailTransition } = getModels();
+    await TrailTransition.create({
+      referenceCode,
+      fromStatus: null,
+      toStatus: 'draft',
+      actor: OWNER,
+      actorId,
+    }, { transaction });
+  },
+
+  /**
+   * Get the transition history of a trail, oldest first
+   */
+  async getTransitions(referenceCode) {
+    try {
+      const { TrailTransition } = getModels();
+
+      const transitions = await TrailTransition.findAll({
+        where: { referenceCode },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      });
+
+      return transitions.map(transition => ({
+        fromStatus: transition.fromStatus,
+        toStatus: transition.toStatus,
+        actor: transition.actor,
+        actorId: transition.actorId,
+        reason: transition.reason,
+        changedAt: transition.createdAt,
+      }));
+    } catch (error) {
+      console.error('❌ Error in getTransitions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = trailStatusService;
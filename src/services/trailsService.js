@@ -4,14 +4,22 @@
  */
 
 const { getModels } = require('../models');
-const { Op } = require('sequelize');
+const { Op, literal } = require('sequelize');
+const pricingService = require('./pricingService');
+const trailStatusService = require('./trailStatusService');
+const revisionsService = require('./revisionsService');
+const { distanceKm, distanceKmSql, boundingBox, roundKm } = require('../utils/geo');
+const { extractTerms, buildSnippet } = require('../utils/highlight');
+const { paginateQuery, paginateList } = require('../utils/pagination');
+const { DIFFICULTIES } = require('../utils/trailValidation');
+const { assertTrailVersion } = require('../utils/etag');
 
 /**
  * Helper: Determine if payment is required
- * Rule: All trails require payment (no free trails)
+ * Rule: Any trail with a non-zero price requires payment (the base fee means no free trails)
  */
-const isPaymentRequired = (customStories) => {
-  return true;
+const isPaymentRequired = (trailData) => {
+  return pricingService.calculateTrailPrice(trailData).total > 0;
 };
 
 /**
@@ -61,27 +69,275 @@ const generateUniqueReferenceCode = async (maxAttempts = 10) => {
   throw new Error('Failed to generate unique reference code after multiple attempts');
 };
 
+// Story columns returned by the API
+const STORY_ATTRIBUTES = ['id', 'title', 'description', 'categoryId', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex', 'isPublished'];
+
+/**
+ * Helper: Map a story payload to a CustomStory row
+ */
+const buildStoryRow = (referenceCode, story, orderIndex) => ({
+  referenceCode,
+  title: story.title || '',
+  description: story.description || '',
+  categoryId: story.categoryId || null,
+  // 0 is a real coordinate (equator, prime meridian)
+  latitude: story.latitude === undefined ? null : story.latitude,
+  longitude: story.longitude === undefined ? null : story.longitude,
+  imageUrl: story.imageUrl || (story.imageUrls && story.imageUrls[0]) || null,
+  videoUrl: story.videoUrl || (story.videoUrls && story.videoUrls[0]) || null,
+  orderIndex,
+  isPublished: story.isPublished || false,
+});
+
+/**
+ * Helper: Map a CustomStory row to the API response shape
+ */
+const formatStory = (story) => ({
+  id: story.id,
+  title: story.title,
+  description: story.description,
+  categoryId: story.categoryId,
+  latitude: story.latitude !== null ? parseFloat(story.latitude) : null,
+  longitude: story.longitude !== null ? parseFloat(story.longitude) : null,
+  imageUrl: story.imageUrl,
+  videoUrl: story.videoUrl,
+  orderIndex: story.orderIndex,
+  isPublished: story.isPublished,
+});
+
+/**
+ * Conditions for a trail to be publicly visible
+ */
+const PUBLISHED_TRAIL_WHERE = {
+  status: 'published',
+  isDeleted: false,
+};
+
+/**
+ * Full-text search: candidates read per table, and how much a trail match outweighs a story match
+ */
+const SEARCH_CANDIDATE_LIMIT = 1000;
+const TRAIL_MATCH_WEIGHT = 2;
+
+/**
+ * Proximity listing: at most this many trails in the radius are ranked and paged (the first ones in sort order)
+ */
+const NEARBY_CANDIDATE_LIMIT = 1000;
+
+const PUBLIC_STORY_ATTRIBUTES = ['id', 'title', 'description', 'categoryId', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex'];
+
+/**
+ * Helper: Map a published Trail (with customStories) to the public listing shape
+ */
+const formatPublishedTrail = (trail) => ({
+  id: trail.id,
+  referenceCode: trail.referenceCode,
+  title: trail.title,
+  description: trail.description,
+  difficulty: trail.difficulty,
+  distance: parseFloat(trail.distance),
+  headerImages: trail.headerImages,
+  headerVideos: trail.headerVideos,
+  stories: trail.customStories.map(story => ({
+    id: story.id,
+    title: story.title,
+    description: story.description,
+    categoryId: story.categoryId,
+    latitude: story.latitude !== null ? parseFloat(story.latitude) : null,
+    longitude: story.longitude !== null ? parseFloat(story.longitude) : null,
+    imageUrl: story.imageUrl,
+    videoUrl: story.videoUrl,
+  })),
+  userId: trail.userId,
+  publishedAt: trail.publishedAt,
+  distanceToTrail: -1, // Only calculated when a location is provided
+});
+
+/**
+ * Helper: Keyset sort keys for a trail listing sort
+ * @param {string} sortBy - distance (shortest first), newest or difficulty (easiest first)
+ * @param {string} newestAttribute - Date column used by "newest" (publishedAt or createdAt)
+ */
+const getTrailSortKeys = (sortBy, newestAttribute) => {
+  if (sortBy === 'newest') {
+    return [{ attribute: newestAttribute, direction: 'DESC', isDate: true, read: (trail) => trail[newestAttribute] }];
+  }
+  if (sortBy === 'difficulty') {
+    // ENUM values compare as strings in WHERE, so rank them explicitly
+    return [{
+      expression: literal(`FIELD(\`Trail\`.\`difficulty\`, ${DIFFICULTIES.map(d => `'${d}'`).join(', ')})`),
+      direction: 'ASC',
+      read: (trail) => DIFFICULTIES.indexOf(trail.difficulty) + 1,
+    }];
+  }
+  return [{ attribute: 'distance', direction: 'ASC', read: (trail) => parseFloat(trail.distance) }];
+};
+
+/**
+ * Helper: Rewrite orderIndex as 0..n-1 following the given story order
+ */
+const reindexStories = async (stories, transaction) => {
+  for (let index = 0; index < stories.length; index++) {
+    if (stories[index].orderIndex !== index) {
+      stories[index].orderIndex = index;
+      await stories[index].save({ transaction });
+    }
+  }
+};
+
+/**
+ * Helper: Cancel the PaymentIntent of a checkout that was left, so the old quote can no longer be paid
+ * paymentsService is required here rather than at the top because it requires this module.
+ */
+const cancelCheckoutIntent = async (paymentIntentId) => {
+  const paymentsService = require('./paymentsService');
+  await paymentsService.cancelPaymentIntent(paymentIntentId);
+};
+
+/**
+ * Helper: Content edits during checkout make the quoted price stale,
+ * so a payment_pending trail goes back to draft and needs a new payment intent.
+ * The old intent is canceled once the edit is committed.
+ */
+const revertPendingCheckout = async (referenceCode, transaction) => {
+  const { Trail } = getModels();
+  const trail = await Trail.findOne({
+    where: { referenceCode },
+    attributes: ['status', 'checkoutPaymentIntentId'],
+    transaction,
+  });
+  if (trail && trail.status === 'payment_pending') {
+    await trailStatusService.transition(referenceCode, 'draft', {
+      actor: trailStatusService.ACTORS.OWNER,
+      reason: 'Trail content changed during checkout',
+      transaction,
+    });
+    if (trail.checkoutPaymentIntentId) {
+      transaction.afterCommit(() => cancelCheckoutIntent(trail.checkoutPaymentIntentId));
+    }
+  }
+};
+
+/**
+ * Helper: What a trail is priced on, copied so later edits to the rows do not change it
+ */
+const pricedContent = (headerVideos, stories) => ({
+  headerVideos: [...(headerVideos || [])],
+  customStories: stories.map(story => ({ videoUrl: story.videoUrl })),
+});
+
+/**
+ * Helper: Checks for a change to what a trail is priced on (stories and videos), inside its transaction
+ * Paid trails keep to what was paid for: more billable stories or videos than the paid quote throws
+ * PAID_CONTENT_EXCEEDED (error.allowance: { stories, videos }); trails paid before quotes were recorded
+ * are held to the content they had. A trail in checkout whose price changes goes back to draft.
+ * @param {Object} before - pricedContent() before the change
+ * @param {Object} after - pricedContent() after the change
+ */
+const checkPricedContentChange = async (trail, before, after, transaction) => {
+  if (trail.isPaid) {
+    const paidQuote = trail.checkoutQuote || pricingService.calculateTrailPrice(before);
+    if (!pricingService.coversContent(paidQuote, after)) {
+      const error = new Error('PAID_CONTENT_EXCEEDED');
+      error.allowance = pricingService.getContentAllowance(paidQuote);
+      throw error;
+    }
+  }
+
+  if (pricingService.calculateTrailPrice(before).total !== pricingService.calculateTrailPrice(after).total) {
+    await revertPendingCheckout(trail.referenceCode, transaction);
+  }
+};
+
+/**
+ * Helper: Lock the trail row for a story change
+ * Serialises story edits on the same trail and enforces If-Match (see utils/etag).
+ * Throws TRAIL_NOT_FOUND or VERSION_MISMATCH. Bump the version once the change is made.
+ */
+const lockTrailForStoryChange = async (referenceCode, expectedVersions, transaction) => {
+  const { Trail } = getModels();
+  const trail = await Trail.findOne({
+    where: { referenceCode, isDeleted: false },
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  if (!trail) {
+    throw new Error('TRAIL_NOT_FOUND');
+  }
+
+  assertTrailVersion(trail, expectedVersions);
+  return trail;
+};
+
+// Abandoned checkout cleanup (cleanupExpiredDrafts)
+const STALE_DRAFT_WARN_DAYS = 14;
+const STALE_DRAFT_ARCHIVE_DAYS = 30;
+const CLEANUP_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: Inactivity thresholds from STALE_DRAFT_WARN_DAYS / STALE_DRAFT_ARCHIVE_DAYS
+ * The archive threshold must come after the warning one; otherwise both fall back to the defaults.
+ */
+const getStaleDraftThresholds = () => {
+  const warnDays = parseInt(process.env.STALE_DRAFT_WARN_DAYS, 10);
+  const archiveDays = parseInt(process.env.STALE_DRAFT_ARCHIVE_DAYS, 10);
+
+  if (Number.isInteger(warnDays) && Number.isInteger(archiveDays) && warnDays > 0 && archiveDays > warnDays) {
+    return { warnDays, archiveDays };
+  }
+  if (process.env.STALE_DRAFT_WARN_DAYS || process.env.STALE_DRAFT_ARCHIVE_DAYS) {
+    console.warn('[CLEANUP] ⚠️  Invalid STALE_DRAFT_WARN_DAYS / STALE_DRAFT_ARCHIVE_DAYS - using defaults');
+  }
+  return { warnDays: STALE_DRAFT_WARN_DAYS, archiveDays: STALE_DRAFT_ARCHIVE_DAYS };
+};
+
+/**
+ * Helper: The stale-checkout warning, while it still applies (null after the owner was active again)
+ */
+const getActiveStaleWarning = (trail) => (
+  trail.status === 'payment_pending' && trail.staleWarnedAt && trail.staleWarnedAt >= trail.updatedAt
+    ? trail.staleWarnedAt
+    : null
+);
+
+/**
+ * Helper: When cleanupExpiredDrafts archives a warned trail, unless the owner is active before then
+ * (the later of archiveDays without activity and the notice period after the warning)
+ */
+const getStaleArchiveAt = (trail) => {
+  const warnedAt = getActiveStaleWarning(trail);
+  if (!warnedAt) {
+    return null;
+  }
+  const { warnDays, archiveDays } = getStaleDraftThresholds();
+  return new Date(Math.max(
+    new Date(trail.updatedAt).getTime() + archiveDays * DAY_MS,
+    new Date(warnedAt).getTime() + (archiveDays - warnDays) * DAY_MS,
+  ));
+};
+
+/**
+ * Default stale-checkout notifier: only logs (see setStaleCheckoutNotifier)
+ */
+const logStaleCheckout = async ({ referenceCode, userId, archiveAt }) => {
+  console.log(`[CLEANUP] ⚠️  ${referenceCode} (owner ${userId}) will be archived on ${archiveAt.toISOString()} unless edited`);
+};
+
+let staleCheckoutNotifier = logStaleCheckout;
+
 const trailsService = {
   /**
-   * Save a new trail (starts with draft status)
+   * Save a new trail (starts in draft status)
    * Uses Firebase userId directly (no user creation logic)
    */
-  async saveTrail(referenceCode, userId, email, trailData, isPublished = false) {
+  async saveTrail(referenceCode, userId, email, trailData) {
     try {
       const { Trail, CustomStory } = getModels();
 
-      // All trails require payment now
-      const paymentRequired = isPaymentRequired(trailData.customStories);
-      let initialStatus = 'payment_pending';
-      let publishedAt = null;
-
-      // Cannot publish without payment
-      if (isPublished && !paymentRequired) {
-        // This branch will never execute as paymentRequired is always true
-        console.log(`[DB] Cannot publish - payment required`);
-      } else if (isPublished && paymentRequired) {
-        console.log(`[DB] Cannot publish - payment required for trail`);
-      }
+      // All trails require payment before they can be published
+      const paymentRequired = isPaymentRequired(trailData);
+      const initialStatus = 'draft';
 
       console.log(`[DB] Creating trail for Firebase user: ${userId}`);
       console.log(`[DB] Stories count: ${trailData.customStories ? trailData.customStories.length : 0}, Payment required: ${paymentRequired}`);
@@ -97,23 +353,13 @@ const trailsService = {
         headerImages: trailData.headerImages || [],
         headerVideos: trailData.headerVideos || [],
         status: initialStatus,
-        publishedAt,
+        publishedAt: null,
       });
+      await trailStatusService.recordCreated(referenceCode, userId);
 
       // Create custom stories if provided
       if (trailData.customStories && trailData.customStories.length > 0) {
-        const stories = trailData.customStories.map((story, index) => ({
-          referenceCode,
-          title: story.title || '',
-          description: story.description || '',
-          categoryId: story.categoryId || null,
-          latitude: story.latitude || null,
-          longitude: story.longitude || null,
-          imageUrl: story.imageUrl || (story.imageUrls && story.imageUrls[0]) || null,
-          videoUrl: story.videoUrl || (story.videoUrls && story.videoUrls[0]) || null,
-          orderIndex: index,
-          isPublished: story.isPublished || false,
-        }));
+        const stories = trailData.customStories.map((story, index) => buildStoryRow(referenceCode, story, index));
 
         await CustomStory.bulkCreate(stories);
       }
@@ -150,17 +396,17 @@ const trailsService = {
           {
             model: CustomStory,
             as: 'customStories',
-            attributes: ['id', 'title', 'description', 'categoryId', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex', 'isPublished'],
-            order: [['orderIndex', 'ASC']],
+            attributes: STORY_ATTRIBUTES,
           },
         ],
+        order: [[{ model: CustomStory, as: 'customStories' }, 'orderIndex', 'ASC']],
       });
 
       if (!draft) {
         return null;
       }
 
-      const paymentRequired = isPaymentRequired(draft.customStories);
+      const paymentRequired = isPaymentRequired(draft);
 
       return {
         id: draft.id,
@@ -178,8 +424,14 @@ const trailsService = {
         status: draft.status,
         isPaid: draft.isPaid,
         paymentRequired: paymentRequired,
+        staleWarnedAt: getActiveStaleWarning(draft),
+        staleArchiveAt: getStaleArchiveAt(draft),
         publishedAt: draft.publishedAt,
+        refundedAt: draft.refundedAt,
+        refundReason: draft.refundReason,
+        version: draft.version,
         createdAt: draft.createdAt,
+        updatedAt: draft.updatedAt,
       };
     } catch (error) {
       console.error('❌ Error in getTrail:', error);
@@ -188,13 +440,16 @@ const trailsService = {
   },
 
   /**
-   * Get all trails for a user (all statuses)
+   * Get all trails for a user (all statuses), one page at a time
+   * @param {Object} options - { sortBy (default newest), limit, cursor, withTotal }
+   * @returns {Promise<{ trails: Array, nextCursor: string|null, hasMore: boolean, total?: number }>}
    */
-  async getUserTrails(userId) {
+  async getUserTrails(userId, options = {}) {
     try {
       const { Trail, CustomStory } = getModels();
+      const { sortBy = 'newest', limit, cursor, withTotal = false } = options;
 
-      const trails = await Trail.findAll({
+      const { items, ...pageInfo } = await paginateQuery(Trail, {
         where: {
           userId: userId,
           isDeleted: false,
@@ -203,13 +458,18 @@ const trailsService = {
           {
             model: CustomStory,
             as: 'customStories',
-            attributes: ['id', 'title', 'description', 'categoryId', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex', 'isPublished'],
+            attributes: STORY_ATTRIBUTES,
           },
         ],
-        order: [['createdAt', 'DESC']],
+        extraOrder: [[{ model: CustomStory, as: 'customStories' }, 'orderIndex', 'ASC']],
+        sortName: sortBy,
+        sortKeys: getTrailSortKeys(sortBy, 'createdAt'),
+        cursor,
+        limit,
+        withTotal,
       });
 
-      return trails.map(trail => ({
+      const trails = items.map(trail => ({
         id: trail.id,
         referenceCode: trail.referenceCode,
         trailData: {
@@ -223,10 +483,14 @@ const trailsService = {
         },
         status: trail.status,
         isPaid: trail.isPaid,
-        paymentRequired: isPaymentRequired(trail.customStories),
+        paymentRequired: isPaymentRequired(trail),
+        staleWarnedAt: getActiveStaleWarning(trail),
+        staleArchiveAt: getStaleArchiveAt(trail),
         publishedAt: trail.publishedAt,
         createdAt: trail.createdAt,
       }));
+
+      return { ...pageInfo, trails };
     } catch (error) {
       console.error('❌ Error in getUserTrails:', error);
       throw error;
@@ -234,130 +498,262 @@ const trailsService = {
   },
 
   /**
-   * Update trail data
+   * Current version of a trail (null if it does not exist)
    */
-  async updateTrail(referenceCode, updates) {
+  async getTrailVersion(referenceCode) {
     try {
-      const { Trail, CustomStory } = getModels();
+      const { Trail } = getModels();
 
-      console.log(`[DB] updateTrail called with updates:`, { 
-        hasTrailData: !!updates.trailData, 
-        isPublished: updates.isPublished,
-        isPaid: updates.isPaid, // This should be undefined
-        status: updates.status
-      });
+      const trail = await Trail.findOne({ where: { referenceCode, isDeleted: false }, attributes: ['version'] });
+      return trail ? trail.version : null;
+    } catch (error) {
+      console.error('❌ Error in getTrailVersion:', error);
+      throw error;
+    }
+  },
 
-      const draft = await Trail.findOne({
-        where: { referenceCode, isDeleted: false },
-        include: [{
-          model: CustomStory,
-          as: 'customStories',
-        }],
-      });
+  /**
+   * Update trail data
+   * The trail and its stories are snapshotted into trail_revisions before anything changes.
+   * Status changes (publish, unpublish, ...) go through trailStatusService instead
+   * Throws VERSION_MISMATCH when expectedVersions (If-Match) is given and the trail has moved on.
+   * @param {Object} options - { userId, reason } recorded on the revision, expectedVersions
+   */
+  async updateTrail(referenceCode, updates, { userId = null, reason = null, expectedVersions = null } = {}) {
+    try {
+      const { Trail, CustomStory, sequelize } = getModels();
 
-      if (!draft) {
-        return false;
-      }
+      console.log(`[DB] updateTrail called with updates:`, { hasTrailData: !!updates.trailData });
 
-      console.log(`[DB] Current trail state - status: ${draft.status}, isPaid: ${draft.isPaid}, stories: ${draft.customStories?.length || 0}`);
+      return await sequelize.transaction(async (transaction) => {
+        const draft = await Trail.findOne({
+          where: { referenceCode, isDeleted: false },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
 
-      // Update trail data fields
-      if (updates.trailData) {
-        const { trailData } = updates;
-        
-        // Safeguard: Never allow isPaid to be set from trailData
-        if (trailData.isPaid !== undefined) {
-          console.log(`[DB] ⚠️  WARNING: Ignoring isPaid in trailData - this should only be set via payment webhook`);
-          delete trailData.isPaid;
+        if (!draft) {
+          return false;
         }
-        
-        if (trailData.title !== undefined) draft.title = trailData.title;
-        if (trailData.description !== undefined) draft.description = trailData.description;
-        if (trailData.difficulty !== undefined) draft.difficulty = trailData.difficulty;
-        if (trailData.distance !== undefined) draft.distance = parseFloat(trailData.distance);
-        if (trailData.headerImages !== undefined) draft.headerImages = trailData.headerImages;
-        if (trailData.headerVideos !== undefined) draft.headerVideos = trailData.headerVideos;
-
-        // Update custom stories if provided
-        if (trailData.customStories !== undefined) {
-          // Delete existing stories
-          await CustomStory.destroy({ where: { referenceCode } });
-
-          // Create new stories
-          if (trailData.customStories.length > 0) {
-            const stories = trailData.customStories.map((story, index) => ({
-              referenceCode,
-              title: story.title || '',
-              description: story.description || '',
-              categoryId: story.categoryId || null,
-              latitude: story.latitude || null,
-              longitude: story.longitude || null,
-              imageUrl: story.imageUrl || (story.imageUrls && story.imageUrls[0]) || null,
-              videoUrl: story.videoUrl || (story.videoUrls && story.videoUrls[0]) || null,
-              orderIndex: index,
-              isPublished: story.isPublished || false,
-            }));
-
-            await CustomStory.bulkCreate(stories);
+
+        console.log(`[DB] Current trail state - status: ${draft.status}, isPaid: ${draft.isPaid}, version: ${draft.version}`);
+        assertTrailVersion(draft, expectedVersions);
+
+        if (updates.trailData) {
+          const { trailData } = updates;
+
+          const currentStories = await CustomStory.findAll({
+            where: { referenceCode },
+            order: [['orderIndex', 'ASC'], ['id', 'ASC']],
+            transaction,
+          });
+          await revisionsService.snapshotTrail(draft, currentStories, { createdBy: userId, reason, transaction });
+          const pricedBefore = pricedContent(draft.headerVideos, currentStories);
+
+          // Safeguard: Never allow isPaid to be set from trailData
+          if (trailData.isPaid !== undefined) {
+            console.log(`[DB] ⚠️  WARNING: Ignoring isPaid in trailData - this should only be set via payment webhook`);
+            delete trailData.isPaid;
           }
 
-          // Update status based on payment status
-          if (!draft.isPaid) {
-            // All trails require payment
-            draft.status = 'payment_pending';
-            draft.publishedAt = null;
-            console.log(`[DB] Updated status to 'payment_pending' - all trails require payment`);
+          if (trailData.title !== undefined) draft.title = trailData.title;
+          if (trailData.description !== undefined) draft.description = trailData.description;
+          if (trailData.difficulty !== undefined) draft.difficulty = trailData.difficulty;
+          if (trailData.distance !== undefined) draft.distance = parseFloat(trailData.distance);
+          if (trailData.headerImages !== undefined) draft.headerImages = trailData.headerImages;
+          if (trailData.headerVideos !== undefined) draft.headerVideos = trailData.headerVideos;
+          draft.version += 1;
+
+          await draft.save({ transaction });
+
+          // Update custom stories if provided
+          let stories = currentStories;
+          if (trailData.customStories !== undefined) {
+            stories = trailData.customStories.map((story, index) => buildStoryRow(referenceCode, story, index));
+
+            // Replace existing stories
+            await CustomStory.destroy({ where: { referenceCode }, transaction });
+            if (stories.length > 0) {
+              await CustomStory.bulkCreate(stories, { transaction });
+            }
           }
+
+          await checkPricedContentChange(draft, pricedBefore, pricedContent(draft.headerVideos, stories), transaction);
         }
-      }
 
-      // Handle publish request
-      if (updates.isPublished !== undefined) {
-        if (updates.isPublished && !draft.isPaid) {
-          console.log(`[DB] Cannot publish - payment required`);
-          throw new Error('PAYMENT_REQUIRED');
-        } else if (updates.isPublished && draft.isPaid) {
-          // Publish paid trail
-          draft.publishedAt = new Date();
-          console.log(`[DB] Published paid trail`);
-        } else if (!updates.isPublished && draft.isPaid && draft.publishedAt) {
-          // Unpublish paid trail (reset publishedAt)
-          draft.publishedAt = null;
-          console.log(`[DB] Unpublished paid trail`);
+        return true;
+      });
+    } catch (error) {
+      console.error('❌ Error in updateTrail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a story at the end of a trail
+   * Throws STORY_LIMIT_REACHED when the trail already has the maximum number of stories
+   * Story changes also throw TRAIL_NOT_FOUND, or VERSION_MISMATCH when expectedVersions (If-Match) is stale
+   */
+  async addStory(referenceCode, story, maxStories, { expectedVersions = null } = {}) {
+    try {
+      const { CustomStory, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await lockTrailForStoryChange(referenceCode, expectedVersions, transaction);
+
+        const stories = await CustomStory.findAll({ where: { referenceCode }, attributes: ['orderIndex', 'videoUrl'], transaction });
+        if (stories.length >= maxStories) {
+          throw new Error('STORY_LIMIT_REACHED');
         }
-      }
 
-      // Update status if provided
-      if (updates.status !== undefined) {
-        draft.status = updates.status;
-      }
+        const maxIndex = Math.max(-1, ...stories.map(existing => existing.orderIndex));
+        const orderIndex = maxIndex + 1;
 
-      // Update isPaid if provided
-      if (updates.isPaid !== undefined) {
-        console.log(`[DB] ⚠️  WARNING: Updating isPaid from ${draft.isPaid} to ${updates.isPaid} - this should only happen from payment webhook!`);
-        draft.isPaid = updates.isPaid;
-      }
+        const created = await CustomStory.create(buildStoryRow(referenceCode, story, orderIndex), { transaction });
+        await trail.increment('version', { transaction });
+        await checkPricedContentChange(
+          trail,
+          pricedContent(trail.headerVideos, stories),
+          pricedContent(trail.headerVideos, [...stories, created]),
+          transaction
+        );
 
-      console.log(`[DB] About to save trail - status: ${draft.status}, isPaid: ${draft.isPaid}, publishedAt: ${draft.publishedAt}`);
-      
-      await draft.save();
-      return true;
+        console.log(`[DB] ✅ Story ${created.id} added to ${referenceCode} at position ${orderIndex}`);
+        return formatStory(created);
+      });
     } catch (error) {
-      console.error('❌ Error in updateTrail:', error);
+      console.error('❌ Error in addStory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update fields of a single story, keeping its id and position
+   * Returns null if the story does not belong to the trail
+   */
+  async updateStory(referenceCode, storyId, updates, { expectedVersions = null } = {}) {
+    try {
+      const { CustomStory, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await lockTrailForStoryChange(referenceCode, expectedVersions, transaction);
+
+        const stories = await CustomStory.findAll({ where: { referenceCode }, transaction });
+        const story = stories.find(existing => existing.id === storyId);
+        if (!story) {
+          return null;
+        }
+        const pricedBefore = pricedContent(trail.headerVideos, stories);
+
+        if (updates.title !== undefined) story.title = updates.title;
+        if (updates.description !== undefined) story.description = updates.description;
+        if (updates.categoryId !== undefined) story.categoryId = updates.categoryId;
+        if (updates.latitude !== undefined) story.latitude = updates.latitude;
+        if (updates.longitude !== undefined) story.longitude = updates.longitude;
+        if (updates.imageUrls !== undefined) story.imageUrl = updates.imageUrls[0] || null;
+        if (updates.videoUrls !== undefined) story.videoUrl = updates.videoUrls[0] || null;
+        if (updates.imageUrl !== undefined) story.imageUrl = updates.imageUrl;
+        if (updates.videoUrl !== undefined) story.videoUrl = updates.videoUrl;
+        if (updates.isPublished !== undefined) story.isPublished = updates.isPublished;
+
+        await story.save({ transaction });
+        await trail.increment('version', { transaction });
+        await checkPricedContentChange(trail, pricedBefore, pricedContent(trail.headerVideos, stories), transaction);
+
+        console.log(`[DB] ✅ Story ${story.id} updated on ${referenceCode}`);
+        return formatStory(story);
+      });
+    } catch (error) {
+      console.error('❌ Error in updateStory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a single story and close the gap in orderIndex
+   * The trail is snapshotted into trail_revisions first, so the story can be restored.
+   * @param {Object} options - { userId recorded on the revision, expectedVersions }
+   */
+  async deleteStory(referenceCode, storyId, { userId = null, expectedVersions = null } = {}) {
+    try {
+      const { CustomStory, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await lockTrailForStoryChange(referenceCode, expectedVersions, transaction);
+
+        const stories = await CustomStory.findAll({
+          where: { referenceCode },
+          order: [['orderIndex', 'ASC'], ['id', 'ASC']],
+          transaction,
+        });
+        if (!stories.some(story => story.id === storyId)) {
+          return false;
+        }
+
+        await revisionsService.snapshotTrail(trail, stories, { createdBy: userId, reason: 'Story deleted', transaction });
+        await CustomStory.destroy({ where: { id: storyId, referenceCode }, transaction });
+
+        const remaining = stories.filter(story => story.id !== storyId);
+        await reindexStories(remaining, transaction);
+        await trail.increment('version', { transaction });
+        await checkPricedContentChange(
+          trail,
+          pricedContent(trail.headerVideos, stories),
+          pricedContent(trail.headerVideos, remaining),
+          transaction
+        );
+
+        console.log(`[DB] ✅ Story ${storyId} deleted from ${referenceCode}`);
+        return true;
+      });
+    } catch (error) {
+      console.error('❌ Error in deleteStory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reorder stories
+   * storyIds must list every story of the trail exactly once (throws INVALID_STORY_ORDER otherwise)
+   */
+  async reorderStories(referenceCode, storyIds, { expectedVersions = null } = {}) {
+    try {
+      const { CustomStory, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await lockTrailForStoryChange(referenceCode, expectedVersions, transaction);
+
+        const stories = await CustomStory.findAll({ where: { referenceCode }, transaction });
+
+        const byId = new Map(stories.map(story => [story.id, story]));
+        const uniqueIds = new Set(storyIds);
+        if (uniqueIds.size !== storyIds.length || storyIds.length !== stories.length || !storyIds.every(id => byId.has(id))) {
+          throw new Error('INVALID_STORY_ORDER');
+        }
+
+        const ordered = storyIds.map(id => byId.get(id));
+        await reindexStories(ordered, transaction);
+        await trail.increment('version', { transaction });
+
+        console.log(`[DB] ✅ Reordered ${ordered.length} stories on ${referenceCode}`);
+        return ordered.map(formatStory);
+      });
+    } catch (error) {
+      console.error('❌ Error in reorderStories:', error);
       throw error;
     }
   },
 
   /**
-   * Delete trail (soft delete)
+   * Delete trail (soft delete - moves it to the trash, see trashService)
    */
   async deleteTrail(referenceCode) {
     try {
       const { Trail } = getModels();
 
       const result = await Trail.update(
-        { isDeleted: true },
-        { where: { referenceCode } }
+        { isDeleted: true, deletedAt: new Date() },
+        { where: { referenceCode, isDeleted: false } }
       );
 
       return result[0] > 0;
@@ -368,118 +764,668 @@ const trailsService = {
   },
 
   /**
-   * Mark trail as paid and published
+   * Move a trail to paid, and on to published, after a confirmed payment
+   * The payment must be for the current checkout (see startCheckout): its PaymentIntent, for the quoted
+   * total and currency. A trail archived mid-checkout stays archived; restoring it brings it back as paid.
+   * Returns false if the trail does not exist or is already paid.
+   * Throws PAYMENT_NOT_FOR_CHECKOUT when the trail is not in checkout or the payment does not match it.
+   * @param {Object} payment - { amount (cents), currency } actually paid
    */
-  async markTrailAsPaid(referenceCode) {
+  async markTrailAsPaid(referenceCode, paymentIntentId, { amount, currency }) {
     try {
       console.log(`[DB] Marking trail as paid: ${referenceCode}`);
-      const { Trail } = getModels();
+      const { Trail, sequelize } = getModels();
+      const actor = trailStatusService.ACTORS.PAYMENT_WEBHOOK;
 
-      const result = await Trail.update(
-        {
-          isPaid: true,
-          status: 'payment_completed',
-          publishedAt: new Date(),
-        },
-        { where: { referenceCode } }
-      );
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await Trail.findOne({
+          where: { referenceCode, isDeleted: false },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!trail || trail.isPaid) {
+          console.warn(`[DB] ⚠️  Trail not found or already paid: ${referenceCode}`);
+          return false;
+        }
+
+        const quote = trail.checkoutQuote;
+        const inCheckout = trail.status === 'payment_pending' || (trail.status === 'archived' && quote);
+        // Checkouts started before quotes were recorded have no quote to compare with
+        const matchesCheckout = quote
+          ? trail.checkoutPaymentIntentId === (paymentIntentId || null)
+            && quote.total === amount
+            && quote.currency === String(currency).toUpperCase()
+          : trail.status === 'payment_pending';
+
+        if (!inCheckout || !matchesCheckout) {
+          console.warn(`[DB] ❌ Payment ${paymentIntentId} (${amount} ${currency}) is not for the current checkout of ${referenceCode} (${trail.status}, ${trail.checkoutPaymentIntentId})`);
+          throw new Error('PAYMENT_NOT_FOR_CHECKOUT');
+        }
+
+        if (trail.status === 'archived') {
+          await trail.update({ isPaid: true, version: trail.version + 1 }, { transaction });
+          return true;
+        }
 
-      if (result[0] > 0) {
-        console.log(`[DB] ✅ Draft marked as paid`);
-      } else {
-        console.warn(`[DB] ⚠️  No rows affected - draft not found`);
+        await trailStatusService.transition(referenceCode, 'paid', { actor, actorId: paymentIntentId, transaction });
+        await trailStatusService.transition(referenceCode, 'published', {
+          actor,
+          actorId: paymentIntentId,
+          reason: 'Published on payment',
+          transaction,
+        });
+
+        console.log(`[DB] ✅ Trail paid and published`);
+        return true;
+      });
+    } catch (error) {
+      if (error.message !== 'PAYMENT_NOT_FOR_CHECKOUT') {
+        console.error('❌ Error in markTrailAsPaid:', error);
       }
+      throw error;
+    }
+  },
 
-      return result[0] > 0;
+  /**
+   * Move a trail into checkout when a payment intent is created for it, recording the intent and quote
+   * A trail already in checkout is re-quoted: the new intent replaces the previous one.
+   * Returns false when the trail is neither in draft nor in checkout (paid, archived, ...),
+   * otherwise { previousPaymentIntentId } - the replaced intent, which should be canceled.
+   * @param {Object} checkout - { paymentIntentId (null for a fully discounted payment), quote }
+   */
+  async startCheckout(referenceCode, userId, { paymentIntentId, quote }) {
+    try {
+      const { Trail, sequelize } = getModels();
+      const checkoutColumns = { checkoutPaymentIntentId: paymentIntentId || null, checkoutQuote: quote };
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await Trail.findOne({
+          where: { referenceCode, isDeleted: false },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!trail || !['draft', 'payment_pending'].includes(trail.status)) {
+          return false;
+        }
+
+        const previousPaymentIntentId = trail.checkoutPaymentIntentId;
+        if (trail.status === 'payment_pending') {
+          await trail.update(checkoutColumns, { transaction });
+        } else {
+          await trailStatusService.transition(referenceCode, 'payment_pending', {
+            actor: trailStatusService.ACTORS.OWNER,
+            actorId: userId,
+            updates: checkoutColumns,
+            transaction,
+          });
+        }
+
+        return { previousPaymentIntentId: previousPaymentIntentId !== paymentIntentId ? previousPaymentIntentId : null };
+      });
     } catch (error) {
-      console.error('❌ Error in markTrailAsPaid:', error);
+      console.error('❌ Error in startCheckout:', error);
       throw error;
     }
   },
 
   /**
-   * Get published trails
+   * Leave checkout after the payment intent was canceled
+   * Paid trails are left untouched so a late cancel event cannot undo a payment,
+   * and so are checkouts that have moved on to a newer intent
+   */
+  async cancelCheckout(referenceCode, paymentIntentId) {
+    try {
+      const { Trail } = getModels();
+
+      const trail = await Trail.findOne({
+        where: { referenceCode, isDeleted: false },
+        attributes: ['status', 'checkoutPaymentIntentId'],
+      });
+      const supersededIntent = trail && trail.checkoutPaymentIntentId && trail.checkoutPaymentIntentId !== paymentIntentId;
+      if (!trail || trail.status !== 'payment_pending' || supersededIntent) {
+        return false;
+      }
+
+      await trailStatusService.transition(referenceCode, 'draft', {
+        actor: trailStatusService.ACTORS.PAYMENT_WEBHOOK,
+        actorId: paymentIntentId,
+        reason: 'Payment canceled',
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error in cancelCheckout:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revert a paid trail after a full refund
+   * Trail goes back to draft and is unpublished; an archived trail stays archived
+   * @param {Object} options - { actor, actorId } who refunded: the payment webhook, or the owner/admin via the API
+   */
+  async markTrailAsRefunded(referenceCode, reason = null, {
+    actor = trailStatusService.ACTORS.PAYMENT_WEBHOOK,
+    actorId = null,
+  } = {}) {
+    try {
+      console.log(`[DB] Marking trail as refunded: ${referenceCode}`);
+      const { Trail, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await Trail.findOne({
+          where: { referenceCode, isPaid: true },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!trail) {
+          return false;
+        }
+
+        const refundColumns = { refundedAt: new Date(), refundReason: reason };
+
+        if (trail.status === 'archived' || trail.isDeleted) {
+          await trail.update({ ...refundColumns, isPaid: false, publishedAt: null, version: trail.version + 1 }, { transaction });
+          return true;
+        }
+
+        await trailStatusService.transition(referenceCode, 'draft', {
+          actor,
+          actorId,
+          reason: reason || 'Payment refunded',
+          updates: refundColumns,
+          refund: true,
+          transaction,
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error('❌ Error in markTrailAsRefunded:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get published trails, one page at a time
    * Returns trails where isPaid=true AND publishedAt is not null
+   * With a location ({ lat, lng, radiusKm }) only trails with a story inside the radius are returned,
+   * and distanceToTrail is the distance in km to the nearest story. Such listings cover the first
+   * NEARBY_CANDIDATE_LIMIT trails in sort order (total counts at most that many).
+   * @param {Object} options - { sortBy, difficulty, categoryId, location, limit, cursor, withTotal }
+   * @returns {Promise<{ trails: Array, nextCursor: string|null, hasMore: boolean, total?: number }>}
    */
   async getPublishedTrails(options = {}) {
     try {
-      const { Trail, CustomStory } = getModels();
-      const { sortBy = 'distance', difficulty, limit = 50, offset = 0 } = options;
+      const { Trail, CustomStory, sequelize } = getModels();
+      const { sortBy = 'distance', difficulty, categoryId, location, limit, cursor, withTotal = false } = options;
 
-      const whereClause = {
-        isPaid: true,
-        publishedAt: { [Op.ne]: null },
-        isDeleted: false,
-      };
+      const whereClause = { ...PUBLISHED_TRAIL_WHERE };
 
       // Filter by difficulty if provided
       if (difficulty) {
         whereClause.difficulty = difficulty;
       }
 
-      // Determine sort order
-      let order = [['distance', 'ASC']]; // Default
-      if (sortBy === 'newest') {
-        order = [['publishedAt', 'DESC']];
-      } else if (sortBy === 'difficulty') {
-        order = [['difficulty', 'ASC']];
+      // Filter by category: trails with at least one story in it
+      if (categoryId) {
+        whereClause[Op.and] = [literal(
+          `EXISTS (SELECT 1 FROM \`custom_stories\` AS \`categoryStory\` WHERE \`categoryStory\`.\`referenceCode\` = \`Trail\`.\`referenceCode\``
+          + ` AND \`categoryStory\`.\`categoryId\` = ${sequelize.escape(categoryId)})`
+        )];
       }
 
-      const trails = await Trail.findAll({
+      const include = [
+        {
+          model: CustomStory,
+          as: 'customStories',
+          attributes: PUBLIC_STORY_ATTRIBUTES,
+        },
+      ];
+      const storyOrder = [[{ model: CustomStory, as: 'customStories' }, 'orderIndex', 'ASC']];
+
+      if (!location) {
+        const page = await paginateQuery(Trail, {
+          where: whereClause,
+          include,
+          extraOrder: storyOrder,
+          sortName: sortBy,
+          sortKeys: getTrailSortKeys(sortBy, 'publishedAt'),
+          cursor,
+          limit,
+          withTotal,
+        });
+        const { items, ...pageInfo } = page;
+        return { ...pageInfo, trails: items.map(formatPublishedTrail) };
+      }
+
+      // Filter by location: the bounding box pre-filters stories on the indexed coordinates, and MySQL
+      // computes each trail's distance to its nearest story. Only the ids, sort columns and distances of
+      // the candidates are ranked and paged; stories are loaded for the page alone.
+      const box = boundingBox(location.lat, location.lng, location.radiusKm);
+      const distanceToTrail = literal(
+        `MIN(${distanceKmSql('`customStories`.`latitude`', '`customStories`.`longitude`', location.lat, location.lng)})`
+      );
+
+      const sortKeys = sortBy === 'nearest'
+        ? [{ direction: 'ASC', read: (trail) => trail.distanceToTrail }]
+        : getTrailSortKeys(sortBy, 'publishedAt');
+
+      const candidates = (await Trail.findAll({
         where: whereClause,
+        attributes: ['id', 'referenceCode', 'distance', 'difficulty', 'publishedAt', [distanceToTrail, 'distanceToTrail']],
+        include: [{
+          model: CustomStory,
+          as: 'customStories',
+          attributes: [],
+          required: true,
+          where: {
+            latitude: { [Op.between]: [box.minLat, box.maxLat] },
+            longitude: { [Op.between]: [box.minLng, box.maxLng] },
+          },
+        }],
+        group: ['Trail.id'],
+        having: sequelize.where(literal('`distanceToTrail`'), Op.lte, location.radiusKm),
+        order: [
+          ...(sortBy === 'nearest'
+            ? [[literal('`distanceToTrail`'), 'ASC']]
+            : sortKeys.map(key => [key.expression || key.attribute, key.direction])),
+          ['id', 'ASC'],
+        ],
+        limit: NEARBY_CANDIDATE_LIMIT,
+        subQuery: false,
+        raw: true,
+      })).map(candidate => ({ ...candidate, distanceToTrail: roundKm(Number(candidate.distanceToTrail)) }));
+
+      // Pages are keyed on the rounded distance, so ties on it are ordered by id
+      if (sortBy === 'nearest') {
+        candidates.sort((a, b) => a.distanceToTrail - b.distanceToTrail || a.id - b.id);
+      }
+
+      const { items, ...pageInfo } = paginateList(candidates, { sortName: sortBy, sortKeys, cursor, limit, withTotal });
+      const pageTrails = items.length === 0 ? [] : await Trail.findAll({
+        where: { id: { [Op.in]: items.map(item => item.id) } },
+        include,
+        order: [['id', 'ASC'], ...storyOrder],
+      });
+      const trailsById = new Map(pageTrails.map(trail => [trail.id, formatPublishedTrail(trail)]));
+
+      const trails = items
+        .filter(item => trailsById.has(item.id))
+        .map(item => {
+          const trail = trailsById.get(item.id);
+          // Stories are in walking order, so the first one with coordinates is the trail start
+          const start = trail.stories.find(story => story.latitude !== null && story.longitude !== null);
+          return {
+            ...trail,
+            distanceToTrail: item.distanceToTrail,
+            distanceToStart: start ? roundKm(distanceKm(location.lat, location.lng, start.latitude, start.longitude)) : -1,
+          };
+        });
+
+      return { ...pageInfo, trails };
+    } catch (error) {
+      console.error('❌ Error in getPublishedTrails:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Full-text search over published trails and their stories
+   * Uses the FULLTEXT indexes on trails(title, description) and custom_stories(title, description).
+   * A trail's relevance is its own score (weighted) plus the best score of its stories.
+   * @returns {Promise<{ total: number, trails: Array }>} Trails with relevance and highlighted snippets
+   */
+  async searchPublishedTrails({ query, difficulty, limit = 50, offset = 0 }) {
+    try {
+      const { Trail, CustomStory, sequelize } = getModels();
+      const escapedQuery = sequelize.escape(query);
+
+      const trailWhere = { ...PUBLISHED_TRAIL_WHERE };
+      if (difficulty) {
+        trailWhere.difficulty = difficulty;
+      }
+
+      const trailScore = sequelize.literal(
+        `MATCH(\`Trail\`.\`title\`, \`Trail\`.\`description\`) AGAINST(${escapedQuery} IN NATURAL LANGUAGE MODE)`
+      );
+      const storyScore = sequelize.literal(
+        `MATCH(\`CustomStory\`.\`title\`, \`CustomStory\`.\`description\`) AGAINST(${escapedQuery} IN NATURAL LANGUAGE MODE)`
+      );
+
+      const [trailMatches, storyMatches] = await Promise.all([
+        Trail.findAll({
+          where: { [Op.and]: [trailWhere, sequelize.where(trailScore, Op.gt, 0)] },
+          attributes: ['referenceCode', [trailScore, 'score']],
+          order: [[sequelize.literal('score'), 'DESC']],
+          limit: SEARCH_CANDIDATE_LIMIT,
+          raw: true,
+        }),
+        CustomStory.findAll({
+          where: sequelize.where(storyScore, Op.gt, 0),
+          attributes: ['referenceCode', [storyScore, 'score']],
+          include: [{ model: Trail, as: 'trail', where: trailWhere, attributes: [] }],
+          order: [[sequelize.literal('score'), 'DESC']],
+          limit: SEARCH_CANDIDATE_LIMIT,
+          raw: true,
+        }),
+      ]);
+
+      const relevance = new Map();
+      trailMatches.forEach(match => {
+        relevance.set(match.referenceCode, TRAIL_MATCH_WEIGHT * Number(match.score));
+      });
+      const bestStoryScore = new Map();
+      storyMatches.forEach(match => {
+        const score = Number(match.score);
+        if (score > (bestStoryScore.get(match.referenceCode) || 0)) {
+          bestStoryScore.set(match.referenceCode, score);
+        }
+      });
+      bestStoryScore.forEach((score, referenceCode) => {
+        relevance.set(referenceCode, (relevance.get(referenceCode) || 0) + score);
+      });
+
+      const ranked = [...relevance.entries()].sort((a, b) => b[1] - a[1]);
+      const page = ranked.slice(offset, offset + limit);
+      if (page.length === 0) {
+        return { total: ranked.length, trails: [] };
+      }
+
+      const trails = await Trail.findAll({
+        where: { referenceCode: { [Op.in]: page.map(([referenceCode]) => referenceCode) } },
         include: [
           {
             model: CustomStory,
             as: 'customStories',
-            attributes: ['id', 'title', 'description', 'latitude', 'longitude', 'imageUrl', 'videoUrl', 'orderIndex'],
+            attributes: PUBLIC_STORY_ATTRIBUTES,
           },
         ],
-        order,
-        limit,
-        offset,
+        order: [[{ model: CustomStory, as: 'customStories' }, 'orderIndex', 'ASC']],
       });
+      const byCode = new Map(trails.map(trail => [trail.referenceCode, trail]));
 
-      return trails.map(trail => ({
-        id: trail.id,
-        title: trail.title,
-        description: trail.description,
-        difficulty: trail.difficulty,
-        distance: parseFloat(trail.distance),
-        headerImages: trail.headerImages,
-        headerVideos: trail.headerVideos,
-        stories: trail.customStories.map(story => ({
-          id: story.id,
+      const terms = extractTerms(query);
+      const results = page
+        .filter(([referenceCode]) => byCode.has(referenceCode))
+        .map(([referenceCode, score]) => {
+          const trail = formatPublishedTrail(byCode.get(referenceCode));
+          return {
+            ...trail,
+            relevance: Math.round(score * 1000) / 1000,
+            highlights: {
+              title: buildSnippet(trail.title, terms),
+              description: buildSnippet(trail.description, terms),
+              stories: trail.stories
+                .map(story => ({
+                  id: story.id,
+                  title: buildSnippet(story.title, terms),
+                  description: buildSnippet(story.description, terms),
+                }))
+                .filter(story => story.title || story.description),
+            },
+          };
+        });
+
+      return { total: ranked.length, trails: results };
+    } catch (error) {
+      console.error('❌ Error in searchPublishedTrails:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get story pins of published trails inside a bounding box as a GeoJSON FeatureCollection
+   * When more than maxFeatures stories match, they are grouped on a grid of at most
+   * maxFeatures cells and each non-empty cell becomes one cluster feature.
+   * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }; minLng > maxLng crosses the antimeridian
+   * @param {number} maxFeatures - Feature cap
+   */
+  async getMapFeatures(bbox, maxFeatures) {
+    try {
+      const { Trail, CustomStory, sequelize } = getModels();
+      const { minLng, minLat, maxLng, maxLat } = bbox;
+      const crossesAntimeridian = minLng > maxLng;
+
+      const where = {
+        latitude: { [Op.between]: [minLat, maxLat] },
+        longitude: crossesAntimeridian
+          ? { [Op.or]: [{ [Op.gte]: minLng }, { [Op.lte]: maxLng }] }
+          : { [Op.between]: [minLng, maxLng] },
+      };
+      const trailInclude = {
+        model: Trail,
+        as: 'trail',
+        where: PUBLISHED_TRAIL_WHERE,
+        attributes: [],
+      };
+
+      const total = await CustomStory.count({ where, include: [trailInclude] });
+
+      const loadPins = (extraWhere = {}) => CustomStory.findAll({
+        where: { ...where, ...extraWhere },
+        attributes: ['id', 'referenceCode', 'title', 'latitude', 'longitude', 'imageUrl'],
+        include: [{ ...trailInclude, attributes: ['headerImages'] }],
+      });
+
+      const toPinFeature = (story) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [parseFloat(story.longitude), parseFloat(story.latitude)],
+        },
+        properties: {
+          storyId: story.id,
+          referenceCode: story.referenceCode,
           title: story.title,
-          description: story.description,
-          latitude: parseFloat(story.latitude) || null,
-          longitude: parseFloat(story.longitude) || null,
-          imageUrl: story.imageUrl,
-          videoUrl: story.videoUrl,
-        })),
-        userId: trail.userId,
-        publishedAt: trail.publishedAt,
-        distanceToTrail: -1, // Would be calculated if user location provided
-      }));
+          thumbnail: story.imageUrl || story.trail.headerImages[0] || null,
+        },
+      });
+
+      if (total <= maxFeatures) {
+        const stories = await loadPins();
+        return { type: 'FeatureCollection', features: stories.map(toPinFeature), total, clustered: false };
+      }
+
+      // Square-ish grid with at most maxFeatures cells over the box
+      const lngSpan = crossesAntimeridian ? maxLng + 360 - minLng : maxLng - minLng;
+      const latSpan = maxLat - minLat;
+      const columns = Math.max(1, Math.floor(Math.sqrt(maxFeatures * (lngSpan / (latSpan || 1)))));
+      const rows = Math.max(1, Math.floor(maxFeatures / columns));
+      const cellLng = (lngSpan || 1) / columns;
+      const cellLat = (latSpan || 1) / rows;
+
+      // Longitudes west of minLng belong to the far side of the antimeridian
+      const shiftedLng = crossesAntimeridian
+        ? `(CASE WHEN \`CustomStory\`.\`longitude\` < ${minLng} THEN \`CustomStory\`.\`longitude\` + 360 ELSE \`CustomStory\`.\`longitude\` END)`
+        : '`CustomStory`.`longitude`';
+      const cellX = `LEAST(FLOOR((${shiftedLng} - (${minLng})) / ${cellLng}), ${columns - 1})`;
+      const cellY = `LEAST(FLOOR((\`CustomStory\`.\`latitude\` - (${minLat})) / ${cellLat}), ${rows - 1})`;
+
+      const cells = await CustomStory.findAll({
+        where,
+        include: [trailInclude],
+        attributes: [
+          [sequelize.literal(cellX), 'cellX'],
+          [sequelize.literal(cellY), 'cellY'],
+          [sequelize.fn('COUNT', sequelize.col('CustomStory.id')), 'pointCount'],
+          [sequelize.fn('AVG', sequelize.col('CustomStory.latitude')), 'latitude'],
+          [sequelize.fn('AVG', sequelize.literal(shiftedLng)), 'longitude'],
+          [sequelize.fn('MIN', sequelize.col('CustomStory.id')), 'storyId'],
+        ],
+        group: ['cellX', 'cellY'],
+        raw: true,
+      });
+
+      // Cells holding a single story are returned as a normal pin
+      const singleIds = cells.filter(cell => Number(cell.pointCount) === 1).map(cell => cell.storyId);
+      const singles = singleIds.length > 0 ? await loadPins({ id: { [Op.in]: singleIds } }) : [];
+
+      const features = [
+        ...singles.map(toPinFeature),
+        ...cells
+          .filter(cell => Number(cell.pointCount) > 1)
+          .map(cell => {
+            const longitude = parseFloat(cell.longitude);
+            return {
+              type: 'Feature',
+              geometry: {
+                type: 'Point',
+                coordinates: [longitude > 180 ? longitude - 360 : longitude, parseFloat(cell.latitude)],
+              },
+              properties: {
+                cluster: true,
+                pointCount: Number(cell.pointCount),
+              },
+            };
+          }),
+      ];
+
+      return { type: 'FeatureCollection', features, total, clustered: true };
     } catch (error) {
-      console.error('❌ Error in getPublishedTrails:', error);
+      console.error('❌ Error in getMapFeatures:', error);
       throw error;
     }
   },
 
   /**
-   * Clean up expired drafts (stub - no longer used with payment-based system)
-   * Kept for backward compatibility with cleanup handler
+   * Warn about, then archive, abandoned checkouts
+   * A payment_pending trail with no activity (updatedAt) for warnDays gets staleWarnedAt set, which the
+   * owner sees on their trails with the date it will be archived (staleArchiveAt), and the stale-checkout
+   * notifier is called. Once it has been inactive for archiveDays and the warning is at least
+   * (archiveDays - warnDays) old, it is archived by the system actor and its PaymentIntent is canceled.
+   * Any edit restarts the clock.
+   * Trails are processed in id order, in batches, until shouldStop() says the time budget is used up.
+   * @param {Object} options - { dryRun, now, batchSize, shouldStop }
+   * @returns {Promise<Object>} Report with counts per action and the trails acted on
    */
-  async cleanupExpiredDrafts() {
+  async cleanupExpiredDrafts({
+    dryRun = false,
+    now = new Date(),
+    batchSize = CLEANUP_BATCH_SIZE,
+    shouldStop = () => false,
+  } = {}) {
     try {
-      console.log('[DB] Cleanup called - no action needed (payment-based system)');
-      return 0;
+      const { Trail } = getModels();
+      const { warnDays, archiveDays } = getStaleDraftThresholds();
+      const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+      const warnBefore = daysAgo(warnDays);
+      const archiveBefore = daysAgo(archiveDays);
+      const noticeBefore = daysAgo(archiveDays - warnDays);
+
+      const report = {
+        dryRun,
+        warnDays,
+        archiveDays,
+        batches: 0,
+        scanned: 0,
+        counts: { warned: 0, archived: 0, waiting: 0, skipped: 0, failed: 0 },
+        trails: [],
+        complete: true,
+      };
+      const record = (trail, action, reason) => {
+        report.counts[action] += 1;
+        if (action !== 'waiting') {
+          report.trails.push({ referenceCode: trail.referenceCode, action, ...(reason ? { reason } : {}) });
+        }
+      };
+
+      let lastId = 0;
+      for (;;) {
+        if (shouldStop()) {
+          report.complete = false;
+          break;
+        }
+
+        const batch = await Trail.findAll({
+          where: {
+            status: 'payment_pending',
+            isDeleted: false,
+            updatedAt: { [Op.lt]: warnBefore },
+            id: { [Op.gt]: lastId },
+          },
+          attributes: ['id', 'referenceCode', 'userId', 'status', 'updatedAt', 'staleWarnedAt', 'version', 'checkoutPaymentIntentId'],
+          order: [['id', 'ASC']],
+          limit: batchSize,
+        });
+        if (batch.length === 0) {
+          break;
+        }
+        lastId = batch[batch.length - 1].id;
+        report.batches += 1;
+
+        for (const trail of batch) {
+          report.scanned += 1;
+          const warnedSinceActivity = trail.staleWarnedAt && trail.staleWarnedAt >= trail.updatedAt;
+
+          try {
+            if (warnedSinceActivity && trail.updatedAt < archiveBefore && trail.staleWarnedAt <= noticeBefore) {
+              if (!dryRun) {
+                // expectedVersions: an edit since this batch was read cancels the archive
+                await trailStatusService.transition(trail.referenceCode, 'archived', {
+                  actor: trailStatusService.ACTORS.SYSTEM,
+                  reason: `Checkout abandoned - no activity for ${archiveDays} days`,
+                  expectedVersions: [trail.version],
+                });
+                // Like a superseded checkout: the archived trail's quote can no longer be paid
+                if (trail.checkoutPaymentIntentId) {
+                  await cancelCheckoutIntent(trail.checkoutPaymentIntentId);
+                }
+              }
+              record(trail, 'archived');
+            } else if (!warnedSinceActivity) {
+              if (!dryRun) {
+                // silent: warning the owner is not activity and must not move updatedAt
+                const [updated] = await Trail.update(
+                  { staleWarnedAt: now },
+                  { where: { id: trail.id, version: trail.version }, silent: true }
+                );
+                if (updated === 0) {
+                  record(trail, 'skipped', 'changed_during_cleanup');
+                  continue;
+                }
+                trail.staleWarnedAt = now;
+                try {
+                  await staleCheckoutNotifier({
+                    referenceCode: trail.referenceCode,
+                    userId: trail.userId,
+                    warnedAt: now,
+                    archiveAt: getStaleArchiveAt(trail),
+                  });
+                } catch (error) {
+                  // The warning stands and the owner still sees it on their trails
+                  console.error(`❌ Error notifying the owner of ${trail.referenceCode}:`, error);
+                }
+              }
+              record(trail, 'warned');
+            } else {
+              record(trail, 'waiting');
+            }
+          } catch (error) {
+            if (error.message === 'VERSION_MISMATCH' || error.message === 'ILLEGAL_TRANSITION') {
+              record(trail, 'skipped', 'changed_during_cleanup');
+            } else {
+              console.error(`❌ Error cleaning up ${trail.referenceCode}:`, error);
+              record(trail, 'failed', error.message);
+            }
+          }
+        }
+      }
+
+      console.log(`[CLEANUP] ${dryRun ? '(dry run) ' : ''}Scanned ${report.scanned} stale checkouts:`, report.counts);
+      return report;
     } catch (error) {
       console.error('❌ Error in cleanupExpiredDrafts:', error);
       throw error;
     }
   },
 
+  /**
+   * Replace how owners are told about a stale-checkout warning (default: a log line)
+   * @param {Function} notifier - async ({ referenceCode, userId, warnedAt, archiveAt }) => void; null restores the default
+   */
+  setStaleCheckoutNotifier(notifier) {
+    staleCheckoutNotifier = notifier || logStaleCheckout;
+  },
+
 };
 
 module.exports = trailsService;
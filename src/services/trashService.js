@@ -0,0 +1,234 @@
+/**
+ * Trash Service
+ * Deleted trails stay in the owner's trash for the retention window and can be restored.
+ * After that the scheduled cleanup purges them for good: rows, stories and uploaded media.
+ */
+
+const { getModels } = require('../models');
+const { Op } = require('sequelize');
+const filesService = require('./filesService');
+const paymentsService = require('./paymentsService');
+const { collectMediaUrls } = require('../utils/trailMedia');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: Days a deleted trail stays restorable (TRASH_RETENTION_DAYS)
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Helper: When a trail deleted at deletedAt leaves the trash
+ */
+const getPurgeAfter = (deletedAt) => new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Helper: Object keys of the media a trail references, limited to the owner's upload prefixes
+ * so a purge never touches another user's files
+ */
+const getOwnedMediaKeys = (trail, stories) => {
+  const prefixes = filesService.getUserUploadPrefixes(trail.userId);
+  return collectMediaUrls(trail, stories)
+    .map(url => filesService.keyFromUrl(url))
+    .filter(key => key && prefixes.some(prefix => key.startsWith(prefix)));
+};
+
+/**
+ * Helper: Media keys still used by the owner's other trails (a trail can be duplicated)
+ */
+const getKeysUsedElsewhere = async (trail) => {
+  const { Trail, CustomStory } = getModels();
+
+  const others = await Trail.findAll({
+    where: { userId: trail.userId, referenceCode: { [Op.ne]: trail.referenceCode } },
+    attributes: ['userId', 'headerImages', 'headerVideos'],
+    include: [{ model: CustomStory, as: 'customStories', attributes: ['imageUrl', 'videoUrl'] }],
+  });
+
+  return new Set(others.flatMap(other => getOwnedMediaKeys(other, other.customStories)));
+};
+
+/**
+ * Helper: Delete a trail and every row that references it
+ * Payments and promo redemptions are kept, detached from the trail (purgedReferenceCode names it):
+ * the ledger still answers who paid, and completed redemptions still count towards maxRedemptions.
+ * Pending redemptions are canceled, since their checkout can no longer complete.
+ * File records of the deleted media go; files still used elsewhere are only unlinked.
+ */
+const destroyTrailRows = async (trail, deletedKeys) => {
+  const { Trail, CustomStory, TrailRevision, TrailTransition, Payment, PromoRedemption, File, sequelize } = getModels();
+  const { referenceCode } = trail;
+
+  await sequelize.transaction(async (transaction) => {
+    const where = { referenceCode };
+    if (deletedKeys.length > 0) {
+      await File.destroy({ where: { userId: trail.userId, s3Key: { [Op.in]: deletedKeys } }, transaction });
+    }
+    await File.update({ referenceCode: null }, { where, transaction });
+    await CustomStory.destroy({ where, transaction });
+    await TrailRevision.destroy({ where, transaction });
+    await TrailTransition.destroy({ where, transaction });
+    await PromoRedemption.update({ status: 'canceled' }, { where: { referenceCode, status: 'pending' }, transaction });
+    await PromoRedemption.update({ referenceCode: null, purgedReferenceCode: referenceCode }, { where, transaction });
+    await Payment.update({ referenceCode: null, purgedReferenceCode: referenceCode }, { where, transaction });
+    await Trail.destroy({ where: { referenceCode, isDeleted: true }, transaction });
+  });
+};
+
+const trashService = {
+  getRetentionDays,
+
+  /**
+   * Trails in the user's trash, most recently deleted first
+   */
+  async getDeletedTrails(userId) {
+    try {
+      const { Trail } = getModels();
+
+      const trails = await Trail.findAll({
+        where: { userId, isDeleted: true },
+        attributes: ['referenceCode', 'title', 'status', 'isPaid', 'deletedAt', 'updatedAt'],
+        order: [['deletedAt', 'DESC'], ['id', 'DESC']],
+      });
+
+      return trails.map(trail => {
+        // Trails deleted before deletedAt existed are dated by their last update
+        const deletedAt = trail.deletedAt || trail.updatedAt;
+        const purgeAfter = getPurgeAfter(deletedAt);
+        return {
+          referenceCode: trail.referenceCode,
+          title: trail.title,
+          status: trail.status,
+          isPaid: trail.isPaid,
+          deletedAt,
+          purgeAfter,
+          restorable: purgeAfter > new Date(),
+        };
+      });
+    } catch (error) {
+      console.error('❌ Error in getDeletedTrails:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a trail from the trash (null if it is not there)
+   */
+  async getDeletedTrail(referenceCode) {
+    try {
+      const { Trail } = getModels();
+      return await Trail.findOne({ where: { referenceCode, isDeleted: true } });
+    } catch (error) {
+      console.error('❌ Error in getDeletedTrail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Take a trail out of the trash, keeping its status
+   * Throws RETENTION_EXPIRED once the retention window has passed
+   * @returns {Promise<boolean>} false when the trail is not in the trash
+   */
+  async restoreTrail(referenceCode) {
+    try {
+      const { Trail, sequelize } = getModels();
+
+      return await sequelize.transaction(async (transaction) => {
+        const trail = await Trail.findOne({
+          where: { referenceCode, isDeleted: true },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!trail) {
+          return false;
+        }
+
+        if (getPurgeAfter(trail.deletedAt || trail.updatedAt) <= new Date()) {
+          throw new Error('RETENTION_EXPIRED');
+        }
+
+        await trail.update({ isDeleted: false, deletedAt: null, version: trail.version + 1 }, { transaction });
+
+        console.log(`[TRASH] ♻️  Restored ${referenceCode}`);
+        return true;
+      });
+    } catch (error) {
+      if (error.message !== 'RETENTION_EXPIRED') {
+        console.error('❌ Error in restoreTrail:', error);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete trails that have been in the trash longer than the retention window
+   * Trails with a refundable payment are kept, and a trail whose media could not be deleted
+   * is left for the next run.
+   * @param {Object} options - { now }
+   * @returns {Promise<{ cutoff, scanned, purged, mediaDeleted, skipped: Array, failed: Array }>}
+   */
+  async purgeExpiredTrash({ now = new Date() } = {}) {
+    try {
+      const { Trail, CustomStory } = getModels();
+      const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+      const report = { cutoff, scanned: 0, purged: 0, mediaDeleted: 0, skipped: [], failed: [] };
+
+      let lastId = 0;
+      for (;;) {
+        const batch = await Trail.findAll({
+          where: { isDeleted: true, deletedAt: { [Op.lt]: cutoff }, id: { [Op.gt]: lastId } },
+          include: [{ model: CustomStory, as: 'customStories', attributes: ['imageUrl', 'videoUrl'] }],
+          order: [['id', 'ASC']],
+          limit: PURGE_BATCH_SIZE,
+        });
+        if (batch.length === 0) {
+          break;
+        }
+        lastId = batch[batch.length - 1].id;
+
+        for (const trail of batch) {
+          const { referenceCode } = trail;
+          report.scanned += 1;
+
+          if (await paymentsService.hasRefundablePayment(referenceCode)) {
+            console.log(`[TRASH] ⏭️  Keeping ${referenceCode} - it has a refundable payment`);
+            report.skipped.push({ referenceCode, reason: 'refundable_payment' });
+            continue;
+          }
+
+          try {
+            const usedElsewhere = await getKeysUsedElsewhere(trail);
+            const keys = getOwnedMediaKeys(trail, trail.customStories).filter(key => !usedElsewhere.has(key));
+
+            const { deleted, errors } = await filesService.deleteObjects(keys);
+            report.mediaDeleted += deleted;
+            if (errors.length > 0) {
+              console.warn(`[TRASH] ⚠️  ${errors.length} media files of ${referenceCode} could not be deleted - retrying next run`);
+              report.failed.push({ referenceCode, reason: 'media_delete_failed', keys: errors.map(error => error.key) });
+              continue;
+            }
+
+            await destroyTrailRows(trail, keys);
+            report.purged += 1;
+            console.log(`[TRASH] 🗑️  Purged ${referenceCode} (${keys.length} media files)`);
+          } catch (error) {
+            console.error(`❌ Error purging ${referenceCode}:`, error);
+            report.failed.push({ referenceCode, reason: error.message });
+          }
+        }
+      }
+
+      return report;
+    } catch (error) {
+      console.error('❌ Error in purgeExpiredTrash:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = trashService;
@@ -0,0 +1,239 @@
+/**
+ * Upload Cleanup Service
+ * Garbage-collects uploads nothing points at: files uploaded but never attached to a trail,
+ * or replaced by later edits. Objects younger than the grace period are left alone, so
+ * uploads for a trail that is still being written are never touched. File records of deleted
+ * uploads are removed with them.
+ * Also aborts multipart uploads nobody finished, whose parts S3 would otherwise keep (and bill) forever.
+ */
+
+const { getModels } = require('../models');
+const { Op } = require('sequelize');
+const filesService = require('./filesService');
+const { collectMediaUrls } = require('../utils/trailMedia');
+
+const DEFAULT_GRACE_DAYS = 7;
+const DEFAULT_MULTIPART_MAX_AGE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// JobCheckpoint row holding the last user a run that stopped early got to
+const CHECKPOINT_NAME = 'upload-gc';
+
+/**
+ * Helper: Grace period from UPLOAD_GC_GRACE_DAYS
+ */
+const getGraceDays = () => {
+  const days = parseInt(process.env.UPLOAD_GC_GRACE_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+/**
+ * Helper: Age after which an unfinished multipart upload is abandoned (MULTIPART_UPLOAD_MAX_AGE_HOURS)
+ */
+const getMultipartMaxAgeHours = () => {
+  const hours = parseInt(process.env.MULTIPART_UPLOAD_MAX_AGE_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_MULTIPART_MAX_AGE_HOURS;
+};
+
+/**
+ * Helper: Object keys a user's trails still reference
+ * Includes trails in the trash and revision snapshots, since both can be restored.
+ */
+const getReferencedKeys = async (userId) => {
+  const { Trail, CustomStory, TrailRevision } = getModels();
+
+  const trails = await Trail.findAll({
+    where: { userId },
+    attributes: ['referenceCode', 'headerImages', 'headerVideos'],
+    include: [{ model: CustomStory, as: 'customStories', attributes: ['imageUrl', 'videoUrl'] }],
+  });
+
+  const revisions = trails.length === 0 ? [] : await TrailRevision.findAll({
+    where: { referenceCode: trails.map(trail => trail.referenceCode) },
+    attributes: ['snapshot'],
+  });
+
+  const urls = [
+    ...trails.flatMap(trail => collectMediaUrls(trail, trail.customStories)),
+    ...revisions.flatMap(({ snapshot }) => collectMediaUrls(snapshot, snapshot.customStories)),
+  ];
+
+  return new Set(urls.map(url => filesService.keyFromUrl(url)).filter(Boolean));
+};
+
+/**
+ * Helper: User ids in the order a run visits them
+ * Starts after the user the previous run stopped at and wraps around, so a run that runs out
+ * of time is continued by the next one instead of starting over with the same users.
+ */
+const orderFromCheckpoint = (userIds, startAfter) => {
+  const sorted = [...userIds].sort();
+  if (!startAfter) {
+    return sorted;
+  }
+  return [...sorted.filter(userId => userId > startAfter), ...sorted.filter(userId => userId <= startAfter)];
+};
+
+const uploadCleanupService = {
+  getGraceDays,
+  getMultipartMaxAgeHours,
+
+  /**
+   * Abort multipart uploads started longer ago than the maximum age
+   * Their quota reservations are released too, including those of uploads S3 no longer lists,
+   * along with the reservations of presigned forms that have expired.
+   * @param {Object} options - { dryRun, now }
+   * @returns {Promise<{ dryRun, maxAgeHours, inProgress, abandoned, aborted, releasedReservations, uploads: Array, errors: Array }>}
+   */
+  async abortAbandonedMultipartUploads({ dryRun = false, now = new Date() } = {}) {
+    try {
+      const maxAgeHours = getMultipartMaxAgeHours();
+      const startedBefore = new Date(now.getTime() - maxAgeHours * HOUR_MS);
+      const report = { dryRun, maxAgeHours, inProgress: 0, abandoned: 0, aborted: 0, releasedReservations: 0, uploads: [], errors: [] };
+
+      for (const prefix of ['images/uploads/', 'videos/uploads/']) {
+        const uploads = await filesService.listMultipartUploads(prefix);
+        report.inProgress += uploads.length;
+
+        for (const upload of uploads.filter(item => new Date(item.initiated) < startedBefore)) {
+          report.abandoned += 1;
+          report.uploads.push({ key: upload.key, uploadId: upload.uploadId, initiated: upload.initiated });
+
+          if (dryRun) {
+            continue;
+          }
+          try {
+            await filesService.abortMultipartUpload(upload.key, upload.uploadId);
+            report.aborted += 1;
+          } catch (error) {
+            console.error(`❌ Error aborting multipart upload of ${upload.key}:`, error);
+            report.errors.push({ key: upload.key, uploadId: upload.uploadId, message: error.message });
+          }
+        }
+      }
+
+      if (!dryRun) {
+        const { UploadReservation } = getModels();
+        report.releasedReservations = await UploadReservation.destroy({
+          where: {
+            [Op.or]: [
+              { uploadId: { [Op.ne]: null }, createdAt: { [Op.lt]: startedBefore } },
+              { expiresAt: { [Op.lt]: now } },
+            ],
+          },
+        });
+      }
+
+      console.log(`[UPLOAD-GC] ${dryRun ? '(dry run) ' : ''}${report.abandoned} of ${report.inProgress} multipart uploads abandoned`);
+      return report;
+    } catch (error) {
+      console.error('❌ Error in abortAbandonedMultipartUploads:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete unreferenced uploads older than the grace period, user by user
+   * A run stopped by shouldStop records the last user it finished, and the next run resumes after it.
+   * Dry runs read the checkpoint but never move it.
+   * @param {Object} options - { dryRun, now, shouldStop }
+   * @returns {Promise<Object>} Report with totals, the users that had orphans and resumeAfter
+   *   (the checkpoint left for the next run, null once every user was visited)
+   */
+  async collectOrphanedUploads({ dryRun = false, now = new Date(), shouldStop = () => false } = {}) {
+    try {
+      const { JobCheckpoint } = getModels();
+      const checkpoint = await JobCheckpoint.findByPk(CHECKPOINT_NAME);
+      const startAfter = checkpoint ? checkpoint.position : null;
+      const graceDays = getGraceDays();
+      const olderThan = new Date(now.getTime() - graceDays * DAY_MS);
+
+      const report = {
+        dryRun,
+        graceDays,
+        users: 0,
+        objects: 0,
+        referenced: 0,
+        inGracePeriod: 0,
+        orphaned: 0,
+        deleted: 0,
+        bytesFreed: 0,
+        perUser: [],
+        errors: [],
+        complete: true,
+        startAfter,
+        resumeAfter: null,
+      };
+
+      const userIds = orderFromCheckpoint(await filesService.listUploadUserIds(), startAfter);
+
+      for (const userId of userIds) {
+        if (shouldStop()) {
+          report.complete = false;
+          break;
+        }
+        report.resumeAfter = userId;
+
+        try {
+          const prefixes = filesService.getUserUploadPrefixes(userId);
+          const objects = (await Promise.all(prefixes.map(prefix => filesService.listObjects(prefix)))).flat();
+          const referenced = await getReferencedKeys(userId);
+
+          const unreferenced = objects.filter(object => !referenced.has(object.key));
+          const orphans = unreferenced.filter(object => new Date(object.lastModified) < olderThan);
+
+          report.users += 1;
+          report.objects += objects.length;
+          report.referenced += objects.length - unreferenced.length;
+          report.inGracePeriod += unreferenced.length - orphans.length;
+          report.orphaned += orphans.length;
+
+          if (orphans.length === 0) {
+            continue;
+          }
+
+          const bytes = orphans.reduce((sum, object) => sum + (object.size || 0), 0);
+          const userReport = { userId, orphaned: orphans.length, bytes, keys: orphans.map(object => object.key) };
+
+          if (!dryRun) {
+            const { deleted, errors } = await filesService.deleteObjects(userReport.keys);
+            const failedKeys = new Set(errors.map(error => error.key));
+            const deletedKeys = userReport.keys.filter(key => !failedKeys.has(key));
+            if (deletedKeys.length > 0) {
+              const { File } = getModels();
+              await File.destroy({ where: { userId, s3Key: { [Op.in]: deletedKeys } } });
+            }
+            report.deleted += deleted;
+            report.bytesFreed += orphans
+              .filter(object => !failedKeys.has(object.key))
+              .reduce((sum, object) => sum + (object.size || 0), 0);
+            report.errors.push(...errors.map(error => ({ userId, ...error })));
+          }
+
+          report.perUser.push(userReport);
+          console.log(`[UPLOAD-GC] ${dryRun ? '(dry run) ' : ''}${userId}: ${orphans.length} orphaned uploads (${bytes} bytes)`);
+        } catch (error) {
+          console.error(`❌ Error collecting uploads of ${userId}:`, error);
+          report.errors.push({ userId, message: error.message });
+        }
+      }
+
+      if (report.complete) {
+        report.resumeAfter = null;
+      } else if (report.users === 0) {
+        report.resumeAfter = startAfter;
+      }
+      if (!dryRun) {
+        await JobCheckpoint.upsert({ name: CHECKPOINT_NAME, position: report.resumeAfter });
+      }
+
+      return report;
+    } catch (error) {
+      console.error('❌ Error in collectOrphanedUploads:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = uploadCleanupService;
@@ -0,0 +1,120 @@
+const { Op } = require('sequelize');
+const {
+  clampPageSize,
+  paginateQuery,
+  paginateList,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} = require('../pagination');
+
+const createdAtKey = { attribute: 'createdAt', direction: 'DESC', read: (row) => row.createdAt, isDate: true };
+
+// Rows sharing createdAt values, so the id tie-breaker decides their order
+const ROWS = Array.from({ length: 7 }, (_, index) => ({
+  id: index + 1,
+  createdAt: new Date(Date.UTC(2026, 0, 1 + Math.floor(index / 3))),
+}));
+
+/**
+ * Minimal stand-in for a Sequelize model: evaluates the where clauses paginateQuery builds
+ */
+const fakeModel = (rows) => {
+  const compare = (a, b) => (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+  const OPS = {
+    [Op.eq]: (a, b) => compare(a, b) === 0,
+    [Op.gt]: (a, b) => compare(a, b) > 0,
+    [Op.lt]: (a, b) => compare(a, b) < 0,
+  };
+  const matches = (row, where) => {
+    if (where[Op.and]) return where[Op.and].every(part => matches(row, part));
+    if (where[Op.or]) return where[Op.or].some(part => matches(row, part));
+    return Object.entries(where).every(([attribute, condition]) => Object.getOwnPropertySymbols(condition)
+      .every(op => OPS[op](row[attribute], condition[op])));
+  };
+
+  return {
+    findAll: jest.fn(async ({ where, order, limit }) => rows
+      .filter(row => matches(row, where))
+      .sort((a, b) => {
+        for (const [attribute, direction] of order) {
+          const difference = compare(a[attribute], b[attribute]);
+          if (difference !== 0) return direction === 'DESC' ? -difference : difference;
+        }
+        return 0;
+      })
+      .slice(0, limit)),
+    count: jest.fn(async () => rows.length),
+  };
+};
+
+describe('clampPageSize', () => {
+  it('falls back to the default for missing or invalid sizes', () => {
+    expect(clampPageSize(undefined)).toBe(DEFAULT_PAGE_SIZE);
+    expect(clampPageSize('abc')).toBe(DEFAULT_PAGE_SIZE);
+    expect(clampPageSize(0)).toBe(DEFAULT_PAGE_SIZE);
+  });
+
+  it('caps sizes at the maximum', () => {
+    expect(clampPageSize('5')).toBe(5);
+    expect(clampPageSize(MAX_PAGE_SIZE + 1)).toBe(MAX_PAGE_SIZE);
+  });
+});
+
+describe('paginateQuery', () => {
+  it('walks every row exactly once by following nextCursor', async () => {
+    const model = fakeModel(ROWS);
+    const seen = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      const page = await paginateQuery(model, { sortName: 'newest', sortKeys: [createdAtKey], cursor, limit: 2 });
+      seen.push(...page.items.map(row => row.id));
+      cursor = page.nextCursor;
+      pages += 1;
+      expect(page.hasMore).toBe(cursor !== null);
+    } while (cursor);
+
+    expect(pages).toBe(4);
+    expect(seen).toEqual([7, 4, 5, 6, 1, 2, 3]);
+  });
+
+  it('counts every matching row when asked for a total', async () => {
+    const page = await paginateQuery(fakeModel(ROWS), { sortName: 'newest', sortKeys: [createdAtKey], limit: 3, withTotal: true });
+    expect(page.total).toBe(ROWS.length);
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const first = await paginateQuery(fakeModel(ROWS), { sortName: 'newest', sortKeys: [createdAtKey], limit: 2 });
+
+    await expect(paginateQuery(fakeModel(ROWS), {
+      sortName: 'oldest', sortKeys: [createdAtKey], cursor: first.nextCursor, limit: 2,
+    })).rejects.toThrow('INVALID_CURSOR');
+  });
+
+  it('rejects a malformed cursor', async () => {
+    await expect(paginateQuery(fakeModel(ROWS), {
+      sortName: 'newest', sortKeys: [createdAtKey], cursor: 'not-a-cursor', limit: 2,
+    })).rejects.toThrow('INVALID_CURSOR');
+  });
+});
+
+describe('paginateList', () => {
+  const distanceKey = { direction: 'ASC', read: (item) => item.distance };
+  const LIST = [
+    { id: 3, distance: 0.5 },
+    { id: 1, distance: 1.2 },
+    { id: 2, distance: 1.2 },
+    { id: 4, distance: 7 },
+  ];
+
+  it('resumes after the last item of the previous page', () => {
+    const first = paginateList(LIST, { sortName: 'nearest', sortKeys: [distanceKey], limit: 2 });
+    expect(first.items.map(item => item.id)).toEqual([3, 1]);
+
+    const second = paginateList(LIST, { sortName: 'nearest', sortKeys: [distanceKey], cursor: first.nextCursor, limit: 2 });
+    expect(second.items.map(item => item.id)).toEqual([2, 4]);
+    expect(second.hasMore).toBe(false);
+    expect(second.nextCursor).toBeNull();
+  });
+});
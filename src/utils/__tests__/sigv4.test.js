@@ -0,0 +1,62 @@
+const AWS = require('aws-sdk');
+const { presignS3Url } = require('../sigv4');
+
+const CREDENTIALS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'test-secret' };
+const KEY = 'videos/uploads/user 1/clip (1).mp4';
+const UPLOAD_ID = 'x~y/z+=';
+
+const params = (url) => new URL(url).searchParams;
+
+/**
+ * The SDK's own presigned uploadPart URL, and the time it was signed at
+ */
+const sdkPresign = (config) => {
+  const s3 = new AWS.S3({ region: 'eu-west-1', signatureVersion: 'v4', ...CREDENTIALS, ...config });
+  const url = s3.getSignedUrl('uploadPart', { Bucket: 'bucket', Key: KEY, UploadId: UPLOAD_ID, PartNumber: 3, Expires: 3600 });
+  const now = new Date(params(url).get('X-Amz-Date')
+    .replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  return { url, now };
+};
+
+describe('presignS3Url', () => {
+  it.each([
+    ['AWS', {}, 'https://bucket.s3.eu-west-1.amazonaws.com', `/${KEY}`],
+    ['a custom endpoint', { endpoint: 'http://127.0.0.1:9000', s3ForcePathStyle: true }, 'http://127.0.0.1:9000', `/bucket/${KEY}`],
+    ['a session token', { sessionToken: 'token/with+chars=' }, 'https://bucket.s3.eu-west-1.amazonaws.com', `/${KEY}`],
+  ])('signs like the SDK when only Host is signed (%s)', (label, config, origin, path) => {
+    const sdk = sdkPresign(config);
+
+    const url = presignS3Url({
+      method: 'PUT',
+      origin,
+      path,
+      query: { partNumber: 3, uploadId: UPLOAD_ID },
+      credentials: { ...CREDENTIALS, sessionToken: config.sessionToken },
+      region: 'eu-west-1',
+      expires: 3600,
+      now: sdk.now,
+    });
+
+    expect(url.split('?')[0]).toBe(sdk.url.split('?')[0]);
+    expect(params(url).get('X-Amz-Signature')).toBe(params(sdk.url).get('X-Amz-Signature'));
+  });
+
+  it('signs the headers it is given', () => {
+    const request = {
+      method: 'PUT',
+      origin: 'https://bucket.s3.eu-west-1.amazonaws.com',
+      path: `/${KEY}`,
+      query: { partNumber: 1, uploadId: UPLOAD_ID },
+      credentials: CREDENTIALS,
+      region: 'eu-west-1',
+      expires: 3600,
+      now: new Date('2026-10-19T12:00:00Z'),
+    };
+
+    const small = presignS3Url({ ...request, headers: { 'content-length': 100 } });
+    const large = presignS3Url({ ...request, headers: { 'content-length': 200 } });
+
+    expect(params(small).get('X-Amz-SignedHeaders')).toBe('content-length;host');
+    expect(params(small).get('X-Amz-Signature')).not.toBe(params(large).get('X-Amz-Signature'));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Trail ETags
+ * A trail's ETag is its version number in quotes, e.g. "7".
+ * Writes that send If-Match only go through while the trail is still at one of the listed versions.
+ */
+
+const { httpResponse, getHeader } = require('./http');
+
+/**
+ * ETag for a trail version
+ */
+const formatEtag = (version) => `"${version}"`;
+
+/**
+ * Read If-Match from the request
+ * @returns {number[]|null} Versions the client expects, or null when there is no precondition
+ *   (header missing or `*`). Tags that are not ours never match, so they yield an empty list.
+ */
+const parseIfMatch = (event) => {
+  const header = getHeader(event, 'If-Match');
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .map(tag => /^"(\d+)"$/.exec(tag))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+};
+
+/**
+ * Throw VERSION_MISMATCH (carrying currentVersion) unless the trail is at an expected version
+ * @param {Object} trail - Trail row, locked by the caller
+ * @param {number[]|null} expectedVersions - From parseIfMatch(); null skips the check
+ */
+const assertTrailVersion = (trail, expectedVersions) => {
+  if (expectedVersions && !expectedVersions.includes(trail.version)) {
+    const error = new Error('VERSION_MISMATCH');
+    error.currentVersion = trail.version;
+    throw error;
+  }
+};
+
+/**
+ * Add the ETag header to a response
+ */
+const withEtag = (response, version) => {
+  response.headers.ETag = formatEtag(version);
+  return response;
+};
+
+/**
+ * 412 for a stale write, carrying the current trail so the client can merge
+ * @param {Object|null} trail - Current trail from trailsService.getTrail() (null once it is gone)
+ */
+const staleWriteResponse = (trail) => {
+  if (!trail) {
+    return httpResponse.notFound('Trail not found');
+  }
+
+  console.warn(`[TRAIL] ⚠️  Stale write rejected for ${trail.referenceCode} (now at version ${trail.version})`);
+  return httpResponse.preconditionFailed(
+    'Trail has changed since you loaded it',
+    {
+      currentVersion: trail.version,
+      etag: formatEtag(trail.version),
+      updatedAt: trail.updatedAt,
+      trail,
+    },
+    formatEtag(trail.version)
+  );
+};
+
+module.exports = {
+  formatEtag,
+  parseIfMatch,
+  assertTrailVersion,
+  withEtag,
+  staleWriteResponse,
+};
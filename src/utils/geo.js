@@ -0,0 +1,70 @@
+/**
+ * Geo Helpers
+ * Great-circle distances and bounding boxes for proximity queries.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Haversine distance between two points, in kilometres
+ */
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Haversine distance from (lat, lng) to the point in two columns, as a MySQL expression in kilometres
+ * Same formula as distanceKm, so SQL and in-memory distances agree.
+ * @param {string} latColumn - Quoted column reference, e.g. `customStories`.`latitude`
+ * @param {string} lngColumn - Quoted column reference
+ */
+const distanceKmSql = (latColumn, lngColumn, lat, lng) => {
+  const originLat = Number(lat);
+  const originLng = Number(lng);
+  return `${2 * EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(`
+    + `POW(SIN(RADIANS(${latColumn} - (${originLat})) / 2), 2)`
+    + ` + COS(RADIANS(${originLat})) * COS(RADIANS(${latColumn})) * POW(SIN(RADIANS(${lngColumn} - (${originLng})) / 2), 2))))`;
+};
+
+/**
+ * Bounding box that contains every point within radiusKm of (lat, lng)
+ * Used as a cheap indexed pre-filter before exact distances are computed.
+ * Longitude bounds are widened to the full range near the poles or across the antimeridian.
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }}
+ */
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const minLat = Math.max(-90, lat - latDelta);
+  const maxLat = Math.min(90, lat + latDelta);
+
+  const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+  if (cosLat < 1e-6) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  const lngDelta = latDelta / cosLat;
+  if (lng - lngDelta < -180 || lng + lngDelta > 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  return { minLat, maxLat, minLng: lng - lngDelta, maxLng: lng + lngDelta };
+};
+
+/**
+ * Helper: Round a distance for API responses (10 m precision)
+ */
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  distanceKmSql,
+  boundingBox,
+  roundKm,
+};
@@ -0,0 +1,60 @@
+/**
+ * Search Highlighting
+ * Builds short snippets around search terms, wrapped in <mark> tags.
+ * Text is HTML-escaped first, so snippets are safe to render as HTML.
+ */
+
+const SNIPPET_RADIUS = 80;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into distinct lowercase terms (2+ characters)
+ */
+const extractTerms = (query) => [...new Set(
+  (query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= 2)
+)];
+
+/**
+ * Build a highlighted snippet of text around the first matching term
+ * @param {string} text - Source text
+ * @param {string[]} terms - Terms from extractTerms()
+ * @param {number} radius - Characters kept on each side of the first match
+ * @returns {string|null} Snippet, or null when no term occurs in the text
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
+  const first = text.search(pattern);
+  if (first === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius);
+  const excerpt = text.slice(start, end);
+
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  extractTerms,
+  buildSnippet,
+};
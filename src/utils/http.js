@@ -3,16 +3,21 @@
  * Standardized response formatting for Lambda handlers
  */
 
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers':
+    'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
 const httpResponse = {
   success: (data, statusCode = 200) => {
     return {
       statusCode,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers':
-          'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-        'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+        ...CORS_HEADERS,
       },
       body: JSON.stringify(data),
     };
@@ -44,6 +49,76 @@ const httpResponse = {
   serverError: (message = 'Internal server error') => {
     return httpResponse.error(message, 500);
   },
+
+  // 409 with extra details for the client (e.g. the allowed next states)
+  conflict: (message, details = {}) => {
+    return {
+      statusCode: 409,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({ error: message, success: false, ...details }),
+    };
+  },
+
+  // 412 for a write whose If-Match no longer matches, with the current version for merging
+  preconditionFailed: (message, details = {}, etag = null) => {
+    return {
+      statusCode: 412,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...(etag ? { ETag: etag } : {}),
+      },
+      body: JSON.stringify({ error: message, success: false, ...details }),
+    };
+  },
+
+  // 413 for uploads that would not fit in the user's storage quota, with the remaining space
+  quotaExceeded: (message, details = {}) => {
+    return {
+      statusCode: 413,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({ error: message, success: false, ...details }),
+    };
+  },
+
+  // Field-level validation errors: [{ field, message }]
+  validationError: (errors, message = 'Validation failed') => {
+    return {
+      statusCode: 422,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({ error: message, success: false, errors }),
+    };
+  },
+
+  methodNotAllowed: (allowedMethods) => {
+    const response = httpResponse.error('Method not allowed', 405);
+    response.headers.Allow = [...allowedMethods, 'OPTIONS'].join(', ');
+    return response;
+  },
+
+  // CORS preflight answer for a known path
+  options: (allowedMethods) => {
+    return {
+      statusCode: 204,
+      headers: {
+        ...CORS_HEADERS,
+        'Access-Control-Allow-Methods': [...allowedMethods, 'OPTIONS'].join(','),
+        'Access-Control-Max-Age': '600',
+        Allow: [...allowedMethods, 'OPTIONS'].join(', '),
+      },
+      body: '',
+    };
+  },
 };
 
 const parseBody = (event) => {
@@ -71,9 +146,17 @@ const getQueryParam = (event, paramName) => {
   return event.queryStringParameters?.[paramName] || null;
 };
 
+// Header names are case-insensitive and API Gateway keeps the client's casing
+const getHeader = (event, headerName) => {
+  const wanted = headerName.toLowerCase();
+  const entry = Object.entries(event.headers || {}).find(([name]) => name.toLowerCase() === wanted);
+  return entry ? entry[1] : null;
+};
+
 module.exports = {
   httpResponse,
   parseBody,
   getPathParam,
   getQueryParam,
+  getHeader,
 };
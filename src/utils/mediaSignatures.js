@@ -0,0 +1,62 @@
+/**
+ * Media Signatures
+ * Recognises the allowed image and video formats from their first bytes ("magic bytes"),
+ * so a file's real format can be checked against the content type it was uploaded with.
+ */
+
+// Bytes needed to recognise every format below
+const SIGNATURE_LENGTH = 16;
+
+// ISO base media (MP4/MOV) files start with a box size, then a box type at offset 4
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+const startsWithBytes = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+/**
+ * Formats with their signature tests, keyed by MIME type
+ */
+const SIGNATURES = {
+  'image/jpeg': (buffer) => startsWithBytes(buffer, [0xff, 0xd8, 0xff]),
+  'image/png': (buffer) => startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/gif': (buffer) => ['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6)),
+  'image/webp': (buffer) => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP',
+  'video/mp4': (buffer) => ascii(buffer, 4, 8) === 'ftyp' && ascii(buffer, 8, 12) !== 'qt  ',
+  'video/quicktime': (buffer) => (ascii(buffer, 4, 8) === 'ftyp' && ascii(buffer, 8, 12) === 'qt  ')
+    || QUICKTIME_ATOMS.includes(ascii(buffer, 4, 8)),
+  'video/webm': (buffer) => startsWithBytes(buffer, [0x1a, 0x45, 0xdf, 0xa3]),
+  'video/x-msvideo': (buffer) => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI ',
+};
+
+/**
+ * MIME type of the format the bytes start with (null when none of the allowed formats match)
+ * @param {Buffer} buffer - First bytes of the file (at least SIGNATURE_LENGTH when available)
+ * @returns {string|null}
+ */
+const detectMediaType = (buffer) => {
+  const match = Object.entries(SIGNATURES).find(([, test]) => test(buffer));
+  return match ? match[0] : null;
+};
+
+/**
+ * Whether the bytes are a file of the declared type
+ * MP4 and MOV share a container, so an MP4 labelled QuickTime (or the reverse) is accepted.
+ * @param {Buffer} buffer - First bytes of the file
+ * @param {string} mimeType - Declared content type
+ * @returns {boolean}
+ */
+const matchesMediaType = (buffer, mimeType) => {
+  const detected = detectMediaType(buffer);
+  if (detected === mimeType) {
+    return true;
+  }
+  const isoMedia = ['video/mp4', 'video/quicktime'];
+  return isoMedia.includes(detected) && isoMedia.includes(mimeType);
+};
+
+module.exports = {
+  SIGNATURE_LENGTH,
+  detectMediaType,
+  matchesMediaType,
+};
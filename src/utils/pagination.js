@@ -0,0 +1,181 @@
+/**
+ * Cursor Pagination
+ * Shared keyset paginator for trail listings.
+ *
+ * A sort is a list of keys, each { attribute | expression, direction, read(row), isDate? }.
+ * The row id is always appended as the final tie-breaker, so every row has a unique position.
+ * Cursors are opaque base64url strings holding the sort name and the key values of the last row.
+ */
+
+const { Op, Sequelize } = require('sequelize');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ID_KEY = { attribute: 'id', direction: 'ASC', read: (row) => row.id };
+
+/**
+ * Clamp a requested page size to 1..MAX_PAGE_SIZE (DEFAULT_PAGE_SIZE when missing or invalid)
+ */
+const clampPageSize = (value) => {
+  const size = parseInt(value, 10);
+  if (!Number.isFinite(size) || size < 1) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+const encodeCursor = (sortName, values) => Buffer
+  .from(JSON.stringify({ s: sortName, k: values }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor produced for the given sort
+ * Throws INVALID_CURSOR when it is malformed or was issued for another sort
+ */
+const decodeCursor = (cursor, sortName, keyCount) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('INVALID_CURSOR');
+  }
+  if (!decoded || decoded.s !== sortName || !Array.isArray(decoded.k) || decoded.k.length !== keyCount) {
+    throw new Error('INVALID_CURSOR');
+  }
+  return decoded.k;
+};
+
+/**
+ * Helper: Normalise a key value so it survives JSON and compares consistently
+ */
+const toCursorValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * Helper: Keyset condition "row comes after values" for the given keys
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with > / < following each key's direction
+ */
+const buildKeysetWhere = (keys, values) => {
+  const compare = (key, op, rawValue) => {
+    const value = key.isDate && rawValue !== null ? new Date(rawValue) : rawValue;
+    return key.expression
+      ? Sequelize.where(key.expression, op, value)
+      : { [key.attribute]: { [op]: value } };
+  };
+
+  return {
+    [Op.or]: keys.map((key, index) => ({
+      [Op.and]: [
+        ...keys.slice(0, index).map((previous, i) => compare(previous, Op.eq, values[i])),
+        compare(key, key.direction === 'DESC' ? Op.lt : Op.gt, values[index]),
+      ],
+    })),
+  };
+};
+
+/**
+ * Helper: Compare two key tuples following the key directions (in-memory pagination)
+ */
+const compareKeys = (keys, a, b) => {
+  for (let i = 0; i < keys.length; i++) {
+    if (a[i] === b[i]) continue;
+    const order = a[i] < b[i] ? -1 : 1;
+    return keys[i].direction === 'DESC' ? -order : order;
+  }
+  return 0;
+};
+
+/**
+ * Helper: Build the page result from rows fetched with one extra row
+ */
+const buildPage = (rows, keys, sortName, limit) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sortName, keys.map(key => toCursorValue(key.read(last)))) : null,
+  };
+};
+
+/**
+ * Paginate a Sequelize query by keyset
+ * @param {Model} model - Sequelize model to query
+ * @param {Object} options
+ * @param {Object} options.where - Filter conditions
+ * @param {Array} options.include - Associations to load
+ * @param {Array} options.extraOrder - Ordering applied after the sort keys (e.g. of included rows)
+ * @param {string} options.sortName - Active sort name, bound into the cursor
+ * @param {Array} options.sortKeys - Sort keys (the id tie-breaker is appended automatically)
+ * @param {string} options.cursor - Cursor from a previous page
+ * @param {number} options.limit - Page size (already clamped)
+ * @param {boolean} options.withTotal - Also count every row matching `where`
+ * @returns {Promise<{ items: Array, nextCursor: string|null, hasMore: boolean, total?: number }>}
+ */
+const paginateQuery = async (model, {
+  where = {},
+  include = [],
+  extraOrder = [],
+  sortName,
+  sortKeys,
+  cursor,
+  limit,
+  withTotal = false,
+}) => {
+  const keys = [...sortKeys, ID_KEY];
+
+  const pageWhere = cursor
+    ? { [Op.and]: [where, buildKeysetWhere(keys, decodeCursor(cursor, sortName, keys.length))] }
+    : where;
+
+  const [rows, total] = await Promise.all([
+    model.findAll({
+      where: pageWhere,
+      include,
+      order: [
+        ...keys.map(key => [key.expression || key.attribute, key.direction]),
+        ...extraOrder,
+      ],
+      limit: limit + 1,
+    }),
+    withTotal ? model.count({ where }) : Promise.resolve(undefined),
+  ]);
+
+  const page = buildPage(rows, keys, sortName, limit);
+  return withTotal ? { ...page, total } : page;
+};
+
+/**
+ * Paginate an in-memory list by keyset, for results that are filtered or ranked after the query
+ * The list must already be sorted by sortKeys; items need an id.
+ * Options match paginateQuery (without where/include).
+ */
+const paginateList = (list, { sortName, sortKeys, cursor, limit, withTotal = false }) => {
+  const keys = [...sortKeys, ID_KEY];
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sortName, keys.length);
+    start = list.findIndex(item => compareKeys(keys, keys.map(key => toCursorValue(key.read(item))), after) > 0);
+    if (start === -1) {
+      start = list.length;
+    }
+  }
+
+  const page = buildPage(list.slice(start, start + limit + 1), keys, sortName, limit);
+  return withTotal ? { ...page, total: list.length } : page;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  clampPageSize,
+  paginateQuery,
+  paginateList,
+};
@@ -0,0 +1,82 @@
+/**
+ * S3 presigned URLs with signed headers
+ * aws-sdk v2 refuses to presign Content-Length, so a presigned PUT accepts a body of any size.
+ * Signing `content-length` pins the exact size: S3 rejects a request whose Content-Length differs.
+ * Query-string SigV4 as documented for S3 (payload UNSIGNED-PAYLOAD).
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * RFC 3986 encoding, as SigV4 expects (encodeURIComponent leaves !'()* alone)
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+
+/**
+ * Presign an S3 request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.origin - e.g. https://bucket.s3.us-east-1.amazonaws.com
+ * @param {string} request.path - Object path, not encoded yet, e.g. /videos/uploads/u1/a.mp4
+ * @param {Object} request.query - Query parameters of the operation, e.g. { partNumber, uploadId }
+ * @param {Object} request.headers - Headers to sign besides Host (names in lower case)
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} request.region - Signing region
+ * @param {number} request.expires - Seconds the URL stays valid
+ * @param {Date} request.now - Signing time
+ * @returns {string} Presigned URL
+ */
+const presignS3Url = ({ method, origin, path, query = {}, headers = {}, credentials, region, expires, now = new Date() }) => {
+  const host = new URL(origin).host;
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const signedHeaders = { ...headers, host };
+  const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const params = {
+    ...query,
+    'X-Amz-Algorithm': ALGORITHM,
+    'X-Amz-Credential': `${credentials.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expires),
+    'X-Amz-SignedHeaders': headerNames.join(';'),
+  };
+  if (credentials.sessionToken) {
+    params['X-Amz-Security-Token'] = credentials.sessionToken;
+  }
+
+  const canonicalQuery = Object.keys(params)
+    .map(name => [encodeRfc3986(name), encodeRfc3986(String(params[name]))])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalPath = path.split('/').map(encodeRfc3986).join('/');
+
+  const canonicalRequest = [
+    method,
+    canonicalPath,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+    headerNames.join(';'),
+    'UNSIGNED-PAYLOAD',
+  ].join('\n');
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region));
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return `${origin}${canonicalPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+module.exports = {
+  presignS3Url,
+};
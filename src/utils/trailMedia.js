@@ -0,0 +1,20 @@
+/**
+ * Trail Media
+ * Media URLs a trail references: header images/videos and story images/videos.
+ */
+
+/**
+ * Collect the distinct media URLs of a trail
+ * @param {Object} trail - Trail row (headerImages, headerVideos)
+ * @param {Array} stories - Its CustomStory rows (imageUrl, videoUrl)
+ * @returns {string[]}
+ */
+const collectMediaUrls = (trail, stories = []) => [...new Set([
+  ...(trail.headerImages || []),
+  ...(trail.headerVideos || []),
+  ...stories.flatMap(story => [story.imageUrl, story.videoUrl]),
+].filter(url => typeof url === 'string' && url.length > 0))];
+
+module.exports = {
+  collectMediaUrls,
+};
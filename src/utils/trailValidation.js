@@ -0,0 +1,225 @@
+/**
+ * Trail Payload Validation
+ * One schema shared by create, full update and partial update.
+ * Returns a list of { field, message } errors (empty when valid).
+ */
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Sorts available on trail listings (GET /trails also accepts "nearest" with a location)
+const TRAIL_SORTS = ['distance', 'newest', 'difficulty'];
+
+const LIMITS = {
+  titleLength: 255,
+  descriptionLength: 10000,
+  maxStories: 50,
+  maxHeaderImages: 20,
+  maxHeaderVideos: 10,
+  maxStoryMedia: 10,
+};
+
+/**
+ * Helper: Check for an absolute http(s) URL
+ */
+const isUrl = (value) => {
+  if (typeof value !== 'string' || value.length > 1000) {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Helper: Parse a number that may arrive as a numeric string
+ * Returns NaN for anything else (including empty strings and booleans)
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+const validateString = (errors, field, value, { required = false, min = 0, max }) => {
+  if (!isPresent(value)) {
+    if (required) errors.push({ field, message: 'is required' });
+    return;
+  }
+  if (typeof value !== 'string') {
+    errors.push({ field, message: 'must be a string' });
+    return;
+  }
+  if (value.trim().length < min) {
+    errors.push({ field, message: min === 1 ? 'must not be empty' : `must be at least ${min} characters` });
+  }
+  if (value.length > max) {
+    errors.push({ field, message: `must be at most ${max} characters` });
+  }
+};
+
+const validateRange = (errors, field, value, min, max) => {
+  if (!isPresent(value)) return;
+  const number = toNumber(value);
+  if (!Number.isFinite(number)) {
+    errors.push({ field, message: 'must be a number' });
+  } else if (number < min || number > max) {
+    errors.push({ field, message: `must be between ${min} and ${max}` });
+  }
+};
+
+const validateUrl = (errors, field, value) => {
+  if (!isPresent(value)) return;
+  if (!isUrl(value)) {
+    errors.push({ field, message: 'must be a valid http(s) URL' });
+  }
+};
+
+const validateUrlList = (errors, field, value, maxItems) => {
+  if (!isPresent(value)) return;
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'must be an array of URLs' });
+    return;
+  }
+  if (value.length > maxItems) {
+    errors.push({ field, message: `must contain at most ${maxItems} items` });
+  }
+  value.forEach((url, index) => validateUrl(errors, `${field}[${index}]`, url));
+};
+
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+const validateId = (errors, field, value) => {
+  if (!isPresent(value)) return;
+  if (!isId(value)) {
+    errors.push({ field, message: 'must be a positive integer' });
+  }
+};
+
+/**
+ * Confirmed file IDs (POST /files/confirm) are resolved to URLs and appended to urlField
+ */
+const validateFileIdList = (errors, field, value, urlField, urls, maxItems) => {
+  if (!isPresent(value)) return;
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'must be an array of file IDs' });
+    return;
+  }
+  if (value.length + (Array.isArray(urls) ? urls.length : 0) > maxItems) {
+    errors.push({ field, message: `together with ${urlField} must contain at most ${maxItems} items` });
+  }
+  value.forEach((id, index) => validateId(errors, `${field}[${index}]`, id));
+};
+
+/**
+ * Validate a single custom story
+ * @param {Object} story - Story payload
+ * @param {string} prefix - Field path prefix used in error messages
+ * @param {Object} options - { partial: only validate fields that are present }
+ * @returns {Array<{ field: string, message: string }>}
+ */
+const validateStory = (story, prefix = 'story', { partial = false } = {}) => {
+  const errors = [];
+
+  if (!story || typeof story !== 'object' || Array.isArray(story)) {
+    return [{ field: prefix, message: 'must be an object' }];
+  }
+
+  validateString(errors, `${prefix}.title`, story.title, { required: !partial, min: 1, max: LIMITS.titleLength });
+  validateString(errors, `${prefix}.description`, story.description, { max: LIMITS.descriptionLength });
+
+  validateRange(errors, `${prefix}.latitude`, story.latitude, -90, 90);
+  validateRange(errors, `${prefix}.longitude`, story.longitude, -180, 180);
+  if (!partial && isPresent(story.latitude) !== isPresent(story.longitude)) {
+    errors.push({ field: `${prefix}.latitude`, message: 'latitude and longitude must be provided together' });
+  }
+
+  if (isPresent(story.categoryId) && (!Number.isInteger(story.categoryId) || story.categoryId < 1)) {
+    errors.push({ field: `${prefix}.categoryId`, message: 'must be a positive integer' });
+  }
+
+  validateUrl(errors, `${prefix}.imageUrl`, story.imageUrl);
+  validateUrl(errors, `${prefix}.videoUrl`, story.videoUrl);
+  validateUrlList(errors, `${prefix}.imageUrls`, story.imageUrls, LIMITS.maxStoryMedia);
+  validateUrlList(errors, `${prefix}.videoUrls`, story.videoUrls, LIMITS.maxStoryMedia);
+
+  validateId(errors, `${prefix}.imageFileId`, story.imageFileId);
+  validateId(errors, `${prefix}.videoFileId`, story.videoFileId);
+  if (isPresent(story.imageFileId) && (isPresent(story.imageUrl) || isPresent(story.imageUrls))) {
+    errors.push({ field: `${prefix}.imageFileId`, message: 'cannot be combined with imageUrl or imageUrls' });
+  }
+  if (isPresent(story.videoFileId) && (isPresent(story.videoUrl) || isPresent(story.videoUrls))) {
+    errors.push({ field: `${prefix}.videoFileId`, message: 'cannot be combined with videoUrl or videoUrls' });
+  }
+
+  if (isPresent(story.isPublished) && typeof story.isPublished !== 'boolean') {
+    errors.push({ field: `${prefix}.isPublished`, message: 'must be a boolean' });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate trailData for create, full update or partial update
+ * @param {Object} trailData - trailData payload
+ * @param {Object} options - { partial: only validate fields that are present }
+ * @returns {Array<{ field: string, message: string }>}
+ */
+const validateTrailData = (trailData, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!trailData || typeof trailData !== 'object' || Array.isArray(trailData)) {
+    return [{ field: 'trailData', message: 'must be an object' }];
+  }
+
+  validateString(errors, 'trailData.title', trailData.title, { required: !partial, min: 1, max: LIMITS.titleLength });
+  validateString(errors, 'trailData.description', trailData.description, { max: LIMITS.descriptionLength });
+
+  if (isPresent(trailData.difficulty) && !DIFFICULTIES.includes(trailData.difficulty)) {
+    errors.push({ field: 'trailData.difficulty', message: `must be one of: ${DIFFICULTIES.join(', ')}` });
+  }
+
+  if (isPresent(trailData.distance)) {
+    const distance = toNumber(trailData.distance);
+    if (!Number.isFinite(distance)) {
+      errors.push({ field: 'trailData.distance', message: 'must be a number' });
+    } else if (distance < 0) {
+      errors.push({ field: 'trailData.distance', message: 'must not be negative' });
+    }
+  }
+
+  validateUrlList(errors, 'trailData.headerImages', trailData.headerImages, LIMITS.maxHeaderImages);
+  validateUrlList(errors, 'trailData.headerVideos', trailData.headerVideos, LIMITS.maxHeaderVideos);
+  validateFileIdList(errors, 'trailData.headerImageFileIds', trailData.headerImageFileIds,
+    'headerImages', trailData.headerImages, LIMITS.maxHeaderImages);
+  validateFileIdList(errors, 'trailData.headerVideoFileIds', trailData.headerVideoFileIds,
+    'headerVideos', trailData.headerVideos, LIMITS.maxHeaderVideos);
+
+  if (isPresent(trailData.customStories)) {
+    if (!Array.isArray(trailData.customStories)) {
+      errors.push({ field: 'trailData.customStories', message: 'must be an array' });
+    } else {
+      if (trailData.customStories.length > LIMITS.maxStories) {
+        errors.push({ field: 'trailData.customStories', message: `must contain at most ${LIMITS.maxStories} stories` });
+      }
+      // Stories replace the whole list, so each one is always validated in full
+      trailData.customStories.forEach((story, index) => {
+        errors.push(...validateStory(story, `trailData.customStories[${index}]`));
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  TRAIL_SORTS,
+  LIMITS,
+  validateTrailData,
+  validateStory,
+};